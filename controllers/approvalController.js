@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const Approval = require('../models/Approval');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const User = require('../models/User');
+const { getRole, hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { handOverPendingSteps } = require('../utils/approvals');
+const dateUtils = require('../utils/dateUtils');
+
+// URL segment -> approval entity type and the permission to view its approvals
+const ENTITY_TYPES = {
+  leaves: { entityType: 'LeaveRequest', permission: 'leaves.view' },
+  forms: { entityType: 'FormInstance', permission: 'forms.view' }
+};
+
+const WORKFLOW_FIELDS = ['name', 'entityType', 'leaveTypes', 'minDays', 'templates', 'departments', 'priority', 'steps', 'isActive'];
+
+// Check the approvers referenced by workflow steps
+const checkSteps = async (steps = []) => {
+  for (const step of steps) {
+    for (const approver of [step.approver, step.escalateTo].filter(Boolean)) {
+      if (approver.type === 'role' && !(approver.role && await getRole(approver.role))) {
+        return `${approver.role} is not a valid role`;
+      }
+      if (approver.type === 'user' &&
+        !(mongoose.isValidObjectId(approver.user) && await User.exists({ _id: approver.user }))) {
+        return 'Approver user not found';
+      }
+    }
+  }
+  return null;
+};
+
+// Validate a workflow, returning the error message or null
+const validateWorkflow = async (workflow) => {
+  try {
+    await workflow.validate();
+  } catch (error) {
+    return error.errors
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message;
+  }
+  return checkSteps(workflow.steps);
+};
+
+// @desc    Get approvals waiting for the current user
+// @route   GET /api/approvals/pending
+// @access  Private
+exports.getPendingApprovals = async (req, res) => {
+  try {
+    const { entityType, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { status: 'pending', currentApprovers: req.user._id };
+    if (entityType) query.entityType = entityType;
+
+    const approvals = await Approval.find(query)
+      .populate('entity')
+      .populate('requestedBy', 'name email department')
+      .sort({ updatedAt: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Approval.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: approvals.length,
+      total,
+      data: approvals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the approval history of a leave request or form
+// @route   GET /api/approvals/leaves/:id, GET /api/approvals/forms/:id
+// @access  Private (requester, approvers, leaves.view / forms.view)
+exports.getEntityApprovals = async (req, res) => {
+  try {
+    const { entityType, permission } = ENTITY_TYPES[req.params.entity];
+
+    const approvals = await Approval.find({ entityType, entity: req.params.id })
+      .populate('workflow', 'name')
+      .populate('requestedBy', 'name email')
+      .populate('steps.approvers', 'name email')
+      .populate('steps.decidedBy', 'name email')
+      .populate('steps.onBehalfOf', 'name email')
+      .sort({ createdAt: -1 });
+
+    const userId = req.user._id.toString();
+    const involved = approvals.some(approval =>
+      approval.requestedBy?._id?.toString() === userId ||
+      approval.steps.some(step => step.approvers.some(approver => approver?._id?.toString() === userId))
+    );
+
+    if (!involved && !hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to these approvals'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: approvals.length,
+      data: approvals
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get approval workflows
+// @route   GET /api/approvals/workflows
+// @access  Private (approvals.manage)
+exports.getWorkflows = async (req, res) => {
+  try {
+    const { entityType } = req.query;
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+
+    const workflows = await ApprovalWorkflow.find(query)
+      .populate('templates', 'title')
+      .sort({ entityType: 1, priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: workflows.length,
+      data: workflows
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create approval workflow
+// @route   POST /api/approvals/workflows
+// @access  Private (approvals.manage)
+exports.createWorkflow = async (req, res) => {
+  try {
+    const workflow = new ApprovalWorkflow({ createdBy: req.user._id });
+    WORKFLOW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) workflow.set(field, req.body[field]);
+    });
+
+    const validationError = await validateWorkflow(workflow);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await workflow.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'ApprovalWorkflow',
+      entity: workflow,
+      entityLabel: workflow.name,
+      after: workflow
+    });
+
+    res.status(201).json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update approval workflow (running approvals keep the steps they started with)
+// @route   PUT /api/approvals/workflows/:id
+// @access  Private (approvals.manage)
+exports.updateWorkflow = async (req, res) => {
+  try {
+    const workflow = await ApprovalWorkflow.findById(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval workflow not found'
+      });
+    }
+
+    const before = workflow.toObject();
+
+    WORKFLOW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) workflow.set(field, req.body[field]);
+    });
+
+    const validationError = await validateWorkflow(workflow);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await workflow.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'ApprovalWorkflow',
+      entity: workflow,
+      entityLabel: workflow.name,
+      before,
+      after: workflow
+    });
+
+    res.json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete approval workflow
+// @route   DELETE /api/approvals/workflows/:id
+// @access  Private (approvals.manage)
+exports.deleteWorkflow = async (req, res) => {
+  try {
+    const workflow = await ApprovalWorkflow.findById(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval workflow not found'
+      });
+    }
+
+    await workflow.deleteOne();
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'ApprovalWorkflow',
+      entity: workflow,
+      entityLabel: workflow.name,
+      before: workflow
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval workflow deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get approval delegations (own, or all with approvals.manage)
+// @route   GET /api/approvals/delegations
+// @access  Private
+exports.getDelegations = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = hasPermission(req.user, 'approvals.manage')
+      ? {}
+      : { $or: [{ delegator: req.user._id }, { delegate: req.user._id }] };
+
+    if (active === 'true') {
+      query.endDate = { $gte: new Date() };
+    }
+
+    const delegations = await ApprovalDelegation.find(query)
+      .populate('delegator', 'name email')
+      .populate('delegate', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      count: delegations.length,
+      data: delegations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delegate approvals to another user for a period
+// @route   POST /api/approvals/delegations
+// @access  Private (delegator other than yourself: approvals.manage)
+exports.createDelegation = async (req, res) => {
+  try {
+    const { delegator, delegate, startDate, endDate, reason } = req.body;
+
+    const delegatorId = delegator || req.user._id;
+    if (delegatorId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'approvals.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delegate your own approvals'
+      });
+    }
+
+    if (!delegate || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide delegate, startDate and endDate'
+      });
+    }
+
+    if (delegate.toString() === delegatorId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate approvals to yourself'
+      });
+    }
+
+    const start = dateUtils.getStartOfDay(startDate);
+    const end = dateUtils.getEndOfDay(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delegation period'
+      });
+    }
+
+    const delegateUser = mongoose.isValidObjectId(delegate)
+      ? await User.findOne({ _id: delegate, isActive: true }).select('name')
+      : null;
+    if (!delegateUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegate user not found'
+      });
+    }
+
+    const delegation = await ApprovalDelegation.create({
+      delegator: delegatorId,
+      delegate,
+      startDate: start,
+      endDate: end,
+      reason,
+      createdBy: req.user._id
+    });
+
+    // Steps already waiting for the delegator are handed over when the period has started
+    const now = new Date();
+    if (start <= now && end >= now) {
+      await handOverPendingSteps(delegation);
+    }
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'ApprovalDelegation',
+      entity: delegation,
+      entityLabel: delegateUser.name,
+      after: delegation
+    });
+
+    res.status(201).json({
+      success: true,
+      data: delegation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove an approval delegation
+// @route   DELETE /api/approvals/delegations/:id
+// @access  Private (delegator, or approvals.manage)
+exports.deleteDelegation = async (req, res) => {
+  try {
+    const delegation = await ApprovalDelegation.findById(req.params.id);
+
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    if (delegation.delegator.toString() !== req.user._id.toString() && !hasPermission(req.user, 'approvals.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove this delegation'
+      });
+    }
+
+    await delegation.deleteOne();
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'ApprovalDelegation',
+      entity: delegation,
+      before: delegation
+    });
+
+    res.json({
+      success: true,
+      message: 'Delegation removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
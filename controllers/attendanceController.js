@@ -1,60 +1,63 @@
+const mongoose = require('mongoose');
 const AttendanceToken = require('../models/AttendanceToken');
 const AttendanceLog = require('../models/AttendanceLog');
+const AttendanceSession = require('../models/AttendanceSession');
 const User = require('../models/User');
 const { createNotification } = require('../utils/notifications');
 const { checkAbsentUsers } = require('../utils/checkAbsentUsers');
 const logger = require('../utils/logger');
 const dateUtils = require('../utils/dateUtils');
+const shiftUtils = require('../utils/shiftUtils');
+const timesheet = require('../utils/timesheet');
+const attendanceGuard = require('../utils/attendanceGuard');
+const branchScope = require('../utils/branchScope');
+const Branch = require('../models/Branch');
+const qrAutoGenerator = require('../services/qrAutoGenerator');
+const { recordAudit } = require('../utils/audit');
+const { logActivity } = require('../utils/activityLog');
+const realtime = require('../services/realtime');
+const { checkRequestAuth } = require('../utils/sessions');
+
+// Resolve the QR station branch: admins may pick an active branch, QR managers
+// use their own (the default stream when they have none)
+// Returns { branch } or { error: { status, message } }
+const resolveQRBranch = async (req) => {
+  const requested = req.body?.branch || req.query.branch;
+  if (req.user.baseRole !== 'admin' || !requested) {
+    return { branch: req.user.branch || null };
+  }
 
-// Auto-generate QR code (called by cron job or manually by admin)
-exports.generateQRCode = async (req, res) => {
-  try {
-    // Get next sequence number
-    const sequenceNumber = await AttendanceToken.getNextSequence();
-
-    // Generate unique token
-    const token = AttendanceToken.generateToken();
-
-    // Set validity from environment variable (default: 30 seconds)
-    const validitySeconds = parseInt(process.env.QR_TOKEN_VALIDITY_SECONDS) || 30;
-    const validityMs = validitySeconds * 1000;
-    const validFrom = new Date();
-    const validTo = new Date(validFrom.getTime() + validityMs);
-
-    logger.log(`🔑 Generating QR with validity: ${validitySeconds} seconds (validFrom: ${validFrom.toISOString()}, validTo: ${validTo.toISOString()})`);
-
-    // Create new QR token
-    const qrToken = await AttendanceToken.create({
-      token,
-      validFrom,
-      validTo,
-      status: 'active',
-      sequenceNumber,
-      createdBy: req.user?.id
-    });
-
-    // Expire all previous active tokens
-    await AttendanceToken.updateMany(
-      {
-        _id: { $ne: qrToken._id },
-        status: 'active'
-      },
-      { status: 'expired' }
-    );
+  if (!mongoose.Types.ObjectId.isValid(requested)) {
+    return { error: { status: 400, message: 'Invalid branch' } };
+  }
+  if (!(await Branch.exists({ _id: requested, isActive: true }))) {
+    return { error: { status: 404, message: 'Branch not found' } };
+  }
+  return { branch: requested };
+};
 
-    // Cleanup: Keep only last 10 QR codes
-    const tokensToKeep = await AttendanceToken.find()
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .select('_id');
+// Users assigned to branches may only check in at their QR stations
+const canUseQRBranch = (user, branchId) => {
+  const branches = [user.branch, ...(user.branches || [])].filter(Boolean).map(id => id.toString());
+  return !branchId || branches.length === 0 || branches.includes(branchId.toString());
+};
 
-    const idsToKeep = tokensToKeep.map(t => t._id);
+// Generate a QR code on demand (the auto-generator rotates them on its own)
+exports.generateQRCode = async (req, res) => {
+  try {
+    const { branch, error } = await resolveQRBranch(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    await AttendanceToken.deleteMany({
-      _id: { $nin: idsToKeep }
-    });
+    // Same rotation as the auto-generator: new token, expire the branch's old ones, cleanup
+    const qrToken = await qrAutoGenerator.generateQR(branch, req.user?.id);
+    const validitySeconds = Math.round((qrToken.validTo - qrToken.validFrom) / 1000);
 
-    logger.log(`✅ Generated QR #${sequenceNumber}, cleaned old tokens`);
+    logger.log(`🔑 Generated QR #${qrToken.sequenceNumber} with validity: ${validitySeconds} seconds (validFrom: ${qrToken.validFrom.toISOString()}, validTo: ${qrToken.validTo.toISOString()})`);
 
     res.json({
       success: true,
@@ -63,6 +66,7 @@ exports.generateQRCode = async (req, res) => {
         validFrom: qrToken.validFrom,
         validTo: qrToken.validTo,
         sequenceNumber: qrToken.sequenceNumber,
+        branch: qrToken.branch || null,
         usageCount: qrToken.usageCount || 0,
         expiresIn: validitySeconds // seconds
       }
@@ -76,11 +80,40 @@ exports.generateQRCode = async (req, res) => {
   }
 };
 
+// Stream QR rotations to the QR display screen (Server-Sent Events)
+exports.streamQR = async (req, res) => {
+  try {
+    const { branch, error } = await resolveQRBranch(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    realtime.addClient(req, res, { qr: branch, verify: () => checkRequestAuth(req) });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Get current active QR code (admin only)
 exports.getCurrentQR = async (req, res) => {
   try {
+    const { branch, error } = await resolveQRBranch(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const currentQR = await AttendanceToken.findOne({
       status: 'active',
+      branch,
       validTo: { $gt: new Date() }
     }).sort({ createdAt: -1 });
 
@@ -110,6 +143,7 @@ exports.getCurrentQR = async (req, res) => {
         validFrom: currentQR.validFrom,
         validTo: currentQR.validTo,
         sequenceNumber: currentQR.sequenceNumber,
+        branch: currentQR.branch || null,
         expiresIn,
         usageCount: currentQR.usageCount
       }
@@ -153,7 +187,8 @@ exports.validateQRToken = async (req, res) => {
       data: {
         valid: true,
         expiresIn,
-        sequenceNumber: qrToken.sequenceNumber
+        sequenceNumber: qrToken.sequenceNumber,
+        branch: qrToken.branch || null
       }
     });
   } catch (error) {
@@ -168,7 +203,8 @@ exports.validateQRToken = async (req, res) => {
 // Record attendance (check-in or check-out)
 exports.recordAttendance = async (req, res) => {
   try {
-    const { token, type } = req.body; // type: 'checkin' or 'checkout'
+    const { token, type, latitude, longitude, accuracy } = req.body; // type: 'checkin' or 'checkout'
+    const deviceId = req.body.deviceId || req.get('x-device-id');
 
     // Validate required fields
     if (!token || !type) {
@@ -203,87 +239,125 @@ exports.recordAttendance = async (req, res) => {
       });
     }
 
-    // Check today's attendance status (using Saudi Arabia timezone)
-    const todayStart = dateUtils.getStartOfToday();
-    const todayEnd = dateUtils.getEndOfToday();
+    if (!canUseQRBranch(req.user, qrToken.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This QR code belongs to a branch you are not assigned to'
+      });
+    }
 
-    // Check if user already has attendance records for today
-    const todayAttendance = await AttendanceLog.find({
+    // Get request metadata
+    const ip = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('user-agent');
+
+    // Geofence (of the QR station's branch) and device binding checks
+    const user = await User.findById(req.user.id).select('workDays workSchedule devices');
+    const branch = qrToken.branch ? await Branch.findById(qrToken.branch).select('geofence').lean() : null;
+    const guard = attendanceGuard.checkAttempt(
+      user,
+      { latitude, longitude, accuracy, deviceId },
+      branch?.geofence
+    );
+
+    if (!guard.allowed) {
+      // Keep the rejected attempt as evidence
+      const rejectedLog = await AttendanceLog.create({
+        userId: req.user.id,
+        type,
+        timestamp: new Date(),
+        method: 'qr',
+        tokenId: qrToken._id,
+        branch: qrToken.branch,
+        status: 'rejected',
+        rejectionReason: guard.reason,
+        location: guard.location,
+        metadata: {
+          ip,
+          userAgent,
+          qrSequence: qrToken.sequenceNumber,
+          ...guard.metadata
+        }
+      });
+
+      const reasonMessage = attendanceGuard.REJECTION_MESSAGES[guard.reason];
+      await createNotification({
+        type: 'system_alert',
+        title: {
+          en: 'Attendance Attempt Rejected',
+          ar: 'رفض محاولة تسجيل حضور'
+        },
+        message: {
+          en: `${req.user.name}: ${reasonMessage.en}`,
+          ar: `${req.user.name}: ${reasonMessage.ar}`
+        },
+        data: {
+          userId: req.user.id,
+          attendanceLogId: rejectedLog._id,
+          attendanceType: type,
+          reason: guard.reason,
+          location: guard.location,
+          distance: guard.metadata.distance,
+          deviceId: guard.metadata.device
+        },
+        roles: ['admin', 'supervisor'],
+        departments: [req.user.department],
+        branch: qrToken.branch,
+        exclude: [req.user._id]
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: reasonMessage.en,
+        reason: guard.reason
+      });
+    }
+
+    // Find the user's open session (a check-in without a check-out, whatever the date)
+    let openSession = await AttendanceSession.findOne({
       userId: req.user.id,
-      timestamp: {
-        $gte: todayStart,
-        $lte: todayEnd
-      }
-    }).sort({ timestamp: 1 });
+      status: 'open'
+    });
 
-    // Check for existing check-in today
-    const hasCheckInToday = todayAttendance.some(log => log.type === 'checkin');
-    // Check for existing check-out today
-    const hasCheckOutToday = todayAttendance.some(log => log.type === 'checkout');
+    // Sessions open for too long missed their check-out, close them so they don't block new shifts
+    if (openSession && openSession.isStale()) {
+      await openSession.autoClose();
+      openSession = null;
+    }
+
+    // Resolve the scheduled shift for this check-in (handles overnight shifts)
+    const shift = shiftUtils.resolveShift(user, new Date());
 
     // Validation rules
     if (type === 'checkin') {
-      if (hasCheckInToday) {
+      if (openSession) {
         return res.status(400).json({
           success: false,
-          message: 'You have already checked in today'
+          message: 'You are already checked in. Please check out first'
         });
       }
-    } else if (type === 'checkout') {
-      // For check-out, check if there's an unclosed check-in (not just today, but any recent check-in without checkout)
-      // Get the most recent check-in that doesn't have a corresponding check-out
-      const recentCheckIns = await AttendanceLog.find({
+
+      const shiftSession = await AttendanceSession.findOne({
         userId: req.user.id,
-        type: 'checkin'
-      })
-        .sort({ timestamp: -1 })
-        .limit(1);
+        shiftDate: shift.shiftDate
+      }).select('_id');
 
-      if (recentCheckIns.length === 0) {
+      if (shiftSession) {
         return res.status(400).json({
           success: false,
-          message: 'You must check in before checking out'
+          message: shift.scheduled
+            ? 'You have already checked in for this shift'
+            : 'You have already checked in today'
         });
       }
-
-      const lastCheckIn = recentCheckIns[0];
-
-      // Check if there's already a check-out after this check-in
-      const hasCheckOutAfterCheckIn = await AttendanceLog.findOne({
-        userId: req.user.id,
-        type: 'checkout',
-        timestamp: { $gt: lastCheckIn.timestamp }
-      });
-
-      if (hasCheckOutAfterCheckIn) {
-        // There's already a check-out after the last check-in, so check if there's a check-in today
-        if (!hasCheckInToday) {
-          return res.status(400).json({
-            success: false,
-            message: 'You must check in before checking out'
-          });
-        }
-      }
-
-      // Check if already checked out today (only if checking out on the same day as check-in)
-      if (hasCheckOutToday) {
-        // But allow check-out if the last check-in was on a different day
-        const lastCheckInDate = dateUtils.getDateString(lastCheckIn.timestamp);
-        const todayDate = dateUtils.getDateString(new Date());
-
-        if (lastCheckInDate === todayDate) {
-          return res.status(400).json({
-            success: false,
-            message: 'You have already checked out today'
-          });
-        }
+    } else if (type === 'checkout') {
+      if (!openSession) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must check in before checking out'
+        });
       }
     }
 
-    // Get request metadata
-    const ip = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('user-agent');
-
     // Create attendance log
     const attendanceLog = await AttendanceLog.create({
       userId: req.user.id,
@@ -291,73 +365,102 @@ exports.recordAttendance = async (req, res) => {
       timestamp: new Date(),
       method: 'qr',
       tokenId: qrToken._id,
+      branch: qrToken.branch,
+      location: guard.location,
       metadata: {
         ip,
         userAgent,
-        qrSequence: qrToken.sequenceNumber
+        qrSequence: qrToken.sequenceNumber,
+        ...guard.metadata
       }
     });
 
+    // Bind the first device used, or track the last use of a registered one
+    if (guard.metadata.device) {
+      const device = user.devices.find(d => d.deviceId === guard.metadata.device);
+      if (device) {
+        device.lastUsedAt = attendanceLog.timestamp;
+        await user.save();
+      } else if (guard.registerDevice) {
+        user.devices.push({ deviceId: guard.metadata.device, lastUsedAt: attendanceLog.timestamp });
+        await user.save();
+      }
+    }
+
+    // Open or close the attendance session
+    let session;
+    if (type === 'checkin') {
+      session = new AttendanceSession({
+        userId: req.user.id,
+        branch: qrToken.branch,
+        shiftDate: shift.shiftDate,
+        scheduledStart: shift.scheduledStart,
+        scheduledEnd: shift.scheduledEnd,
+        checkIn: attendanceLog.timestamp,
+        checkInLog: attendanceLog._id
+      });
+      session.calculateTotals();
+
+      try {
+        await session.save();
+      } catch (error) {
+        // A concurrent check-in (e.g. a double tap) opened the session first
+        if (error.code !== 11000) throw error;
+        await AttendanceLog.deleteOne({ _id: attendanceLog._id });
+        return res.status(400).json({
+          success: false,
+          message: 'You are already checked in. Please check out first'
+        });
+      }
+    } else {
+      session = openSession;
+      await session.close(attendanceLog);
+    }
+
     // Mark QR as used (increment usage count)
     await qrToken.markAsUsed();
 
+    logActivity(req, type === 'checkin' ? 'attendance_checkin' : 'attendance_checkout', {
+      logId: attendanceLog._id,
+      sessionId: session._id,
+      branch: qrToken.branch
+    });
+
     // Populate user info
     await attendanceLog.populate('userId', 'name email department');
 
-    // Check for late arrival on check-in
-    if (type === 'checkin') {
-      const user = await User.findById(req.user.id).select('workDays workSchedule');
-      if (user && user.workDays && user.workDays.length > 0) {
-        // Get day name in Saudi timezone
-        const dayName = dateUtils.getDayName(new Date());
-
-        if (user.workDays.includes(dayName) && user.workSchedule && user.workSchedule[dayName]) {
-          const expectedStartTime = user.workSchedule[dayName].startTime;
-          if (expectedStartTime) {
-            const [expectedHours, expectedMinutes] = expectedStartTime.split(':').map(Number);
-            // Create expected time in Saudi timezone
-            const todayComponents = dateUtils.getDateComponents(new Date());
-            const expectedTime = dateUtils.createDate(
-              todayComponents.year,
-              todayComponents.month,
-              todayComponents.day,
-              expectedHours,
-              expectedMinutes,
-              0
-            );
-
-            const checkinTime = new Date(attendanceLog.timestamp);
-            if (checkinTime > expectedTime) {
-              const lateMinutes = Math.floor((checkinTime - expectedTime) / (1000 * 60));
-
-              await createNotification({
-                type: 'user_late',
-                title: {
-                  en: 'Employee Late Arrival',
-                  ar: 'تأخر موظف'
-                },
-                message: {
-                  en: `${req.user.name} arrived ${lateMinutes} minute(s) late`,
-                  ar: `${req.user.name} وصل متأخراً ${lateMinutes} دقيقة`
-                },
-                data: {
-                  userId: req.user.id,
-                  attendanceLogId: attendanceLog._id,
-                  lateMinutes: lateMinutes,
-                  expectedTime: expectedStartTime,
-                  actualTime: checkinTime.toISOString()
-                }
-              });
-            }
-          }
-        }
-      }
+    // Check for late arrival on check-in (against the scheduled shift start)
+    if (type === 'checkin' && session.lateMinutes > 0) {
+      await createNotification({
+        type: 'user_late',
+        title: {
+          en: 'Employee Late Arrival',
+          ar: 'تأخر موظف'
+        },
+        message: {
+          en: `${req.user.name} arrived ${session.lateMinutes} minute(s) late`,
+          ar: `${req.user.name} وصل متأخراً ${session.lateMinutes} دقيقة`
+        },
+        data: {
+          userId: req.user.id,
+          attendanceLogId: attendanceLog._id,
+          sessionId: session._id,
+          lateMinutes: session.lateMinutes,
+          expectedTime: shift.startTime,
+          actualTime: attendanceLog.timestamp.toISOString()
+        },
+        roles: ['admin', 'supervisor'],
+        departments: [req.user.department],
+        branch: qrToken.branch,
+        exclude: [req.user._id]
+      });
     }
 
     res.json({
       success: true,
       message: type === 'checkin' ? 'Checked in successfully' : 'Checked out successfully',
-      data: attendanceLog
+      data: attendanceLog,
+      session
     });
   } catch (error) {
     console.error('Error recording attendance:', error);
@@ -368,7 +471,23 @@ exports.recordAttendance = async (req, res) => {
   }
 };
 
-// Get my attendance logs
+// Shape a session like the grouped logs the dashboard already consumes
+const formatSession = (session) => ({
+  _id: session._id,
+  date: session.shiftDate,
+  userId: session.userId,
+  checkin: session.checkInLog || null,
+  checkout: session.checkOutLog || null,
+  status: session.status,
+  scheduledStart: session.scheduledStart,
+  scheduledEnd: session.scheduledEnd,
+  workedMinutes: session.workedMinutes,
+  lateMinutes: session.lateMinutes,
+  earlyLeaveMinutes: session.earlyLeaveMinutes,
+  overtimeMinutes: session.overtimeMinutes
+});
+
+// Get my attendance sessions
 exports.getMyAttendance = async (req, res) => {
   try {
     const { startDate, endDate, limit = 30 } = req.query;
@@ -379,85 +498,21 @@ exports.getMyAttendance = async (req, res) => {
     if (!startDate && !endDate) {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      query.timestamp = { $gte: thirtyDaysAgo };
+      query.checkIn = { $gte: thirtyDaysAgo };
     } else if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
+      query.checkIn = {};
+      if (startDate) query.checkIn.$gte = new Date(startDate);
+      if (endDate) query.checkIn.$lte = new Date(endDate);
     }
 
-    const logs = await AttendanceLog.find(query)
-      .sort({ timestamp: -1 })
-      .populate('tokenId', 'sequenceNumber')
+    const sessions = await AttendanceSession.find(query)
+      .sort({ checkIn: -1 })
+      .limit(parseInt(limit))
+      .populate({ path: 'checkInLog', populate: { path: 'tokenId', select: 'sequenceNumber' } })
+      .populate({ path: 'checkOutLog', populate: { path: 'tokenId', select: 'sequenceNumber' } })
       .populate('userId', 'name email department');
 
-    // Group logs by date (use Saudi Arabia timezone)
-    // First, collect all check-ins and check-outs
-    const checkIns = logs.filter(log => log.type === 'checkin').sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    const checkOuts = logs.filter(log => log.type === 'checkout').sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    const groupedByDate = {};
-
-    // Process check-ins
-    checkIns.forEach(checkIn => {
-      const date = dateUtils.getDateString(checkIn.timestamp);
-      if (!groupedByDate[date]) {
-        groupedByDate[date] = {
-          date,
-          checkin: null,
-          checkout: null
-        };
-      }
-      // Keep the earliest check-in of the day
-      if (!groupedByDate[date].checkin || new Date(checkIn.timestamp) < new Date(groupedByDate[date].checkin.timestamp)) {
-        groupedByDate[date].checkin = checkIn;
-      }
-    });
-
-    // Process check-outs - match them with their corresponding check-ins
-    checkOuts.forEach(checkOut => {
-      // Find the most recent check-in before this check-out
-      const correspondingCheckIn = checkIns
-        .filter(checkIn => new Date(checkIn.timestamp) < new Date(checkOut.timestamp))
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-
-      if (correspondingCheckIn) {
-        // Get the date of the check-in (not the check-out)
-        const checkInDate = dateUtils.getDateString(correspondingCheckIn.timestamp);
-
-        // Ensure the group exists
-        if (!groupedByDate[checkInDate]) {
-          groupedByDate[checkInDate] = {
-            date: checkInDate,
-            checkin: null,
-            checkout: null
-          };
-        }
-
-        // Only set checkout if there isn't one already, or if this one is later
-        if (!groupedByDate[checkInDate].checkout || new Date(checkOut.timestamp) > new Date(groupedByDate[checkInDate].checkout.timestamp)) {
-          groupedByDate[checkInDate].checkout = checkOut;
-        }
-      } else {
-        // No corresponding check-in found, group by check-out date
-        const date = dateUtils.getDateString(checkOut.timestamp);
-        if (!groupedByDate[date]) {
-          groupedByDate[date] = {
-            date,
-            checkin: null,
-            checkout: null
-          };
-        }
-        if (!groupedByDate[date].checkout || new Date(checkOut.timestamp) > new Date(groupedByDate[date].checkout.timestamp)) {
-          groupedByDate[date].checkout = checkOut;
-        }
-      }
-    });
-
-    // Convert to array and sort by date descending
-    const formattedLogs = Object.values(groupedByDate)
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, parseInt(limit));
+    const formattedLogs = sessions.map(formatSession);
 
     res.json({
       success: true,
@@ -480,32 +535,51 @@ exports.getAttendanceStats = async (req, res) => {
     const today = dateUtils.getStartOfToday();
     const tomorrow = dateUtils.getEndOfToday();
 
+    // Limit to the user's branches (or the requested branch)
+    const branchFilter = branchScope.getBranchFilter(req.user, req.query.branch);
+
     // Get today's stats (in Saudi Arabia timezone)
     const todayLogs = await AttendanceLog.countDocuments({
+      ...branchFilter,
+      status: { $ne: 'rejected' },
       timestamp: { $gte: today, $lte: tomorrow }
     });
 
     const todayCheckins = await AttendanceLog.countDocuments({
+      ...branchFilter,
       type: 'checkin',
+      status: { $ne: 'rejected' },
       timestamp: { $gte: today, $lte: tomorrow }
     });
 
     const todayCheckouts = await AttendanceLog.countDocuments({
+      ...branchFilter,
       type: 'checkout',
+      status: { $ne: 'rejected' },
       timestamp: { $gte: today, $lte: tomorrow }
     });
 
     // Get unique users today
     const uniqueUsers = await AttendanceLog.distinct('userId', {
+      ...branchFilter,
+      status: { $ne: 'rejected' },
+      timestamp: { $gte: today, $lte: tomorrow }
+    });
+
+    // Rejected attempts today (geofence / device binding)
+    const todayRejected = await AttendanceLog.countDocuments({
+      ...branchFilter,
+      status: 'rejected',
       timestamp: { $gte: today, $lte: tomorrow }
     });
 
     // Get active QR stats
     const activeQRCount = await AttendanceToken.countDocuments({
+      ...branchFilter,
       status: 'active'
     });
 
-    const totalQRs = await AttendanceToken.countDocuments();
+    const totalQRs = await AttendanceToken.countDocuments(branchFilter);
 
     res.json({
       success: true,
@@ -514,7 +588,8 @@ exports.getAttendanceStats = async (req, res) => {
           totalLogs: todayLogs,
           checkins: todayCheckins,
           checkouts: todayCheckouts,
-          uniqueUsers: uniqueUsers.length
+          uniqueUsers: uniqueUsers.length,
+          rejected: todayRejected
         },
         qr: {
           active: activeQRCount,
@@ -534,9 +609,15 @@ exports.getAttendanceStats = async (req, res) => {
 // Get all attendance logs (admin/supervisor/employee - employees can only see their own)
 exports.getAllAttendance = async (req, res) => {
   try {
-    const { startDate, endDate, userId, type, limit = 100, page = 1 } = req.query;
+    const { startDate, endDate, userId, type, status, limit = 100, page = 1 } = req.query;
 
-    const query = {};
+    // Rejected attempts are only listed when asked for
+    const query = status === 'rejected' ? { status: 'rejected' } : { status: { $ne: 'rejected' } };
+
+    // Branch filter (supervisors are limited to their branches)
+    if (req.user.baseRole !== 'employee') {
+      Object.assign(query, branchScope.getBranchFilter(req.user, req.query.branch));
+    }
 
     if (startDate || endDate) {
       query.timestamp = {};
@@ -545,7 +626,7 @@ exports.getAllAttendance = async (req, res) => {
     }
 
     // Employees can only access their own attendance
-    if (req.user.role === 'employee') {
+    if (req.user.baseRole === 'employee') {
       query.userId = req.user.id;
     } else if (userId) {
       query.userId = userId;
@@ -554,10 +635,10 @@ exports.getAllAttendance = async (req, res) => {
     if (type) query.type = type;
 
     // Check department access for supervisors
-    if (req.user.role === 'supervisor') {
-      const User = require('../models/User');
+    if (req.user.baseRole === 'supervisor') {
       const departmentUsers = await User.find({
-        department: { $in: req.user.departments || [] }
+        department: { $in: req.user.departments || [] },
+        ...branchScope.getBranchFilter(req.user)
       }).select('_id');
 
       query.userId = {
@@ -595,13 +676,18 @@ exports.getAllAttendance = async (req, res) => {
   }
 };
 
-// Get all attendance grouped by date (for admin dashboard)
+// Get all attendance sessions grouped by shift date (for admin dashboard)
 exports.getAllAttendanceGrouped = async (req, res) => {
   try {
-    const { startDate, endDate, userId, limit = 30 } = req.query;
+    const { startDate, endDate, userId, branch, limit = 30 } = req.query;
 
     const query = {};
 
+    // Filter by branch if provided (admins only, supervisors are scoped below)
+    if (branch && req.user.baseRole === 'admin') {
+      query.branch = branch;
+    }
+
     // Filter by userId if provided
     if (userId) {
       query.userId = userId;
@@ -609,17 +695,17 @@ exports.getAllAttendanceGrouped = async (req, res) => {
 
     // Default to last 30 days if no date range provided
     if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
+      query.checkIn = {};
+      if (startDate) query.checkIn.$gte = new Date(startDate);
+      if (endDate) query.checkIn.$lte = new Date(endDate);
     } else {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      query.timestamp = { $gte: thirtyDaysAgo };
+      query.checkIn = { $gte: thirtyDaysAgo };
     }
 
     // Employees can only access their own attendance
-    if (req.user.role === 'employee') {
+    if (req.user.baseRole === 'employee') {
       // If userId is provided and it's not the employee's own ID, deny access
       if (userId && userId !== req.user.id && userId !== req.user._id.toString()) {
         return res.status(403).json({
@@ -629,11 +715,11 @@ exports.getAllAttendanceGrouped = async (req, res) => {
       }
       // Force userId to be the employee's own ID
       query.userId = req.user.id;
-    } else if (req.user.role === 'supervisor') {
-      // Check department access for supervisors
-      const User = require('../models/User');
+    } else if (req.user.baseRole === 'supervisor') {
+      // Check department and branch access for supervisors
       const departmentUsers = await User.find({
-        department: { $in: req.user.departments || [] }
+        department: { $in: req.user.departments || [] },
+        ...branchScope.getBranchFilter(req.user)
       }).select('_id');
 
       // If userId is provided, check if user is in supervisor's departments
@@ -652,124 +738,18 @@ exports.getAllAttendanceGrouped = async (req, res) => {
       }
     }
 
-    const logs = await AttendanceLog.find(query)
-      .sort({ timestamp: -1 })
-      .populate('tokenId', 'sequenceNumber')
-      .populate({
-        path: 'userId',
-        select: 'name email department',
-        match: { _id: { $exists: true } } // Only populate if user exists
-      });
-
-    // Filter out logs where userId population failed (user might be deleted)
-    const validLogs = logs.filter(log => log.userId && log.userId._id);
-
-    // Group by date AND userId (use Saudi Arabia timezone)
-    // First, separate check-ins and check-outs by user
-    const userLogs = {};
-    validLogs.forEach(log => {
-      const userId = log.userId._id
-        ? log.userId._id.toString()
-        : (log.userId.toString ? log.userId.toString() : String(log.userId));
-
-      if (!userLogs[userId]) {
-        userLogs[userId] = {
-          userId: log.userId,
-          checkIns: [],
-          checkOuts: []
-        };
-      }
-
-      if (log.type === 'checkin') {
-        userLogs[userId].checkIns.push(log);
-      } else if (log.type === 'checkout') {
-        userLogs[userId].checkOuts.push(log);
-      }
-    });
-
-    // Sort check-ins and check-outs by timestamp for each user
-    Object.keys(userLogs).forEach(userId => {
-      userLogs[userId].checkIns.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      userLogs[userId].checkOuts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-    });
-
-    const groupedByDateAndUser = {};
-
-    // Process check-ins
-    Object.values(userLogs).forEach(({ userId, checkIns }) => {
-      checkIns.forEach(checkIn => {
-        const date = dateUtils.getDateString(checkIn.timestamp);
-        const userIdStr = userId._id ? userId._id.toString() : userId.toString();
-        const key = `${date}_${userIdStr}`;
-
-        if (!groupedByDateAndUser[key]) {
-          groupedByDateAndUser[key] = {
-            date,
-            userId: userId,
-            checkin: null,
-            checkout: null
-          };
-        }
-
-        // Keep earliest check-in for this user on this date
-        if (!groupedByDateAndUser[key].checkin || new Date(checkIn.timestamp) < new Date(groupedByDateAndUser[key].checkin.timestamp)) {
-          groupedByDateAndUser[key].checkin = checkIn;
-        }
-      });
-    });
+    const sessions = await AttendanceSession.find(query)
+      .sort({ checkIn: -1 })
+      .populate({ path: 'checkInLog', populate: { path: 'tokenId', select: 'sequenceNumber' } })
+      .populate({ path: 'checkOutLog', populate: { path: 'tokenId', select: 'sequenceNumber' } })
+      .populate('userId', 'name email department');
 
-    // Process check-outs - match them with their corresponding check-ins
-    Object.values(userLogs).forEach(({ userId, checkIns, checkOuts }) => {
-      checkOuts.forEach(checkOut => {
-        const userIdStr = userId._id ? userId._id.toString() : userId.toString();
-
-        // Find the most recent check-in before this check-out for this user
-        const correspondingCheckIn = checkIns
-          .filter(checkIn => new Date(checkIn.timestamp) < new Date(checkOut.timestamp))
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-
-        if (correspondingCheckIn) {
-          // Get the date of the check-in (not the check-out)
-          const checkInDate = dateUtils.getDateString(correspondingCheckIn.timestamp);
-          const key = `${checkInDate}_${userIdStr}`;
-
-          // Ensure the group exists
-          if (!groupedByDateAndUser[key]) {
-            groupedByDateAndUser[key] = {
-              date: checkInDate,
-              userId: userId,
-              checkin: null,
-              checkout: null
-            };
-          }
-
-          // Only set checkout if there isn't one already, or if this one is later
-          if (!groupedByDateAndUser[key].checkout || new Date(checkOut.timestamp) > new Date(groupedByDateAndUser[key].checkout.timestamp)) {
-            groupedByDateAndUser[key].checkout = checkOut;
-          }
-        } else {
-          // No corresponding check-in found, group by check-out date
-          const date = dateUtils.getDateString(checkOut.timestamp);
-          const key = `${date}_${userIdStr}`;
-
-          if (!groupedByDateAndUser[key]) {
-            groupedByDateAndUser[key] = {
-              date,
-              userId: userId,
-              checkin: null,
-              checkout: null
-            };
-          }
-
-          if (!groupedByDateAndUser[key].checkout || new Date(checkOut.timestamp) > new Date(groupedByDateAndUser[key].checkout.timestamp)) {
-            groupedByDateAndUser[key].checkout = checkOut;
-          }
-        }
-      });
-    });
+    // Filter out sessions where userId population failed (user might be deleted)
+    const validSessions = sessions.filter(session => session.userId && session.userId._id);
 
-    // Convert to array and sort by date (newest first), then by userId
-    const formattedLogs = Object.values(groupedByDateAndUser)
+    // Sort by shift date (newest first), then by user name
+    const formattedLogs = validSessions
+      .map(formatSession)
       .sort((a, b) => {
         const dateCompare = new Date(b.date) - new Date(a.date);
         if (dateCompare !== 0) return dateCompare;
@@ -794,13 +774,17 @@ exports.getAllAttendanceGrouped = async (req, res) => {
   }
 };
 
-// Check for absent users (can be called manually or by cron)
+// Check for absent users (also run daily by the check-absent-users job)
 exports.checkAbsentUsers = async (req, res) => {
   try {
-    await checkAbsentUsers();
+    const result = await checkAbsentUsers();
+
+    await recordAudit(req, { action: 'run', entityType: 'System', entityLabel: 'check-absent', metadata: result });
+
     res.json({
       success: true,
-      message: 'Absent users check completed'
+      message: 'Absent users check completed',
+      data: result
     });
   } catch (error) {
     console.error('Error checking absent users:', error);
@@ -811,37 +795,17 @@ exports.checkAbsentUsers = async (req, res) => {
   }
 };
 
-// Cleanup expired QR codes (can be called manually or by cron)
+// Cleanup expired QR codes (also run by the qr-token-cleanup job)
 exports.cleanupExpiredQRs = async (req, res) => {
   try {
-    // Mark expired tokens
-    await AttendanceToken.updateMany(
-      {
-        status: 'active',
-        validTo: { $lt: new Date() }
-      },
-      { status: 'expired' }
-    );
-
-    // Keep only last 10 QR codes
-    const tokensToKeep = await AttendanceToken.find()
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .select('_id');
+    const result = await qrAutoGenerator.cleanupTokens();
 
-    const idsToKeep = tokensToKeep.map(t => t._id);
-
-    const deleteResult = await AttendanceToken.deleteMany({
-      _id: { $nin: idsToKeep }
-    });
+    await recordAudit(req, { action: 'run', entityType: 'System', entityLabel: 'qr-cleanup', metadata: result });
 
     res.json({
       success: true,
       message: 'Cleanup completed',
-      data: {
-        deleted: deleteResult.deletedCount,
-        kept: tokensToKeep.length
-      }
+      data: result
     });
   } catch (error) {
     console.error('Error cleaning up QR codes:', error);
@@ -867,6 +831,8 @@ exports.updateAttendanceLog = async (req, res) => {
       });
     }
 
+    const before = log.toObject();
+
     // Update timestamp if provided
     if (timestamp) {
       log.timestamp = new Date(timestamp);
@@ -881,9 +847,37 @@ exports.updateAttendanceLog = async (req, res) => {
     log.method = 'manual';
 
     await log.save();
+
+    // Keep the session this log belongs to in sync
+    if (timestamp) {
+      const session = await AttendanceSession.findOne({
+        $or: [{ checkInLog: log._id }, { checkOutLog: log._id }]
+      });
+
+      if (session) {
+        if (session.checkInLog.equals(log._id)) {
+          session.checkIn = log.timestamp;
+        } else {
+          session.checkOut = log.timestamp;
+        }
+        session.calculateTotals();
+        await session.save();
+      }
+    }
+
     await log.populate('userId', 'name email department');
     await log.populate('tokenId', 'sequenceNumber');
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'AttendanceLog',
+      entity: log,
+      entityLabel: log.userId?.name,
+      before,
+      after: log,
+      metadata: { type: log.type }
+    });
+
     res.json({
       success: true,
       message: 'Attendance log updated successfully',
@@ -897,3 +891,93 @@ exports.updateAttendanceLog = async (req, res) => {
     });
   }
 };
+
+// Get monthly timesheet with payroll hours (admin/supervisor)
+// Downloads as CSV or XLSX when format is provided
+exports.getTimesheet = async (req, res) => {
+  try {
+    const { department, userId, format = 'json', language = 'en' } = req.query;
+    const now = dateUtils.getDateComponents(new Date());
+    const month = req.query.month !== undefined ? parseInt(req.query.month) : now.month;
+    const year = req.query.year !== undefined ? parseInt(req.query.year) : now.year;
+
+    if (isNaN(month) || month < 0 || month > 11 || isNaN(year)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be between 0 and 11 and year must be a number'
+      });
+    }
+
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or xlsx'
+      });
+    }
+
+    // Supervisors can only export their departments
+    let departmentFilter = department;
+    if (req.user.baseRole === 'supervisor') {
+      const departments = req.user.departments || [];
+      if (department && !departments.includes(department)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this department'
+        });
+      }
+      departmentFilter = department || departments;
+
+      if (userId) {
+        const employee = await User.findById(userId).select('department branch');
+        if (!employee || !departments.includes(employee.department) ||
+          !branchScope.hasBranchAccess(req.user, employee.branch)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied'
+          });
+        }
+      }
+    }
+
+    const rows = await timesheet.buildTimesheet({
+      year,
+      month,
+      department: departmentFilter,
+      branch: branchScope.getBranchFilter(req.user, req.query.branch).branch,
+      userId
+    });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        count: rows.length,
+        data: {
+          month,
+          year,
+          rows
+        }
+      });
+    }
+
+    const period = `${year}-${String(month + 1).padStart(2, '0')}`;
+    let buffer;
+    if (format === 'csv') {
+      buffer = timesheet.toCSV(rows, language);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    } else {
+      buffer = await timesheet.toXLSX(rows, { year, month, language });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="timesheet_${period}.${format}"`);
+    res.setHeader('Content-Length', buffer.length);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
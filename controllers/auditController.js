@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Get audit trail
+// @route   GET /api/audit
+// @access  Private (audit.view)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, action, entityType, entityId, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      data: logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the change history of one entity
+// @route   GET /api/audit/:entityType/:entityId
+// @access  Private (audit.view)
+exports.getEntityHistory = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid entity ID'
+      });
+    }
+
+    const logs = await AuditLog.find({ entityType, entityId })
+      .populate('actor', 'name email role')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: logs.length,
+      data: logs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
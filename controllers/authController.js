@@ -1,14 +1,54 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken, generateResetToken } = require('../utils/tokenUtils');
+const Session = require('../models/Session');
+const { generateResetToken } = require('../utils/tokenUtils');
+const { createSession, rotateSession, revokeSessions, invalidateUserTokens } = require('../utils/sessions');
 const { sendEmailToUser, getPasswordResetEmail, getPasswordResetRequestEmail, getPasswordResetByAdminEmail, sendEmailToAdmins } = require('../utils/emailService');
 const crypto = require('crypto');
+const { logActivity } = require('../utils/activityLog');
+const twoFactor = require('../utils/twoFactor');
+const passwordPolicy = require('../utils/passwordPolicy');
+const loginLockout = require('../utils/loginLockout');
+const { createNotification } = require('../utils/notifications');
+
+// @desc    Get the password rules (to show them in password forms)
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: passwordPolicy.getPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
-// @desc    Register user
+// @desc    Register user (only when ALLOW_SELF_REGISTRATION=true; otherwise users join by invitation)
 // @route   POST /api/auth/register
-// @access  Public (Admin only in production)
+// @access  Public
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, phone, role, department, departments, languagePreference } = req.body;
+    if (process.env.ALLOW_SELF_REGISTRATION !== 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only. Please ask an administrator for an invitation'
+      });
+    }
+
+    const { name, email, password, phone, department, languagePreference } = req.body;
+
+    const passwordError = passwordPolicy.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
 
     // Check if user exists (optimized - only check email)
     const existingUser = await User.findOne({ email }).select('_id email').lean();
@@ -25,19 +65,13 @@ exports.register = async (req, res) => {
       email,
       password,
       phone,
-      role: role || 'employee',
+      // Self-registered accounts are always employees; other roles are granted by invitation
+      role: 'employee',
       department: department || 'other',
-      departments: departments || [],
       languagePreference: languagePreference || 'en'
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    const { accessToken, refreshToken } = await createSession(req, user);
 
     res.status(201).json({
       success: true,
@@ -49,6 +83,8 @@ exports.register = async (req, res) => {
           role: user.role,
           department: user.department,
           departments: user.departments,
+          branch: user.branch,
+          branches: user.branches,
           languagePreference: user.languagePreference
         },
         accessToken,
@@ -63,7 +99,90 @@ exports.register = async (req, res) => {
   }
 };
 
-// @desc    Login user
+// Response for a locked account
+const sendLocked = (res, user) => res.status(423).json({
+  success: false,
+  message: `Too many failed attempts. Your account is locked for ${loginLockout.remainingMinutes(user)} minute(s)`,
+  lockUntil: user.lockUntil
+});
+
+// Count a failed password or code; tell the admins when it locks the account
+const handleFailedAttempt = async (req, res, user, message) => {
+  const result = await loginLockout.recordFailure(user);
+
+  if (!result.locked) {
+    return res.status(401).json({
+      success: false,
+      message
+    });
+  }
+
+  await createNotification({
+    type: 'system_alert',
+    title: {
+      en: 'Account Locked',
+      ar: 'تم قفل الحساب'
+    },
+    message: {
+      en: `${user.name}'s account was locked after ${result.attempts} failed login attempts`,
+      ar: `تم قفل حساب ${user.name} بعد ${result.attempts} محاولات دخول فاشلة`
+    },
+    data: {
+      userId: user._id,
+      attempts: result.attempts,
+      lockUntil: result.lockUntil,
+      ip: req.ip
+    },
+    roles: ['admin']
+  });
+
+  user.lockUntil = result.lockUntil;
+  return sendLocked(res, user);
+};
+
+// Start a session and send the tokens (last step of a login)
+const completeLogin = async (req, res, user, extra = {}) => {
+  await loginLockout.resetFailures(user);
+
+  // One session per device: other devices stay logged in
+  const { session, accessToken, refreshToken } = await createSession(req, user);
+
+  logActivity(req, 'login', { sessionId: session._id, ...(extra.twoFactor && { twoFactor: extra.twoFactor }) }, user._id);
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        departments: user.departments,
+        branch: user.branch,
+        branches: user.branches,
+        languagePreference: user.languagePreference,
+        twoFactorEnabled: Boolean(extra.twoFactor || user.twoFactorEnabled)
+      },
+      accessToken,
+      refreshToken,
+      ...(extra.recoveryCodes && { recoveryCodes: extra.recoveryCodes })
+    }
+  });
+};
+
+// Load the user of a login challenge (still active, no tokens invalidated since)
+const getChallengeUser = async (challengeToken) => {
+  const decoded = challengeToken && twoFactor.verifyChallengeToken(challengeToken);
+  if (!decoded) return null;
+
+  const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorPendingSecret');
+  if (!user || !user.isActive || (user.tokenVersion || 0) !== decoded.tv) return null;
+
+  return user;
+};
+
+// @desc    Login user (returns a challenge token instead of tokens when two-factor authentication applies)
 // @route   POST /api/auth/login
 // @access  Public
 exports.login = async (req, res) => {
@@ -95,41 +214,29 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (loginLockout.isLocked(user)) {
+      return sendLocked(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return handleFailedAttempt(req, res, user, 'Invalid credentials');
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Save refresh token (use updateOne to avoid full document validation)
-    await User.updateOne(
-      { _id: user._id },
-      { refreshToken }
-    );
+    // Second step: an authenticator code, or enrolment when the role requires it
+    if (user.twoFactorEnabled || await twoFactor.requiresTwoFactor(user)) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          enrollmentRequired: !user.twoFactorEnabled,
+          challengeToken: twoFactor.generateChallengeToken(user)
+        }
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          departments: user.departments,
-          languagePreference: user.languagePreference
-        },
-        accessToken,
-        refreshToken
-      }
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -138,7 +245,7 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Refresh access token
+// @desc    Refresh access token (the refresh token is rotated: use the returned one next time)
 // @route   POST /api/auth/refresh
 // @access  Public
 exports.refreshToken = async (req, res) => {
@@ -152,31 +259,29 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-    if (!decoded) {
+    const result = await rotateSession(req, refreshToken);
+    if (result.error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: result.error
       });
     }
 
     // Get user
-    const user = await User.findById(decoded.id).select('+refreshToken');
-    if (!user || user.refreshToken !== refreshToken) {
+    const user = await User.findById(result.userId).select('isActive tokenVersion');
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== result.tokenVersion) {
+      await revokeSessions({ _id: result.session._id });
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user._id);
-
     res.json({
       success: true,
       data: {
-        accessToken
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken
       }
     });
   } catch (error) {
@@ -187,14 +292,16 @@ exports.refreshToken = async (req, res) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Logout user (ends the current session only)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res) => {
   try {
-    // Clear refresh token
-    req.user.refreshToken = null;
-    await req.user.save();
+    if (req.sessionId) {
+      await revokeSessions({ _id: req.sessionId, user: req.user._id }, 'logout');
+    }
+
+    logActivity(req, 'logout');
 
     res.json({
       success: true,
@@ -208,6 +315,343 @@ exports.logout = async (req, res) => {
   }
 };
 
+// @desc    Get my active sessions (one per logged-in device)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName deviceId userAgent ipAddress lastSeenAt expiresAt createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke all my sessions except the current one
+// @route   DELETE /api/auth/sessions/others
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.sessionId) query._id = { $ne: req.sessionId };
+
+    const revoked = await revokeSessions(query);
+
+    logActivity(req, 'session_revoke', { count: revoked });
+
+    res.json({
+      success: true,
+      count: revoked,
+      message: `${revoked} session(s) revoked`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSessions({ _id: session._id });
+
+    logActivity(req, 'session_revoke', { sessionId: session._id, deviceName: session.deviceName });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Complete a login with an authenticator or recovery code
+//          (users enrolling because their role requires it send the first code of the new secret)
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an authentication code or a recovery code'
+      });
+    }
+
+    const user = await getChallengeUser(challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please log in again'
+      });
+    }
+
+    if (loginLockout.isLocked(user)) {
+      return sendLocked(res, user);
+    }
+
+    if (!user.twoFactorEnabled) {
+      const recoveryCodes = await twoFactor.confirmEnrolment(user, code);
+      if (!recoveryCodes) {
+        return handleFailedAttempt(req, res, user, 'Invalid authentication code');
+      }
+
+      logActivity(req, 'settings_change', { twoFactor: 'enabled' }, user._id);
+      return completeLogin(req, res, user, { twoFactor: 'enrolment', recoveryCodes });
+    }
+
+    const method = await twoFactor.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      return handleFailedAttempt(req, res, user, 'Invalid authentication code');
+    }
+
+    await completeLogin(req, res, user, { twoFactor: method });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the enrolment QR code during a login whose role requires two-factor authentication
+// @route   POST /api/auth/2fa/enroll
+// @access  Public (challenge token)
+exports.enrollTwoFactor = async (req, res) => {
+  try {
+    const user = await getChallengeUser(req.body.challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please log in again'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrolment = await twoFactor.startEnrolment(user);
+
+    res.json({
+      success: true,
+      data: enrolment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment (scan the QR code, then confirm with a code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrolment = await twoFactor.startEnrolment(req.user);
+
+    res.json({
+      success: true,
+      data: enrolment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Confirm two-factor enrolment; returns the recovery codes (shown only once)
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start the two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.confirmEnrolment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    logActivity(req, 'settings_change', { twoFactor: 'enabled' });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Turn two-factor authentication off (not allowed when the role requires it)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await twoFactor.requiresTwoFactor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await twoFactor.disableTwoFactor(user._id);
+
+    logActivity(req, 'settings_change', { twoFactor: 'disabled' });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+
+    logActivity(req, 'settings_change', { twoFactor: 'recovery_codes' });
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -224,9 +668,14 @@ exports.getMe = async (req, res) => {
           email: user.email,
           phone: user.phone,
           role: user.role,
+          baseRole: req.user.baseRole,
+          permissions: req.user.permissions,
           department: user.department,
           departments: user.departments,
+          branch: user.branch,
+          branches: user.branches,
           languagePreference: user.languagePreference,
+          twoFactorEnabled: user.twoFactorEnabled,
           leaveBalance: user.leaveBalance,
           isActive: user.isActive,
           workDays: user.workDays || [],
@@ -257,6 +706,8 @@ exports.updateProfile = async (req, res) => {
 
     await user.save();
 
+    logActivity(req, 'profile_update', { fields: ['name', 'phone', 'languagePreference'].filter(f => req.body[f]) });
+
     res.json({
       success: true,
       data: {
@@ -268,6 +719,8 @@ exports.updateProfile = async (req, res) => {
           role: user.role,
           department: user.department,
           departments: user.departments,
+          branch: user.branch,
+          branches: user.branches,
           languagePreference: user.languagePreference
         }
       }
@@ -294,7 +747,7 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Check current password
     const isMatch = await user.comparePassword(currentPassword);
@@ -306,15 +759,31 @@ exports.changePassword = async (req, res) => {
     }
 
     // Update password
-    user.password = newPassword;
+    const passwordError = await passwordPolicy.applyPassword(user, newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
     // Clear reset token if exists
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Log out every device, then start a new session for this one
+    user.tokenVersion = await invalidateUserTokens(user._id);
+    const { accessToken, refreshToken } = await createSession(req, user);
+
+    logActivity(req, 'password_change');
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        accessToken,
+        refreshToken
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -396,13 +865,6 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters'
-      });
-    }
-
     // Hash token to compare
     const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
@@ -410,7 +872,7 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken: hashedToken,
       resetPasswordExpire: { $gt: Date.now() }
-    }).select('+resetPasswordToken +resetPasswordExpire');
+    }).select('+resetPasswordToken +resetPasswordExpire +password +passwordHistory');
 
     if (!user) {
       return res.status(400).json({
@@ -420,11 +882,21 @@ exports.resetPassword = async (req, res) => {
     }
 
     // Update password
-    user.password = password;
+    const passwordError = await passwordPolicy.applyPassword(user, password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    await invalidateUserTokens(user._id);
+    // Proving access to the email also lifts a lockout
+    await loginLockout.resetFailures(user);
+
     res.json({
       success: true,
       message: 'Password reset successfully'
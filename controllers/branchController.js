@@ -0,0 +1,190 @@
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const qrAutoGenerator = require('../services/qrAutoGenerator');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Get all branches
+// @route   GET /api/branches
+// @access  Private
+exports.getBranches = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    let query = {};
+
+    // Only admins can see inactive branches
+    if (req.user.baseRole !== 'admin') {
+      query.isActive = true;
+    } else if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const branches = await Branch.find(query).sort('code');
+
+    res.json({
+      success: true,
+      count: branches.length,
+      data: branches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single branch
+// @route   GET /api/branches/:id
+// @access  Private
+exports.getBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch || (!branch.isActive && req.user.baseRole !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create branch
+// @route   POST /api/branches
+// @access  Private (Admin only)
+exports.createBranch = async (req, res) => {
+  try {
+    const { name, code, address, phone, geofence, isActive } = req.body;
+
+    const existingBranch = await Branch.findOne({ code: code?.toLowerCase() });
+    if (existingBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch already exists with this code'
+      });
+    }
+
+    const branch = await Branch.create({
+      name,
+      code,
+      address,
+      phone,
+      geofence,
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'Branch', entity: branch, after: branch });
+
+    // Start the branch's QR stream if the auto-generator is running
+    await qrAutoGenerator.syncBranch(branch);
+
+    res.status(201).json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update branch
+// @route   PUT /api/branches/:id
+// @access  Private (Admin only)
+exports.updateBranch = async (req, res) => {
+  try {
+    const { name, code, address, phone, geofence, isActive } = req.body;
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const before = branch.toObject();
+
+    if (name) branch.name = name;
+    if (code) branch.code = code;
+    if (address !== undefined) branch.address = address;
+    if (phone !== undefined) branch.phone = phone;
+    if (geofence !== undefined) branch.geofence = geofence;
+    if (isActive !== undefined) branch.isActive = isActive;
+
+    await branch.save();
+
+    await recordAudit(req, { action: 'update', entityType: 'Branch', entity: branch, before, after: branch });
+
+    // Start or stop the branch's QR stream
+    await qrAutoGenerator.syncBranch(branch);
+
+    res.json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete branch
+// @route   DELETE /api/branches/:id
+// @access  Private (Admin only)
+exports.deleteBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    // Branches with users must be deactivated instead
+    const userCount = await User.countDocuments({
+      $or: [{ branch: branch._id }, { branches: branch._id }]
+    });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Branch has ${userCount} user(s) assigned. Reassign them or deactivate the branch instead`
+      });
+    }
+
+    await branch.deleteOne();
+
+    await recordAudit(req, { action: 'delete', entityType: 'Branch', entity: branch, before: branch });
+
+    qrAutoGenerator.stopStream(branch._id);
+
+    res.json({
+      success: true,
+      message: 'Branch deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
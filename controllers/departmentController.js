@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const FormInstance = require('../models/FormInstance');
+const FormTemplate = require('../models/FormTemplate');
+const departments = require('../utils/departments');
+const { recordAudit } = require('../utils/audit');
+const { resolveUserAccess } = require('../utils/permissions');
+
+// Validate a head supervisor (any role based on supervisor or admin) and give them access to the department
+const assignHeadSupervisor = async (userId, code) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return false;
+  }
+
+  const supervisor = await User.findById(userId).select('role department departments');
+  if (!supervisor) {
+    return false;
+  }
+
+  const { baseRole } = await resolveUserAccess(supervisor);
+  if (!['supervisor', 'admin'].includes(baseRole)) {
+    return false;
+  }
+
+  if (baseRole === 'supervisor' && !supervisor.departments.includes(code)) {
+    await User.updateOne({ _id: supervisor._id }, { $addToSet: { departments: code } });
+  }
+
+  return true;
+};
+
+// @desc    Get all departments
+// @route   GET /api/departments
+// @access  Private
+exports.getDepartments = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    // Make sure the default departments exist
+    await departments.loadDepartments();
+
+    let query = {};
+
+    // Only admins can see inactive departments
+    if (req.user.baseRole !== 'admin') {
+      query.isActive = true;
+    } else if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const list = await Department.find(query)
+      .populate('headSupervisor', 'name email')
+      .sort('code');
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create department
+// @route   POST /api/departments
+// @access  Private (Admin only)
+exports.createDepartment = async (req, res) => {
+  try {
+    const { code, name, isActive, headSupervisor } = req.body;
+
+    const existingDepartment = await Department.findOne({ code: code?.toLowerCase() });
+    if (existingDepartment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department already exists with this code'
+      });
+    }
+
+    const department = new Department({
+      code,
+      name,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    // Validate before touching the head supervisor
+    await department.validate();
+
+    if (headSupervisor) {
+      if (!(await assignHeadSupervisor(headSupervisor, department.code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Head supervisor must be a supervisor or admin'
+        });
+      }
+      department.headSupervisor = headSupervisor;
+    }
+
+    await department.save();
+    departments.invalidate();
+
+    await recordAudit(req, { action: 'create', entityType: 'Department', entity: department, after: department });
+
+    res.status(201).json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update department (the code cannot change)
+// @route   PUT /api/departments/:id
+// @access  Private (Admin only)
+exports.updateDepartment = async (req, res) => {
+  try {
+    const { name, isActive, headSupervisor } = req.body;
+
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const before = department.toObject();
+
+    if (name?.en) department.name.en = name.en;
+    if (name?.ar) department.name.ar = name.ar;
+    if (isActive !== undefined) department.isActive = isActive;
+
+    if (headSupervisor !== undefined) {
+      if (headSupervisor) {
+        if (!(await assignHeadSupervisor(headSupervisor, department.code))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Head supervisor must be a supervisor or admin'
+          });
+        }
+        department.headSupervisor = headSupervisor;
+      } else {
+        department.headSupervisor = undefined;
+      }
+    }
+
+    await department.save();
+    departments.invalidate();
+
+    await recordAudit(req, { action: 'update', entityType: 'Department', entity: department, before, after: department });
+
+    res.json({
+      success: true,
+      data: department
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete department
+// @route   DELETE /api/departments/:id
+// @access  Private (Admin only)
+exports.deleteDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    // Departments still referenced must be deactivated instead
+    const [userCount, instanceCount, templateCount] = await Promise.all([
+      User.countDocuments({
+        $or: [{ department: department.code }, { departments: department.code }]
+      }),
+      FormInstance.countDocuments({ department: department.code }),
+      FormTemplate.countDocuments({ departments: department.code })
+    ]);
+
+    if (userCount + instanceCount + templateCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department is in use by users, forms or templates. Deactivate it instead'
+      });
+    }
+
+    await department.deleteOne();
+    departments.invalidate();
+
+    await recordAudit(req, { action: 'delete', entityType: 'Department', entity: department, before: department });
+
+    res.json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
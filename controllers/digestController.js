@@ -0,0 +1,163 @@
+const DigestSettings = require('../models/DigestSettings');
+const User = require('../models/User');
+const { isValidRole } = require('../utils/permissions');
+const { loadDepartments } = require('../utils/departments');
+const { recordAudit } = require('../utils/audit');
+const { PERIOD_DAYS, buildDigest, sendDigest } = require('../utils/managerDigest');
+const { getManagerDigestEmail } = require('../utils/emailService');
+
+// @desc    Get manager digest schedule and recipients
+// @route   GET /api/digest/settings
+// @access  Private (digest.manage)
+exports.getDigestSettings = async (req, res) => {
+  try {
+    const settings = await DigestSettings.getSettings();
+    await settings.populate('recipients.users', 'name email role');
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update manager digest schedule and recipients
+// @route   PUT /api/digest/settings
+// @access  Private (digest.manage)
+exports.updateDigestSettings = async (req, res) => {
+  try {
+    const { daily, weekly, recipients } = req.body;
+
+    const settings = await DigestSettings.getSettings();
+    const before = settings.toObject();
+
+    if (recipients?.roles) {
+      for (const role of recipients.roles) {
+        if (!(await isValidRole(role))) {
+          return res.status(400).json({
+            success: false,
+            message: `${role} is not a valid role`
+          });
+        }
+      }
+      settings.recipients.roles = recipients.roles;
+    }
+
+    if (recipients?.users) {
+      const count = await User.countDocuments({ _id: { $in: recipients.users } });
+      if (count !== recipients.users.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more recipient users were not found'
+        });
+      }
+      settings.recipients.users = recipients.users;
+    }
+
+    if (daily) settings.set('daily', { ...before.daily, ...daily });
+    if (weekly) settings.set('weekly', { ...before.weekly, ...weekly });
+    settings.updatedBy = req.user._id;
+
+    const validationError = settings.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    await settings.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'System',
+      entity: settings,
+      entityLabel: 'manager-digest',
+      before,
+      after: settings
+    });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Preview the digest for the current user (JSON, or the email with ?format=html)
+// @route   GET /api/digest/preview?period=daily|weekly
+// @access  Private (digest.manage)
+exports.previewDigest = async (req, res) => {
+  try {
+    const period = req.query.period || 'daily';
+    if (!PERIOD_DAYS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be daily or weekly'
+      });
+    }
+
+    const digest = await buildDigest(req.user, period);
+
+    if (req.query.format === 'html') {
+      await loadDepartments();
+      const language = req.query.language || req.user.languagePreference || 'ar';
+      const email = getManagerDigestEmail({ ...digest, userName: req.user.name }, language);
+      return res.type('html').send(email.html);
+    }
+
+    res.json({
+      success: true,
+      data: digest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send the digest to all recipients now
+// @route   POST /api/digest/send
+// @access  Private (digest.manage)
+exports.sendDigestNow = async (req, res) => {
+  try {
+    const period = req.body.period || 'daily';
+    if (!PERIOD_DAYS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be daily or weekly'
+      });
+    }
+
+    const result = await sendDigest(period);
+
+    await recordAudit(req, {
+      action: 'run',
+      entityType: 'System',
+      entityLabel: `${period}-digest`,
+      metadata: result
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
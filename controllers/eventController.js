@@ -0,0 +1,20 @@
+const realtime = require('../services/realtime');
+const { checkRequestAuth } = require('../utils/sessions');
+
+// @desc    Open the current user's event stream (notifications and messages)
+// @route   GET /api/events
+// @access  Private (token in the Authorization header or ?token= for EventSource)
+// The stream ends with an `unauthorized` event once the token expires or is revoked
+exports.streamEvents = (req, res) => {
+  realtime.addClient(req, res, { userId: req.user._id, verify: () => checkRequestAuth(req) });
+};
+
+// @desc    Get connected client counts
+// @route   GET /api/events/status
+// @access  Private (Admin only)
+exports.getStatus = (req, res) => {
+  res.json({
+    success: true,
+    data: realtime.getStatus()
+  });
+};
@@ -0,0 +1,98 @@
+const FormAssignment = require('../models/FormAssignment');
+const { hasPermission } = require('../utils/permissions');
+const { getBranchFilter } = require('../utils/branchScope');
+const { buildCompliance } = require('../utils/formAssignments');
+const dateUtils = require('../utils/dateUtils');
+const shiftUtils = require('../utils/shiftUtils');
+
+// Build the assignment query from the request filters and the user's scope
+const buildQuery = (req, defaults = {}) => {
+  const { templateId, department, branch, dateFrom = defaults.dateFrom, dateTo } = req.query;
+
+  const query = getBranchFilter(req.user, branch);
+
+  if (templateId) query.template = templateId;
+  if (department) query.department = department;
+
+  if (dateFrom || dateTo) {
+    query.date = {};
+    if (dateFrom) query.date.$gte = dateFrom;
+    if (dateTo) query.date.$lte = dateTo;
+  }
+
+  // Same department scope as form instances
+  if (req.user.baseRole === 'supervisor') {
+    if (!department) {
+      query.department = { $in: req.user.departments };
+    } else if (!req.user.departments.includes(department)) {
+      // A department outside the supervisor's scope matches nothing
+      query.department = { $in: [] };
+    }
+  } else if (req.user.baseRole === 'admin' && !hasPermission(req.user, 'forms.all-departments')) {
+    query.department = req.user.department;
+  }
+
+  return query;
+};
+
+// @desc    Get expected forms generated from template recurrence rules
+// @route   GET /api/form-assignments
+// @access  Private (forms.view)
+exports.getFormAssignments = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = buildQuery(req);
+    if (status) query.status = status;
+
+    const assignments = await FormAssignment.find(query)
+      .populate('template', 'title')
+      .populate('instance', 'filledBy status')
+      .sort({ dueAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await FormAssignment.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: assignments.length,
+      total,
+      data: assignments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get completion rates per template, department and week
+// @route   GET /api/form-assignments/compliance
+// @access  Private (forms.view)
+exports.getCompliance = async (req, res) => {
+  try {
+    // Default to the last 4 weeks
+    const dateFrom = shiftUtils.shiftDateString(dateUtils.getDateString(new Date()), -27);
+
+    const data = await buildCompliance(buildQuery(req, { dateFrom }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
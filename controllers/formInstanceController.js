@@ -1,45 +1,78 @@
+const mongoose = require('mongoose');
 const FormInstance = require('../models/FormInstance');
 const FormTemplate = require('../models/FormTemplate');
 const { createNotification } = require('../utils/notifications');
-const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { logActivity } = require('../utils/activityLog');
+const { completeAssignment } = require('../utils/formAssignments');
+const { validateFormValues } = require('../utils/formValidation');
+const { storeVersion, getInstanceTemplate } = require('../utils/templateVersions');
+const { startApproval, getPendingApproval, cancelApproval, decideStep } = require('../utils/approvals');
 const pdfGenerator = require('../utils/pdfGenerator');
-const { sendEmailToAdmins, sendEmailToUser, getFormSubmittedEmail, getFormApprovedEmail, getFormRejectedEmail } = require('../utils/emailService');
+const { getBranchFilter, hasBranchAccess } = require('../utils/branchScope');
+const { sendEmailToAdmins, sendEmailToUser, getFormSubmittedEmail, getFormApprovedEmail, getFormRejectedEmail, getBulkDecisionEmail } = require('../utils/emailService');
 const path = require('path');
 const fs = require('fs');
 
+// Maximum number of forms decided by one bulk request
+const BULK_LIMIT = 200;
+
+// Departments whose forms a user can access: null for all (admins with
+// forms.all-departments), their own department for other admins, and their
+// departments for every other role (supervisors and custom roles given forms.*)
+const getFormDepartments = (user) => {
+  if (user.baseRole === 'admin') {
+    return hasPermission(user, 'forms.all-departments') ? null : [user.department];
+  }
+  const departments = user.departments && user.departments.length > 0 ? user.departments : [user.department];
+  return departments.filter(Boolean);
+};
+
+// Check that a form is in the user's departments and branches
+const canAccessForm = (user, instance) => {
+  const departments = getFormDepartments(user);
+  return (!departments || departments.includes(instance.department)) && hasBranchAccess(user, instance.branch);
+};
+
+// Build the form instance query from filters and the user's scope
+const buildInstanceQuery = (req, filters = {}) => {
+  const { templateId, status, department, branch, shift, dateFrom, dateTo, filledBy } = filters;
+
+  // Branch scope (supervisors and employees are limited to their branches)
+  const query = getBranchFilter(req.user, branch);
+
+  // Apply filters
+  if (templateId) query.templateId = templateId;
+  if (status) query.status = status;
+  if (department) query.department = department;
+  if (shift) query.shift = shift;
+  if (filledBy) query.filledBy = filledBy;
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    query.date = {};
+    if (dateFrom) query.date.$gte = new Date(dateFrom);
+    if (dateTo) query.date.$lte = new Date(dateTo);
+  }
+
+  // Department scope (only admins with forms.all-departments see every department)
+  const departments = getFormDepartments(req.user);
+  if (departments) {
+    query.department = department && departments.includes(department)
+      ? department
+      : { $in: department ? [] : departments };
+  }
+
+  return query;
+};
+
 // @desc    Get all form instances
 // @route   GET /api/form-instances
 // @access  Private
 exports.getFormInstances = async (req, res) => {
   try {
-    const { templateId, status, department, dateFrom, dateTo, filledBy } = req.query;
-
-    let query = {};
-
-    // Apply filters
-    if (templateId) query.templateId = templateId;
-    if (status) query.status = status;
-    if (department) query.department = department;
-    if (filledBy) query.filledBy = filledBy;
-
-    // Date range filter
-    if (dateFrom || dateTo) {
-      query.date = {};
-      if (dateFrom) query.date.$gte = new Date(dateFrom);
-      if (dateTo) query.date.$lte = new Date(dateTo);
-    }
-
-    // Role-based filtering (employees are blocked at route level)
-    if (req.user.role === 'supervisor') {
-      query.department = { $in: req.user.departments };
-    } else if (req.user.role === 'admin') {
-      // Only management admins can see all forms
-      // Other admins see only their department forms
-      if (req.user.department !== 'management') {
-        query.department = req.user.department;
-      }
-      // If management admin, no filter - see all forms
-    }
+    const query = buildInstanceQuery(req, req.query);
 
     const instances = await FormInstance.find(query)
       .populate('templateId', 'title')
@@ -77,26 +110,21 @@ exports.getFormInstance = async (req, res) => {
       });
     }
 
-    // Check access rights (employees are blocked at route level)
-
-    if (req.user.role === 'supervisor' && !req.user.departments.includes(instance.department)) {
+    // Check access rights (department and branch scope)
+    if (!canAccessForm(req.user, instance)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this form'
       });
     }
 
-    // Non-management admins can only access their department forms
-    if (req.user.role === 'admin' && req.user.department !== 'management' && instance.department !== req.user.department) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this form'
-      });
-    }
+    // Return the template as it was when the form was filled
+    const data = instance.toObject();
+    data.templateId = await getInstanceTemplate(instance);
 
     res.json({
       success: true,
-      data: instance
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -122,28 +150,54 @@ exports.createFormInstance = async (req, res) => {
       });
     }
 
-    if (!template.editableByRoles.includes(req.user.role)) {
+    if (!template.editableByRoles.includes(req.user.baseRole)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to fill this form'
       });
     }
 
+    // Validate the values against the template; drafts may leave required fields empty
+    const validation = validateFormValues(template, values || {}, { draft: (status || 'draft') === 'draft' });
+    if (validation.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some form values are invalid',
+        errors: validation.errors
+      });
+    }
+
+    // Pin the template version the form is filled against
+    await storeVersion(template);
+
     const instance = await FormInstance.create({
       templateId,
+      templateVersion: template.version,
       filledBy: req.user.id,
       department: department || req.user.department,
+      branch: req.user.branch,
       date: date || Date.now(),
       shift: shift || 'morning',
-      values: values || {},
+      values: validation.values,
       status: status || 'draft'
     });
 
     await instance.populate('templateId', 'title');
     await instance.populate('filledBy', 'name email department');
 
-    // Create notification for admins when form is submitted
+    // Notify admins and the department's supervisors when form is submitted
     if (status === 'submitted') {
+      logActivity(req, 'form_submit', { formId: instance._id, templateId: instance.templateId._id });
+      await completeAssignment(instance);
+
+      // Multi-step approval when a workflow applies to this template
+      await startApproval('FormInstance', instance, {
+        requestedBy: instance.filledBy._id,
+        department: instance.department,
+        branch: instance.branch,
+        templateId: instance.templateId._id
+      });
+
       const templateTitleEn = instance.templateId?.title?.en || 'Form';
       const templateTitleAr = instance.templateId?.title?.ar || 'نموذج';
       const userName = instance.filledBy?.name || 'User';
@@ -163,7 +217,11 @@ exports.createFormInstance = async (req, res) => {
           templateId: templateId,
           filledBy: instance.filledBy._id,
           department: instance.department
-        }
+        },
+        roles: ['admin', 'supervisor'],
+        departments: [instance.department],
+        branch: instance.branch,
+        exclude: [req.user._id]
       });
 
       // Send email to admins
@@ -173,7 +231,7 @@ exports.createFormInstance = async (req, res) => {
         department: instance.department,
         date: instance.date,
         shift: instance.shift
-      }, language), instance.department);
+      }, language), instance.department, { type: 'form_submitted' });
     }
 
     res.status(201).json({
@@ -195,6 +253,14 @@ exports.updateFormInstance = async (req, res) => {
   try {
     const { department, date, shift, values, status } = req.body;
 
+    // Decisions go through PUT /:id/approve (and its approval workflow)
+    if (status && !['draft', 'submitted'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be draft or submitted; use the approve endpoint to approve or reject'
+      });
+    }
+
     let instance = await FormInstance.findById(req.params.id);
 
     if (!instance) {
@@ -204,24 +270,80 @@ exports.updateFormInstance = async (req, res) => {
       });
     }
 
-    // Only admin/supervisor can update (employees are blocked at route level)
+    // Only forms of the user's departments and branches can be updated
+    if (!canAccessForm(req.user, instance)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this form'
+      });
+    }
+
+    // ...nor moved to a department outside them
+    const departments = getFormDepartments(req.user);
+    if (department && departments && !departments.includes(department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this department'
+      });
+    }
 
     // Store old status to check if it changed to submitted
     const oldStatus = instance.status;
+    const before = instance.toObject();
 
     // Update fields
     if (department) instance.department = department;
     if (date) instance.date = date;
     if (shift) instance.shift = shift;
-    if (values) instance.values = values;
     if (status) instance.status = status;
 
+    // Re-validate the values against the template version the form was filled against
+    const template = await getInstanceTemplate(instance);
+    if (template) {
+      const validation = validateFormValues(template, values || instance.values || {}, { draft: instance.status === 'draft' });
+      if (validation.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some form values are invalid',
+          errors: validation.errors
+        });
+      }
+      instance.values = validation.values;
+    } else if (values) {
+      instance.values = values;
+    }
+
     await instance.save();
     await instance.populate('templateId', 'title');
     await instance.populate('filledBy', 'name email department');
 
-    // Create notification for admins when form status changes from draft to submitted
+    // A form sent back to draft is no longer waiting for approval
+    if (oldStatus !== 'draft' && instance.status === 'draft') {
+      await cancelApproval('FormInstance', instance._id);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'FormInstance',
+      entity: instance,
+      entityLabel: instance.templateId?.title?.en,
+      before,
+      after: instance
+    });
+
+    // Notify admins and the department's supervisors when form status changes from draft to submitted
     if (oldStatus === 'draft' && instance.status === 'submitted') {
+      logActivity(req, 'form_submit', { formId: instance._id, templateId: instance.templateId._id });
+      await completeAssignment(instance);
+
+      // Multi-step approval when a workflow applies to this template
+      await startApproval('FormInstance', instance, {
+        requestedBy: instance.filledBy._id,
+        department: instance.department,
+        branch: instance.branch,
+        templateId: instance.templateId._id
+      });
+
       const templateTitleEn = instance.templateId?.title?.en || 'Form';
       const templateTitleAr = instance.templateId?.title?.ar || 'نموذج';
       const userName = instance.filledBy?.name || 'User';
@@ -241,7 +363,11 @@ exports.updateFormInstance = async (req, res) => {
           templateId: instance.templateId._id,
           filledBy: instance.filledBy._id,
           department: instance.department
-        }
+        },
+        roles: ['admin', 'supervisor'],
+        departments: [instance.department],
+        branch: instance.branch,
+        exclude: [req.user._id]
       });
 
       // Send email to admins
@@ -251,7 +377,7 @@ exports.updateFormInstance = async (req, res) => {
         department: instance.department,
         date: instance.date,
         shift: instance.shift
-      }, language), instance.department);
+      }, language), instance.department, { type: 'form_submitted' });
     }
 
     res.json({
@@ -280,18 +406,8 @@ exports.deleteFormInstance = async (req, res) => {
       });
     }
 
-    // Only admin/supervisor can delete (employees are blocked at route level)
-
-    // Supervisors can only delete their department forms
-    if (req.user.role === 'supervisor' && !req.user.departments.includes(instance.department)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete this form'
-      });
-    }
-
-    // Non-management admins can only delete their department forms
-    if (req.user.role === 'admin' && req.user.department !== 'management' && instance.department !== req.user.department) {
+    // Only forms of the user's departments and branches can be deleted
+    if (!canAccessForm(req.user, instance)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this form'
@@ -299,6 +415,9 @@ exports.deleteFormInstance = async (req, res) => {
     }
 
     await instance.deleteOne();
+    await cancelApproval('FormInstance', instance._id);
+
+    await recordAudit(req, { action: 'delete', entityType: 'FormInstance', entity: instance, before: instance });
 
     res.json({
       success: true,
@@ -312,6 +431,217 @@ exports.deleteFormInstance = async (req, res) => {
   }
 };
 
+// Record a decision on a form instance: the current step of its approval
+// workflow, or the final approval with the usual department access checks
+// Returns { error: { status, message } } or { instance, approval, done }
+const decideFormInstance = async (req, instance, status, notes) => {
+  const approval = await getPendingApproval('FormInstance', instance._id);
+
+  if (approval) {
+    // Workflow steps are decided by their own approvers, whatever their department
+    const result = await decideStep(approval, req.user, status, notes);
+    if (!result) {
+      return { error: { status: 403, message: 'You are not an approver of the current approval step' } };
+    }
+
+    // More steps to go: the form stays submitted
+    if (!result.done) {
+      await recordAudit(req, {
+        action: 'approve',
+        entityType: 'FormInstance',
+        entity: instance,
+        metadata: { approvalId: approval._id, step: result.step.name?.en }
+      });
+
+      return { instance, approval: result.approval, done: false };
+    }
+  } else {
+    // Only forms of the user's departments and branches can be approved
+    if (!canAccessForm(req.user, instance)) {
+      return { error: { status: 403, message: 'You do not have access to approve forms from this department' } };
+    }
+  }
+
+  const before = instance.toObject();
+
+  instance.status = status;
+  instance.approvedBy = req.user.id;
+  instance.approvalDate = Date.now();
+  instance.approvalNotes = notes || '';
+
+  await instance.save();
+  await instance.populate('templateId', 'title');
+  await instance.populate('filledBy', 'name email department languagePreference');
+  await instance.populate('approvedBy', 'name email');
+
+  await recordAudit(req, {
+    action: status === 'approved' ? 'approve' : 'reject',
+    entityType: 'FormInstance',
+    entity: instance,
+    entityLabel: instance.templateId?.title?.en,
+    before,
+    after: instance
+  });
+
+  return { instance, done: true };
+};
+
+// Notify about the final decision on a form instance
+const notifyFormDecision = async (req, instance, status, notes) => {
+  // Notify admins, the department's supervisors and the filler when form is approved/rejected
+  const templateTitleEn = instance.templateId?.title?.en || 'Form';
+  const templateTitleAr = instance.templateId?.title?.ar || 'نموذج';
+  const userName = instance.filledBy?.name || 'User';
+  const action = status === 'approved' ? 'approved' : 'rejected';
+
+  await createNotification({
+    type: `form_${action}`,
+    title: {
+      en: `Form ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+      ar: action === 'approved' ? 'تم الموافقة على النموذج' : 'تم رفض النموذج'
+    },
+    message: {
+      en: `Form "${templateTitleEn}" filled by ${userName} has been ${action}`,
+      ar: action === 'approved'
+        ? `تم الموافقة على النموذج "${templateTitleAr}" الذي ملأه ${userName}`
+        : `تم رفض النموذج "${templateTitleAr}" الذي ملأه ${userName}`
+    },
+    data: {
+      formId: instance._id,
+      templateId: instance.templateId._id,
+      filledBy: instance.filledBy._id,
+      approvedBy: instance.approvedBy._id,
+      status: status
+    },
+    roles: ['admin', 'supervisor'],
+    departments: [instance.department],
+    branch: instance.branch,
+    exclude: [req.user._id, instance.filledBy._id]
+  });
+
+  await createNotification({
+    type: `form_${action}`,
+    title: {
+      en: `Form ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+      ar: action === 'approved' ? 'تم الموافقة على النموذج' : 'تم رفض النموذج'
+    },
+    message: {
+      en: `Your form "${templateTitleEn}" has been ${action}`,
+      ar: action === 'approved'
+        ? `تمت الموافقة على نموذجك "${templateTitleAr}"`
+        : `تم رفض نموذجك "${templateTitleAr}"`
+    },
+    data: {
+      formId: instance._id,
+      templateId: instance.templateId._id,
+      status: status,
+      notes: notes || ''
+    },
+    recipients: [instance.filledBy._id],
+    exclude: [req.user._id]
+  });
+
+  // Send email to user who filled the form
+  if (instance.filledBy?.email) {
+    const userLanguage = instance.filledBy?.languagePreference || 'ar';
+
+    if (status === 'approved') {
+      await sendEmailToUser(instance.filledBy.email, (language) => getFormApprovedEmail({
+        templateTitle: { en: templateTitleEn, ar: templateTitleAr },
+        approvedBy: instance.approvedBy,
+        approvalDate: instance.approvalDate
+      }, language), userLanguage, { type: 'form_approved' });
+    } else {
+      await sendEmailToUser(instance.filledBy.email, (language) => getFormRejectedEmail({
+        templateTitle: { en: templateTitleEn, ar: templateTitleAr },
+        rejectedBy: instance.approvedBy,
+        rejectionDate: instance.approvalDate,
+        rejectionNotes: notes || ''
+      }, language), userLanguage, { type: 'form_rejected' });
+    }
+  }
+};
+
+// Notify about several form instances decided at once: one notification per
+// department and one notification and email per filler, instead of one per form
+const notifyBulkFormDecision = async (req, instances, status, notes) => {
+  if (instances.length === 1) {
+    return notifyFormDecision(req, instances[0], status, notes);
+  }
+
+  const action = status === 'approved' ? 'approved' : 'rejected';
+  const title = {
+    en: `Forms ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+    ar: action === 'approved' ? 'تم الموافقة على النماذج' : 'تم رفض النماذج'
+  };
+  const groupBy = (key) => instances.reduce((groups, instance) => {
+    const group = key(instance);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(instance);
+    return groups;
+  }, new Map());
+
+  // Admins and the department's supervisors
+  for (const group of groupBy(instance => `${instance.department}:${instance.branch || ''}`).values()) {
+    await createNotification({
+      type: `form_${action}`,
+      title,
+      message: {
+        en: `${req.user.name} ${action} ${group.length} form(s)`,
+        ar: action === 'approved'
+          ? `وافق ${req.user.name} على ${group.length} نموذج`
+          : `رفض ${req.user.name} ${group.length} نموذج`
+      },
+      data: {
+        formIds: group.map(instance => instance._id),
+        approvedBy: req.user._id,
+        status: status
+      },
+      roles: ['admin', 'supervisor'],
+      departments: [group[0].department],
+      branch: group[0].branch,
+      exclude: [req.user._id, ...group.map(instance => instance.filledBy?._id)]
+    });
+  }
+
+  // Each filler gets one summary of their forms
+  for (const group of groupBy(instance => instance.filledBy?._id?.toString()).values()) {
+    const filledBy = group[0].filledBy;
+    if (!filledBy) continue;
+
+    await createNotification({
+      type: `form_${action}`,
+      title,
+      message: {
+        en: `${group.length} of your forms have been ${action}`,
+        ar: action === 'approved'
+          ? `تمت الموافقة على ${group.length} من نماذجك`
+          : `تم رفض ${group.length} من نماذجك`
+      },
+      data: {
+        formIds: group.map(instance => instance._id),
+        status: status,
+        notes: notes || ''
+      },
+      recipients: [filledBy._id],
+      exclude: [req.user._id]
+    });
+
+    if (filledBy.email) {
+      await sendEmailToUser(filledBy.email, (language) => getBulkDecisionEmail({
+        kind: 'form',
+        status,
+        items: group.map(instance => ({
+          title: { en: instance.templateId?.title?.en || 'Form', ar: instance.templateId?.title?.ar || 'نموذج' },
+          startDate: instance.date
+        })),
+        decidedBy: req.user,
+        notes
+      }, language), filledBy.languagePreference || 'ar', { type: `form_${action}` });
+    }
+  }
+};
+
 // @desc    Approve/Reject form instance
 // @route   PUT /api/form-instances/:id/approve
 // @access  Private (Admin, Supervisor)
@@ -326,7 +656,7 @@ exports.approveFormInstance = async (req, res) => {
       });
     }
 
-    let instance = await FormInstance.findById(req.params.id);
+    const instance = await FormInstance.findById(req.params.id);
 
     if (!instance) {
       return res.status(404).json({
@@ -335,82 +665,114 @@ exports.approveFormInstance = async (req, res) => {
       });
     }
 
-    // Check department access for supervisors
-    if (req.user.role === 'supervisor' && !req.user.departments.includes(instance.department)) {
-      return res.status(403).json({
+    const result = await decideFormInstance(req, instance, status, notes);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: 'You do not have access to approve forms from this department'
+        message: result.error.message
       });
     }
 
-    // Non-management admins can only approve their department forms
-    if (req.user.role === 'admin' && req.user.department !== 'management' && instance.department !== req.user.department) {
-      return res.status(403).json({
+    if (!result.done) {
+      return res.json({
+        success: true,
+        data: instance,
+        approval: result.approval
+      });
+    }
+
+    await notifyFormDecision(req, instance, status, notes);
+
+    res.json({
+      success: true,
+      data: instance
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve/Reject several submitted form instances
+// @route   PUT /api/form-instances/bulk-approve
+// @access  Private (forms.approve)
+exports.bulkApproveFormInstances = async (req, res) => {
+  try {
+    const { ids, filter, status, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have access to approve forms from this department'
+        message: 'Status must be either approved or rejected'
       });
     }
 
-    instance.status = status;
-    instance.approvedBy = req.user.id;
-    instance.approvalDate = Date.now();
-    instance.approvalNotes = notes || '';
+    if (!Array.isArray(ids) && !filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide ids or a filter'
+      });
+    }
 
-    await instance.save();
-    await instance.populate('templateId', 'title');
-    await instance.populate('filledBy', 'name email department');
-    await instance.populate('approvedBy', 'name email');
+    if (Array.isArray(ids) && ids.length > BULK_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${BULK_LIMIT} forms can be processed at once`
+      });
+    }
 
-    // Create notification for admins when form is approved/rejected
-    const templateTitleEn = instance.templateId?.title?.en || 'Form';
-    const templateTitleAr = instance.templateId?.title?.ar || 'نموذج';
-    const userName = instance.filledBy?.name || 'User';
-    const action = status === 'approved' ? 'approved' : 'rejected';
+    // Explicit ids keep their order; a filter selects submitted forms in the user's scope
+    let items;
+    if (Array.isArray(ids)) {
+      const found = await FormInstance.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) } });
+      items = ids.map(id => ({ id, instance: found.find(instance => instance._id.toString() === String(id)) }));
+    } else {
+      const query = buildInstanceQuery(req, { ...filter, status: 'submitted' });
+      const found = await FormInstance.find(query).sort('date').limit(BULK_LIMIT);
+      items = found.map(instance => ({ id: instance._id.toString(), instance }));
+    }
 
-    await createNotification({
-      type: `form_${action}`,
-      title: {
-        en: `Form ${action === 'approved' ? 'Approved' : 'Rejected'}`,
-        ar: action === 'approved' ? 'تم الموافقة على النموذج' : 'تم رفض النموذج'
-      },
-      message: {
-        en: `Form "${templateTitleEn}" filled by ${userName} has been ${action}`,
-        ar: action === 'approved'
-          ? `تم الموافقة على النموذج "${templateTitleAr}" الذي ملأه ${userName}`
-          : `تم رفض النموذج "${templateTitleAr}" الذي ملأه ${userName}`
-      },
-      data: {
-        formId: instance._id,
-        templateId: instance.templateId._id,
-        filledBy: instance.filledBy._id,
-        approvedBy: instance.approvedBy._id,
-        status: status
+    const results = [];
+    const decided = [];
+
+    for (const { id, instance } of items) {
+      if (!instance) {
+        results.push({ id, success: false, message: 'Form instance not found' });
+        continue;
       }
-    });
 
-    // Send email to user who filled the form
-    if (instance.filledBy?.email) {
-      const userLanguage = instance.filledBy?.languagePreference || 'ar';
-
-      if (status === 'approved') {
-        await sendEmailToUser(instance.filledBy.email, (language) => getFormApprovedEmail({
-          templateTitle: { en: templateTitleEn, ar: templateTitleAr },
-          approvedBy: instance.approvedBy,
-          approvalDate: instance.approvalDate
-        }, language), userLanguage);
-      } else {
-        await sendEmailToUser(instance.filledBy.email, (language) => getFormRejectedEmail({
-          templateTitle: { en: templateTitleEn, ar: templateTitleAr },
-          rejectedBy: instance.approvedBy,
-          rejectionDate: instance.approvalDate,
-          rejectionNotes: notes || ''
-        }, language), userLanguage);
+      if (instance.status !== 'submitted') {
+        results.push({ id, success: false, message: 'Only submitted forms can be approved or rejected' });
+        continue;
+      }
+
+      try {
+        const result = await decideFormInstance(req, instance, status, notes);
+
+        if (result.error) {
+          results.push({ id, success: false, message: result.error.message });
+        } else {
+          results.push({ id, success: true, status: result.done ? status : instance.status });
+          if (result.done) decided.push(instance);
+        }
+      } catch (error) {
+        results.push({ id, success: false, message: error.message });
       }
     }
 
+    await notifyBulkFormDecision(req, decided, status, notes);
+
+    const succeeded = results.filter(result => result.success).length;
+
     res.json({
       success: true,
-      data: instance
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results
     });
   } catch (error) {
     res.status(500).json({
@@ -439,27 +801,27 @@ exports.exportFormInstance = async (req, res) => {
       });
     }
 
-    // Check access rights (employees are blocked at route level)
-
-    if (req.user.role === 'supervisor' && !req.user.departments.includes(instance.department)) {
+    // Check access rights (department and branch scope)
+    if (!canAccessForm(req.user, instance)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this form'
       });
     }
 
-    // Non-management admins can only export their department forms
-    if (req.user.role === 'admin' && req.user.department !== 'management' && instance.department !== req.user.department) {
-      return res.status(403).json({
+    // Render against the template version the form was filled against
+    const template = await getInstanceTemplate(instance);
+    if (!template) {
+      return res.status(404).json({
         success: false,
-        message: 'You do not have access to this form'
+        message: 'Form template not found'
       });
     }
 
     // Generate PDF
     const pdfBuffer = await pdfGenerator.generateFormPDF(
       instance,
-      instance.templateId,
+      template,
       instance.filledBy,
       language
     );
@@ -485,9 +847,9 @@ exports.exportFormInstance = async (req, res) => {
 // @access  Private (Admin, Supervisor)
 exports.getFormStats = async (req, res) => {
   try {
-    const { dateFrom, dateTo, department } = req.query;
+    const { dateFrom, dateTo, department, branch } = req.query;
 
-    let matchQuery = {};
+    let matchQuery = getBranchFilter(req.user, branch);
 
     // Date range
     if (dateFrom || dateTo) {
@@ -496,14 +858,12 @@ exports.getFormStats = async (req, res) => {
       if (dateTo) matchQuery.date.$lte = new Date(dateTo);
     }
 
-    // Department filter
+    // Department filter, within the user's department scope
+    const departments = getFormDepartments(req.user);
     if (department) {
-      matchQuery.department = department;
-    } else if (req.user.role === 'supervisor') {
-      matchQuery.department = { $in: req.user.departments };
-    } else if (req.user.role === 'admin' && req.user.department !== 'management') {
-      // Non-management admins see only their department stats
-      matchQuery.department = req.user.department;
+      matchQuery.department = !departments || departments.includes(department) ? department : { $in: [] };
+    } else if (departments) {
+      matchQuery.department = { $in: departments };
     }
 
     const stats = await FormInstance.aggregate([
@@ -565,8 +925,8 @@ exports.uploadFormImages = async (req, res) => {
       });
     }
 
-    // Check access rights
-    if (req.user.role === 'admin' && req.user.department !== 'management' && formInstance.department !== req.user.department) {
+    // Check access rights (department and branch scope)
+    if (!canAccessForm(req.user, formInstance)) {
       // Delete uploaded files if access denied
       if (req.files && req.files.length > 0) {
         req.files.forEach(file => {
@@ -581,24 +941,6 @@ exports.uploadFormImages = async (req, res) => {
       });
     }
 
-    if (req.user.role === 'supervisor') {
-      const user = await User.findById(formInstance.filledBy);
-      if (!req.user.departments.includes(user.department)) {
-        // Delete uploaded files if access denied
-        if (req.files && req.files.length > 0) {
-          req.files.forEach(file => {
-            fs.unlink(file.path, (err) => {
-              if (err) console.error('Error deleting file:', err);
-            });
-          });
-        }
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have access to this form'
-        });
-      }
-    }
-
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
@@ -658,24 +1000,14 @@ exports.deleteFormImage = async (req, res) => {
       });
     }
 
-    // Check access rights
-    if (req.user.role === 'admin' && req.user.department !== 'management' && formInstance.department !== req.user.department) {
+    // Check access rights (department and branch scope)
+    if (!canAccessForm(req.user, formInstance)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this form'
       });
     }
 
-    if (req.user.role === 'supervisor') {
-      const user = await User.findById(formInstance.filledBy);
-      if (!req.user.departments.includes(user.department)) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have access to this form'
-        });
-      }
-    }
-
     const imageId = req.params.imageId;
     const image = formInstance.images.id(imageId);
 
@@ -1,4 +1,9 @@
 const FormTemplate = require('../models/FormTemplate');
+const FormTemplateVersion = require('../models/FormTemplateVersion');
+const { recordAudit } = require('../utils/audit');
+const { validateTemplateLogic } = require('../utils/formLogic');
+const { validateTemplateConstraints } = require('../utils/formValidation');
+const { snapshot, hasContentChanged, storeVersion, diffVersions } = require('../utils/templateVersions');
 
 // @desc    Get all form templates
 // @route   GET /api/form-templates
@@ -20,7 +25,7 @@ exports.getFormTemplates = async (req, res) => {
     }
 
     // Filter by role visibility
-    query.visibleToRoles = req.user.role;
+    query.visibleToRoles = req.user.baseRole;
 
     const templates = await FormTemplate.find(query)
       .populate('createdBy', 'name email')
@@ -55,7 +60,7 @@ exports.getFormTemplate = async (req, res) => {
     }
 
     // Check if user has access to this template
-    if (!template.visibleToRoles.includes(req.user.role)) {
+    if (!template.visibleToRoles.includes(req.user.baseRole)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this template'
@@ -76,17 +81,9 @@ exports.getFormTemplate = async (req, res) => {
 
 // @desc    Create form template
 // @route   POST /api/form-templates
-// @access  Private (Admin only)
+// @access  Private (templates.manage)
 exports.createFormTemplate = async (req, res) => {
   try {
-    // Only management department admins can create templates
-    if (req.user.role !== 'admin' || req.user.department !== 'management') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only management department admins can create form templates'
-      });
-    }
-
     const {
       title,
       description,
@@ -95,10 +92,19 @@ exports.createFormTemplate = async (req, res) => {
       editableByRoles,
       departments,
       requiresApproval,
+      recurrence,
       layout,
       pdfStyle
     } = req.body;
 
+    const logicError = validateTemplateLogic({ sections }) || validateTemplateConstraints({ sections });
+    if (logicError) {
+      return res.status(400).json({
+        success: false,
+        message: logicError
+      });
+    }
+
     const template = await FormTemplate.create({
       title,
       description,
@@ -107,11 +113,16 @@ exports.createFormTemplate = async (req, res) => {
       editableByRoles: editableByRoles || ['admin', 'supervisor', 'employee'],
       departments: departments || ['all'],
       requiresApproval: requiresApproval !== undefined ? requiresApproval : true,
+      recurrence: recurrence || [],
       layout: layout || {},
       pdfStyle: pdfStyle || {},
       createdBy: req.user.id
     });
 
+    await storeVersion(template, { createdBy: req.user.id });
+
+    await recordAudit(req, { action: 'create', entityType: 'FormTemplate', entity: template });
+
     res.status(201).json({
       success: true,
       data: template
@@ -126,17 +137,9 @@ exports.createFormTemplate = async (req, res) => {
 
 // @desc    Update form template
 // @route   PUT /api/form-templates/:id
-// @access  Private (Admin only)
+// @access  Private (templates.manage)
 exports.updateFormTemplate = async (req, res) => {
   try {
-    // Only management department admins can update templates
-    if (req.user.role !== 'admin' || req.user.department !== 'management') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only management department admins can update form templates'
-      });
-    }
-
     const {
       title,
       description,
@@ -145,6 +148,7 @@ exports.updateFormTemplate = async (req, res) => {
       editableByRoles,
       departments,
       requiresApproval,
+      recurrence,
       isActive,
       layout,
       pdfStyle
@@ -159,6 +163,8 @@ exports.updateFormTemplate = async (req, res) => {
       });
     }
 
+    const before = template.toObject();
+
     // Update fields
     if (title) template.title = title;
     if (description !== undefined) template.description = description;
@@ -167,12 +173,34 @@ exports.updateFormTemplate = async (req, res) => {
     if (editableByRoles) template.editableByRoles = editableByRoles;
     if (departments) template.departments = departments;
     if (requiresApproval !== undefined) template.requiresApproval = requiresApproval;
+    if (recurrence) template.recurrence = recurrence;
     if (isActive !== undefined) template.isActive = isActive;
     if (layout) template.layout = { ...template.layout, ...layout };
     if (pdfStyle) template.pdfStyle = { ...template.pdfStyle, ...pdfStyle };
 
+    const logicError = validateTemplateLogic(template) || validateTemplateConstraints(template);
+    if (logicError) {
+      return res.status(400).json({
+        success: false,
+        message: logicError
+      });
+    }
+
+    // Content changes create a new version; forms filled earlier keep rendering against theirs
+    const contentChanged = hasContentChanged(before, template);
+    if (contentChanged) {
+      await storeVersion(before);
+      template.version = (before.version || 1) + 1;
+    }
+
     await template.save();
 
+    if (contentChanged) {
+      await storeVersion(template, { createdBy: req.user.id });
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'FormTemplate', entity: template, before, after: template });
+
     res.json({
       success: true,
       data: template
@@ -187,17 +215,9 @@ exports.updateFormTemplate = async (req, res) => {
 
 // @desc    Delete form template
 // @route   DELETE /api/form-templates/:id
-// @access  Private (Admin only)
+// @access  Private (templates.manage)
 exports.deleteFormTemplate = async (req, res) => {
   try {
-    // Only management department admins can delete templates
-    if (req.user.role !== 'admin' || req.user.department !== 'management') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only management department admins can delete form templates'
-      });
-    }
-
     const template = await FormTemplate.findById(req.params.id);
 
     if (!template) {
@@ -209,6 +229,8 @@ exports.deleteFormTemplate = async (req, res) => {
 
     await template.deleteOne();
 
+    await recordAudit(req, { action: 'delete', entityType: 'FormTemplate', entity: template, before: template });
+
     res.json({
       success: true,
       message: 'Form template deleted successfully'
@@ -223,7 +245,7 @@ exports.deleteFormTemplate = async (req, res) => {
 
 // @desc    Duplicate form template
 // @route   POST /api/form-templates/:id/duplicate
-// @access  Private (Admin only)
+// @access  Private (templates.manage)
 exports.duplicateFormTemplate = async (req, res) => {
   try {
     const originalTemplate = await FormTemplate.findById(req.params.id);
@@ -250,6 +272,15 @@ exports.duplicateFormTemplate = async (req, res) => {
       createdBy: req.user.id
     });
 
+    await storeVersion(duplicate, { createdBy: req.user.id });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'FormTemplate',
+      entity: duplicate,
+      metadata: { duplicatedFrom: originalTemplate._id }
+    });
+
     res.status(201).json({
       success: true,
       data: duplicate
@@ -262,4 +293,174 @@ exports.duplicateFormTemplate = async (req, res) => {
   }
 };
 
+// @desc    Get the version history of a form template
+// @route   GET /api/form-templates/:id/versions
+// @access  Private (templates.manage)
+exports.getTemplateVersions = async (req, res) => {
+  try {
+    const template = await FormTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form template not found'
+      });
+    }
+
+    // Templates created before versioning get their first snapshot here
+    await storeVersion(template);
+
+    const versions = await FormTemplateVersion.find({ template: template._id })
+      .select('version title note createdBy createdAt')
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: template.version,
+      data: versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a single version of a form template
+// @route   GET /api/form-templates/:id/versions/:version
+// @access  Private (templates.manage)
+exports.getTemplateVersion = async (req, res) => {
+  try {
+    const version = await FormTemplateVersion.findOne({
+      template: req.params.id,
+      version: parseInt(req.params.version)
+    }).populate('createdBy', 'name email');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Compare two versions of a form template
+// @route   GET /api/form-templates/:id/versions/diff?from=1&to=2
+// @access  Private (templates.manage)
+exports.diffTemplateVersions = async (req, res) => {
+  try {
+    const template = await FormTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form template not found'
+      });
+    }
+
+    await storeVersion(template);
+
+    // Default to the changes made by the current version
+    const to = parseInt(req.query.to) || template.version;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const versions = await FormTemplateVersion.find({ template: template._id, version: { $in: [from, to] } }).lean();
+    const fromVersion = versions.find(v => v.version === from);
+    const toVersion = versions.find(v => v.version === to);
 
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diffVersions(fromVersion, toVersion)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Roll a form template back to an earlier version
+// @route   POST /api/form-templates/:id/versions/:version/rollback
+// @access  Private (templates.manage)
+exports.rollbackTemplateVersion = async (req, res) => {
+  try {
+    const template = await FormTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form template not found'
+      });
+    }
+
+    const version = await FormTemplateVersion.findOne({
+      template: template._id,
+      version: parseInt(req.params.version)
+    }).lean();
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    if (!hasContentChanged(template, version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The template already matches this version'
+      });
+    }
+
+    const before = template.toObject();
+    await storeVersion(before);
+
+    // Rolling back stores the old content as a new version, so history is never rewritten
+    Object.assign(template, snapshot(version));
+    template.version = (before.version || 1) + 1;
+    await template.save();
+
+    await storeVersion(template, { createdBy: req.user.id, note: `Rolled back to version ${version.version}` });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'FormTemplate',
+      entity: template,
+      before,
+      after: template,
+      metadata: { rolledBackTo: version.version }
+    });
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,474 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { generateResetToken, hashToken } = require('../utils/tokenUtils');
+const { createSession } = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { sendEmailToUser, getInvitationEmail } = require('../utils/emailService');
+const { createNotification } = require('../utils/notifications');
+const { getRole } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+const DEFAULT_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+const MAX_EXPIRE_DAYS = 30;
+
+const INVITATION_FIELDS = ['name', 'role', 'department', 'departments', 'branch', 'branches', 'languagePreference'];
+
+// Validate an invitation, returning the error message or null
+const validateInvitation = async (invitation) => {
+  try {
+    await invitation.validate();
+  } catch (error) {
+    return error.errors
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message;
+  }
+  return null;
+};
+
+// Set a new one-time token and expiry on an invitation, returning the plain token
+const issueToken = (invitation, expiresInDays) => {
+  const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_EXPIRE_DAYS, 1), MAX_EXPIRE_DAYS);
+  const token = generateResetToken();
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Email the invitation link; returns whether the email was sent
+const sendInvitation = async (req, invitation, token) => {
+  const inviteLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation/${token}`;
+  const roleDoc = await getRole(invitation.role);
+
+  const result = await sendEmailToUser(invitation.email, (language) => getInvitationEmail({
+    inviteLink,
+    userName: invitation.name,
+    invitedBy: req.user.name,
+    role: roleDoc?.label || { en: invitation.role, ar: invitation.role },
+    department: invitation.department,
+    expiresAt: invitation.expiresAt
+  }, language), invitation.languagePreference || 'ar');
+
+  return Boolean(result?.success);
+};
+
+// Find the pending, unexpired invitation for a token
+const findByToken = (token) => Invitation.findOne({
+  tokenHash: hashToken(token),
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+});
+
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private (users.manage)
+exports.getInvitations = async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ email: pattern }, { name: pattern }];
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      total,
+      data: invitations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Invite a user
+// @route   POST /api/invitations
+// @access  Private (users.manage)
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, expiresInDays } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const pending = await Invitation.exists({
+      email: normalizedEmail,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending invitation already exists for this email. Resend or revoke it instead'
+      });
+    }
+
+    const invitation = new Invitation({ email: normalizedEmail, invitedBy: req.user._id });
+    INVITATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== '') invitation.set(field, req.body[field]);
+    });
+
+    const token = issueToken(invitation, expiresInDays);
+
+    const validationError = await validateInvitation(invitation);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await invitation.save();
+
+    const emailSent = await sendInvitation(req, invitation, token);
+    if (emailSent) {
+      invitation.sentAt = new Date();
+      invitation.sendCount = 1;
+      await invitation.save();
+    }
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Invitation',
+      entity: invitation,
+      entityLabel: invitation.email,
+      after: invitation
+    });
+
+    res.status(201).json({
+      success: true,
+      emailSent,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Resend an invitation with a new link (the previous link stops working)
+// @route   POST /api/invitations/:id/resend
+// @access  Private (users.manage)
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This invitation has already been ${invitation.status}`
+      });
+    }
+
+    const before = invitation.toObject();
+
+    const token = issueToken(invitation, req.body.expiresInDays);
+    await invitation.save();
+
+    const emailSent = await sendInvitation(req, invitation, token);
+    if (emailSent) {
+      invitation.sentAt = new Date();
+      invitation.sendCount += 1;
+      await invitation.save();
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Invitation',
+      entity: invitation,
+      entityLabel: invitation.email,
+      before,
+      after: invitation,
+      metadata: { resent: true, emailSent }
+    });
+
+    res.json({
+      success: true,
+      emailSent,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (users.manage)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This invitation has already been ${invitation.status}`
+      });
+    }
+
+    const before = invitation.toObject();
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Invitation',
+      entity: invitation,
+      entityLabel: invitation.email,
+      before,
+      after: invitation
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the invitation behind a link (to show before setting the password)
+// @route   GET /api/invitations/accept/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        department: invitation.department,
+        languagePreference: invitation.languagePreference,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation: set the password and create the account
+// @route   POST /api/invitations/accept/:token
+// @access  Public
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { name, password, phone, languagePreference } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const invitation = await findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    if (!(name || invitation.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your name'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email }).select('_id').lean();
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Claim the invitation so the link cannot be used twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: name || invitation.name,
+        email: invitation.email,
+        password,
+        phone,
+        role: invitation.role,
+        department: invitation.department,
+        departments: invitation.departments,
+        branch: invitation.branch,
+        branches: invitation.branches,
+        languagePreference: languagePreference || invitation.languagePreference
+      });
+    } catch (error) {
+      // Release the invitation so the link can be used again
+      await Invitation.updateOne({ _id: invitation._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { user: user._id });
+
+    const roleDoc = await getRole(user.role);
+    const roleEn = roleDoc?.label?.en || user.role;
+    const roleAr = roleDoc?.label?.ar || user.role;
+
+    await createNotification({
+      type: 'user_created',
+      title: {
+        en: 'Invitation Accepted',
+        ar: 'تم قبول الدعوة'
+      },
+      message: {
+        en: `${user.name} accepted their invitation and joined with role: ${roleEn}`,
+        ar: `قبل ${user.name} الدعوة وانضم بدور: ${roleAr}`
+      },
+      data: {
+        userId: user._id,
+        invitationId: invitation._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        branch: user.branch
+      }
+    });
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      departments: user.departments,
+      branch: user.branch,
+      branches: user.branches,
+      languagePreference: user.languagePreference
+    };
+
+    // Roles that require two-factor authentication enrol before receiving tokens
+    if (await twoFactor.requiresTwoFactor(user)) {
+      return res.status(201).json({
+        success: true,
+        data: {
+          user: userData,
+          twoFactorRequired: true,
+          enrollmentRequired: true,
+          challengeToken: twoFactor.generateChallengeToken(user)
+        }
+      });
+    }
+
+    const { accessToken, refreshToken } = await createSession(req, user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: userData,
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,233 @@
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const scheduler = require('../services/jobs');
+const { recordAudit } = require('../utils/audit');
+
+// Find a registered job by name, sending a 404 when it does not exist
+const findJob = async (req, res) => {
+  const job = scheduler.has(req.params.name)
+    ? await ScheduledJob.findOne({ name: req.params.name })
+    : null;
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+  return job;
+};
+
+// @desc    Get all scheduled jobs
+// @route   GET /api/jobs
+// @access  Private (jobs.manage)
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.find({ name: { $in: scheduler.getStatus().jobs } }).sort('name');
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      scheduler: scheduler.getStatus(),
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a job with its latest runs
+// @route   GET /api/jobs/:name
+// @access  Private (jobs.manage)
+exports.getJob = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const runs = await JobRun.find({ job: job.name })
+      .sort({ startedAt: -1 })
+      .limit(20)
+      .populate('triggeredBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        ...job.toObject(),
+        runs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the run history of a job
+// @route   GET /api/jobs/:name/runs
+// @access  Private (jobs.manage)
+exports.getJobRuns = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const { status, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { job: job.name };
+    if (status) query.status = status;
+
+    const runs = await JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .populate('triggeredBy', 'name email');
+
+    const total = await JobRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: runs.length,
+      total,
+      data: runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (jobs.manage)
+exports.runJob = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const run = await scheduler.runNow(job.name, req.user._id);
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'run',
+      entityType: 'ScheduledJob',
+      entity: job,
+      entityLabel: job.name,
+      metadata: { status: run.status, durationMs: run.durationMs }
+    });
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Pause or resume a job
+const setPaused = (paused) => async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const before = job.toObject();
+    const updated = await scheduler.setPaused(job.name, paused);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'ScheduledJob',
+      entity: updated,
+      entityLabel: job.name,
+      before,
+      after: updated
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Pause a job
+// @route   POST /api/jobs/:name/pause
+// @access  Private (jobs.manage)
+exports.pauseJob = setPaused(true);
+
+// @desc    Resume a paused job
+// @route   POST /api/jobs/:name/resume
+// @access  Private (jobs.manage)
+exports.resumeJob = setPaused(false);
+
+// @desc    Change the schedule of a job
+// @route   PUT /api/jobs/:name
+// @access  Private (jobs.manage)
+exports.updateJob = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const { schedule } = req.body;
+    if (!schedule) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule is required'
+      });
+    }
+
+    const before = job.toObject();
+    let updated;
+    try {
+      updated = await scheduler.updateSchedule(job.name, schedule);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `${schedule} is not a valid cron expression`
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'ScheduledJob',
+      entity: updated,
+      entityLabel: job.name,
+      before,
+      after: updated
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,41 +1,82 @@
+const mongoose = require('mongoose');
 const LeaveRequest = require('../models/LeaveRequest');
 const User = require('../models/User');
 const { createNotification } = require('../utils/notifications');
-const { sendEmailToAdmins, sendEmailToUser, getLeaveRequestedEmail, getLeaveApprovedEmail, getLeaveRejectedEmail } = require('../utils/emailService');
+const { getBranchFilter, hasBranchAccess } = require('../utils/branchScope');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { logActivity } = require('../utils/activityLog');
+const { startApproval, getPendingApproval, cancelApproval, decideStep } = require('../utils/approvals');
+const { sendEmailToAdmins, sendEmailToUser, getLeaveRequestedEmail, getLeaveApprovedEmail, getLeaveRejectedEmail, getBulkDecisionEmail } = require('../utils/emailService');
+
+const LEAVE_TYPES = {
+  vacation: { en: 'Vacation', ar: 'إجازة' },
+  sick: { en: 'Sick', ar: 'مرضية' },
+  permission: { en: 'Permission', ar: 'إذن' },
+  emergency: { en: 'Emergency', ar: 'طارئ' },
+  unpaid: { en: 'Unpaid', ar: 'بدون راتب' },
+  other: { en: 'Other', ar: 'أخرى' }
+};
 
-// @desc    Get all leave requests
-// @route   GET /api/leaves
-// @access  Private
-exports.getLeaveRequests = async (req, res) => {
-  try {
-    const { status, type, userId, dateFrom, dateTo } = req.query;
+// Maximum number of leave requests decided by one bulk request
+const BULK_LIMIT = 200;
 
-    let query = {};
+// Whether a user handles the leave requests of their departments and branches
+// (supervisors and custom roles given leaves.view or leaves.approve); admins
+// handle every request and other users only their own
+const hasDepartmentScope = (user) => user.baseRole !== 'admin' && (
+  user.baseRole === 'supervisor' || hasPermission(user, 'leaves.view') || hasPermission(user, 'leaves.approve')
+);
 
-    // Role-based filtering
-    if (req.user.role === 'employee') {
-      query.userId = req.user.id;
-    } else {
-      if (userId) query.userId = userId;
-
-      // Supervisors see only their departments
-      if (req.user.role === 'supervisor') {
-        const users = await User.find({
-          department: { $in: req.user.departments }
-        }).select('_id');
-        query.userId = { $in: users.map(u => u._id) };
-      }
-    }
+const getScopeDepartments = (user) =>
+  (user.departments && user.departments.length > 0 ? user.departments : [user.department]).filter(Boolean);
 
-    if (status) query.status = status;
-    if (type) query.type = type;
+// Check that an employee is in the user's departments and branches
+const canAccessEmployee = (user, employee) =>
+  !!employee && getScopeDepartments(user).includes(employee.department) && hasBranchAccess(user, employee.branch);
 
-    // Date range
-    if (dateFrom || dateTo) {
-      query.startDate = {};
-      if (dateFrom) query.startDate.$gte = new Date(dateFrom);
-      if (dateTo) query.startDate.$lte = new Date(dateTo);
+// Build the leave request query from filters and the user's scope
+const buildLeaveQuery = async (req, filters = {}) => {
+  const { status, type, userId, branch, dateFrom, dateTo } = filters;
+
+  const query = {};
+
+  // Role-based filtering
+  if (req.user.baseRole !== 'admin' && !hasDepartmentScope(req.user)) {
+    query.userId = req.user.id;
+  } else {
+    if (userId) query.userId = userId;
+    if (branch) Object.assign(query, getBranchFilter(req.user, branch));
+
+    // Everyone but admins sees only their departments and branches
+    if (hasDepartmentScope(req.user)) {
+      const users = await User.find({
+        department: { $in: getScopeDepartments(req.user) },
+        ...getBranchFilter(req.user)
+      }).select('_id');
+      query.userId = { $in: users.map(u => u._id) };
     }
+  }
+
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  // Date range
+  if (dateFrom || dateTo) {
+    query.startDate = {};
+    if (dateFrom) query.startDate.$gte = new Date(dateFrom);
+    if (dateTo) query.startDate.$lte = new Date(dateTo);
+  }
+
+  return query;
+};
+
+// @desc    Get all leave requests
+// @route   GET /api/leaves
+// @access  Private
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const query = await buildLeaveQuery(req, req.query);
 
     const leaves = await LeaveRequest.find(query)
       .populate('userId', 'name email department')
@@ -71,17 +112,11 @@ exports.getLeaveRequest = async (req, res) => {
       });
     }
 
-    // Check access rights
-    if (req.user.role === 'employee' && leave.userId._id.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this leave request'
-      });
-    }
-
-    if (req.user.role === 'supervisor') {
-      const user = await User.findById(leave.userId);
-      if (!req.user.departments.includes(user.department)) {
+    // Check access rights: own requests, or the requests of the user's departments and branches
+    const isOwner = leave.userId._id.toString() === req.user.id;
+    if (req.user.baseRole !== 'admin' && !isOwner) {
+      const user = hasDepartmentScope(req.user) ? await User.findById(leave.userId) : null;
+      if (!canAccessEmployee(req.user, user)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have access to this leave request'
@@ -159,6 +194,7 @@ exports.createLeaveRequest = async (req, res) => {
 
     const leave = await LeaveRequest.create({
       userId: req.user.id,
+      branch: req.user.branch,
       type,
       startDate: start,
       endDate: end,
@@ -167,20 +203,14 @@ exports.createLeaveRequest = async (req, res) => {
       status: 'pending'
     });
 
+    logActivity(req, 'leave_request', { leaveId: leave._id, type, days: leave.days });
+
     await leave.populate('userId', 'name email department');
 
-    // Create notification for admins when leave is requested
+    // Notify admins and the employee's supervisors when leave is requested
     const userName = leave.userId?.name || 'User';
-    const leaveTypeMap = {
-      vacation: { en: 'Vacation', ar: 'إجازة' },
-      sick: { en: 'Sick', ar: 'مرضية' },
-      permission: { en: 'Permission', ar: 'إذن' },
-      emergency: { en: 'Emergency', ar: 'طارئ' },
-      unpaid: { en: 'Unpaid', ar: 'بدون راتب' },
-      other: { en: 'Other', ar: 'أخرى' }
-    };
-    const leaveTypeEn = leaveTypeMap[type]?.en || type;
-    const leaveTypeAr = leaveTypeMap[type]?.ar || type;
+    const leaveTypeEn = LEAVE_TYPES[type]?.en || type;
+    const leaveTypeAr = LEAVE_TYPES[type]?.ar || type;
 
     await createNotification({
       type: 'leave_requested',
@@ -199,7 +229,11 @@ exports.createLeaveRequest = async (req, res) => {
         days: calculatedDays,
         startDate: start.toISOString(),
         endDate: end.toISOString()
-      }
+      },
+      roles: ['admin', 'supervisor'],
+      departments: [leave.userId.department],
+      branch: leave.branch,
+      exclude: [req.user._id]
     });
 
     // Send email to admins
@@ -210,7 +244,16 @@ exports.createLeaveRequest = async (req, res) => {
       startDate: start,
       endDate: end,
       department: leave.userId?.department || 'N/A'
-    }, language), leave.userId?.department);
+    }, language), leave.userId?.department, { type: 'leave_requested' });
+
+    // Multi-step approval when a workflow applies to this request
+    await startApproval('LeaveRequest', leave, {
+      requestedBy: req.user._id,
+      department: leave.userId?.department,
+      branch: leave.branch,
+      leaveType: leave.type,
+      days: leave.days
+    });
 
     res.status(201).json({
       success: true,
@@ -241,7 +284,7 @@ exports.updateLeaveRequest = async (req, res) => {
     }
 
     // Admin can update any leave request, others can only update their own
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.baseRole === 'admin';
     const isOwner = leave.userId.toString() === req.user.id;
 
     if (!isAdmin && !isOwner) {
@@ -259,6 +302,8 @@ exports.updateLeaveRequest = async (req, res) => {
       });
     }
 
+    const before = leave.toObject();
+
     // Update fields
     if (type) leave.type = type;
     if (startDate) leave.startDate = new Date(startDate);
@@ -284,6 +329,12 @@ exports.updateLeaveRequest = async (req, res) => {
     }
 
     await leave.save();
+
+    // Changes to someone else's request are audited
+    if (!isOwner) {
+      await recordAudit(req, { action: 'update', entityType: 'LeaveRequest', entity: leave, before, after: leave });
+    }
+
     await leave.populate('userId', 'name email department');
 
     res.json({
@@ -329,6 +380,7 @@ exports.deleteLeaveRequest = async (req, res) => {
     }
 
     await leave.deleteOne();
+    await cancelApproval('LeaveRequest', leave._id);
 
     res.json({
       success: true,
@@ -342,6 +394,240 @@ exports.deleteLeaveRequest = async (req, res) => {
   }
 };
 
+// Record a decision on a leave request: the current step of its approval
+// workflow, or the final approval with the usual department access checks
+// Returns { error: { status, message } } or { leave, approval, done }
+const decideLeaveRequest = async (req, leave, status, notes) => {
+  // Can only approve/reject pending requests
+  if (leave.status !== 'pending') {
+    return { error: { status: 400, message: 'This leave request has already been processed' } };
+  }
+
+  const approval = await getPendingApproval('LeaveRequest', leave._id);
+
+  if (approval) {
+    // Workflow steps are decided by their own approvers, whatever their department
+    const result = await decideStep(approval, req.user, status, notes);
+    if (!result) {
+      return { error: { status: 403, message: 'You are not an approver of the current approval step' } };
+    }
+
+    // More steps to go: the request stays pending
+    if (!result.done) {
+      await recordAudit(req, {
+        action: 'approve',
+        entityType: 'LeaveRequest',
+        entity: leave,
+        metadata: { approvalId: approval._id, step: result.step.name?.en }
+      });
+
+      return { leave, approval: result.approval, done: false };
+    }
+  } else if (req.user.baseRole !== 'admin') {
+    // Everyone but admins decides only requests of their departments and branches
+    const user = await User.findById(leave.userId);
+    if (!canAccessEmployee(req.user, user)) {
+      return { error: { status: 403, message: 'You do not have access to approve this leave request' } };
+    }
+  }
+
+  const before = leave.toObject();
+
+  leave.status = status;
+  leave.approvedBy = req.user.id;
+  leave.approvalDate = Date.now();
+  leave.approvalNotes = notes || '';
+
+  await leave.save();
+  await leave.populate('userId', 'name email department languagePreference');
+  await leave.populate('approvedBy', 'name email');
+
+  // Update user's leave balance if approved
+  const auditMetadata = {};
+  if (status === 'approved') {
+    const user = await User.findById(leave.userId);
+    if (user.leaveBalance >= leave.days) {
+      auditMetadata.leaveBalance = { from: user.leaveBalance, to: user.leaveBalance - leave.days };
+      user.leaveBalance -= leave.days;
+      await user.save();
+    }
+  }
+
+  await recordAudit(req, {
+    action: status === 'approved' ? 'approve' : 'reject',
+    entityType: 'LeaveRequest',
+    entity: leave,
+    entityLabel: leave.userId?.name,
+    before,
+    after: leave,
+    metadata: auditMetadata
+  });
+
+  return { leave, done: true };
+};
+
+// Notify about the final decision on a leave request
+const notifyLeaveDecision = async (req, leave, status, notes) => {
+  // Create notification for admins when leave is approved/rejected
+  const userName = leave.userId?.name || 'User';
+  const leaveTypeEn = LEAVE_TYPES[leave.type]?.en || leave.type;
+  const leaveTypeAr = LEAVE_TYPES[leave.type]?.ar || leave.type;
+  const action = status === 'approved' ? 'approved' : 'rejected';
+
+  await createNotification({
+    type: `leave_${action}`,
+    title: {
+      en: `Leave Request ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+      ar: action === 'approved' ? 'تم الموافقة على طلب الإجازة' : 'تم رفض طلب الإجازة'
+    },
+    message: {
+      en: `Leave request from ${userName} (${leave.days} day(s) ${leaveTypeEn}) has been ${action}`,
+      ar: action === 'approved'
+        ? `تم الموافقة على طلب إجازة من ${userName} (${leave.days} يوم ${leaveTypeAr})`
+        : `تم رفض طلب إجازة من ${userName} (${leave.days} يوم ${leaveTypeAr})`
+    },
+    data: {
+      leaveId: leave._id,
+      userId: leave.userId._id,
+      approvedBy: leave.approvedBy._id,
+      type: leave.type,
+      days: leave.days,
+      status: status
+    },
+    roles: ['admin', 'supervisor'],
+    departments: [leave.userId.department],
+    branch: leave.branch,
+    exclude: [req.user._id, leave.userId._id]
+  });
+
+  // Let the employee know about their own request
+  await createNotification({
+    type: `leave_${action}`,
+    title: {
+      en: `Leave Request ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+      ar: action === 'approved' ? 'تم الموافقة على طلب الإجازة' : 'تم رفض طلب الإجازة'
+    },
+    message: {
+      en: `Your ${leaveTypeEn} leave request (${leave.days} day(s)) has been ${action}`,
+      ar: action === 'approved'
+        ? `تمت الموافقة على طلب إجازتك (${leaveTypeAr}، ${leave.days} يوم)`
+        : `تم رفض طلب إجازتك (${leaveTypeAr}، ${leave.days} يوم)`
+    },
+    data: {
+      leaveId: leave._id,
+      type: leave.type,
+      days: leave.days,
+      status: status,
+      notes: notes || ''
+    },
+    recipients: [leave.userId._id]
+  });
+
+  // Send email to user
+  if (leave.userId?.email) {
+    const userLanguage = leave.userId?.languagePreference || 'ar';
+
+    if (status === 'approved') {
+      await sendEmailToUser(leave.userId.email, (language) => getLeaveApprovedEmail({
+        leaveType: { en: leaveTypeEn, ar: leaveTypeAr },
+        days: leave.days,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        approvedBy: leave.approvedBy
+      }, language), userLanguage, { type: 'leave_approved' });
+    } else {
+      await sendEmailToUser(leave.userId.email, (language) => getLeaveRejectedEmail({
+        leaveType: { en: leaveTypeEn, ar: leaveTypeAr },
+        days: leave.days,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        rejectedBy: leave.approvedBy,
+        rejectionNotes: notes || ''
+      }, language), userLanguage, { type: 'leave_rejected' });
+    }
+  }
+};
+
+// Notify about several leave requests decided at once: one notification per
+// department and one notification and email per employee, instead of one per request
+const notifyBulkLeaveDecision = async (req, leaves, status, notes) => {
+  if (leaves.length === 1) {
+    return notifyLeaveDecision(req, leaves[0], status, notes);
+  }
+
+  const action = status === 'approved' ? 'approved' : 'rejected';
+  const title = {
+    en: `Leave Requests ${action === 'approved' ? 'Approved' : 'Rejected'}`,
+    ar: action === 'approved' ? 'تم الموافقة على طلبات الإجازة' : 'تم رفض طلبات الإجازة'
+  };
+  const groupBy = (key) => leaves.reduce((groups, leave) => {
+    const group = key(leave);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(leave);
+    return groups;
+  }, new Map());
+
+  // Admins and the department's supervisors
+  for (const group of groupBy(leave => `${leave.userId?.department}:${leave.branch || ''}`).values()) {
+    await createNotification({
+      type: `leave_${action}`,
+      title,
+      message: {
+        en: `${req.user.name} ${action} ${group.length} leave request(s)`,
+        ar: action === 'approved'
+          ? `وافق ${req.user.name} على ${group.length} طلب إجازة`
+          : `رفض ${req.user.name} ${group.length} طلب إجازة`
+      },
+      data: {
+        leaveIds: group.map(leave => leave._id),
+        approvedBy: req.user._id,
+        status: status
+      },
+      roles: ['admin', 'supervisor'],
+      departments: [group[0].userId?.department],
+      branch: group[0].branch,
+      exclude: [req.user._id, ...group.map(leave => leave.userId?._id)]
+    });
+  }
+
+  // Each employee gets one summary of their requests
+  for (const group of groupBy(leave => leave.userId?._id?.toString()).values()) {
+    const employee = group[0].userId;
+    if (!employee) continue;
+
+    await createNotification({
+      type: `leave_${action}`,
+      title,
+      message: {
+        en: `${group.length} of your leave requests have been ${action}`,
+        ar: action === 'approved'
+          ? `تمت الموافقة على ${group.length} من طلبات إجازتك`
+          : `تم رفض ${group.length} من طلبات إجازتك`
+      },
+      data: {
+        leaveIds: group.map(leave => leave._id),
+        status: status,
+        notes: notes || ''
+      },
+      recipients: [employee._id]
+    });
+
+    if (employee.email) {
+      await sendEmailToUser(employee.email, (language) => getBulkDecisionEmail({
+        kind: 'leave',
+        status,
+        items: group.map(leave => ({
+          title: LEAVE_TYPES[leave.type] || { en: leave.type, ar: leave.type },
+          startDate: leave.startDate,
+          endDate: leave.endDate
+        })),
+        decidedBy: req.user,
+        notes
+      }, language), employee.languagePreference || 'ar', { type: `leave_${action}` });
+    }
+  }
+};
+
 // @desc    Approve/Reject leave request
 // @route   PUT /api/leaves/:id/approve
 // @access  Private (Admin, Supervisor)
@@ -356,7 +642,7 @@ exports.approveLeaveRequest = async (req, res) => {
       });
     }
 
-    let leave = await LeaveRequest.findById(req.params.id);
+    const leave = await LeaveRequest.findById(req.params.id);
 
     if (!leave) {
       return res.status(404).json({
@@ -365,106 +651,109 @@ exports.approveLeaveRequest = async (req, res) => {
       });
     }
 
-    // Check department access for supervisors
-    if (req.user.role === 'supervisor') {
-      const user = await User.findById(leave.userId);
-      if (!req.user.departments.includes(user.department)) {
-        return res.status(403).json({
-          success: false,
-          message: 'You do not have access to approve this leave request'
-        });
-      }
+    const result = await decideLeaveRequest(req, leave, status, notes);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
     }
 
-    // Can only approve/reject pending requests
-    if (leave.status !== 'pending') {
+    if (!result.done) {
+      return res.json({
+        success: true,
+        data: leave,
+        approval: result.approval
+      });
+    }
+
+    await notifyLeaveDecision(req, leave, status, notes);
+
+    res.json({
+      success: true,
+      data: leave
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve/Reject several pending leave requests
+// @route   PUT /api/leaves/bulk-approve
+// @access  Private (leaves.approve)
+exports.bulkApproveLeaveRequests = async (req, res) => {
+  try {
+    const { ids, filter, status, notes } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'This leave request has already been processed'
+        message: 'Status must be either approved or rejected'
       });
     }
 
-    leave.status = status;
-    leave.approvedBy = req.user.id;
-    leave.approvalDate = Date.now();
-    leave.approvalNotes = notes || '';
+    if (!Array.isArray(ids) && !filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide ids or a filter'
+      });
+    }
 
-    await leave.save();
-    await leave.populate('userId', 'name email department languagePreference');
-    await leave.populate('approvedBy', 'name email');
+    if (Array.isArray(ids) && ids.length > BULK_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${BULK_LIMIT} leave requests can be processed at once`
+      });
+    }
 
-    // Update user's leave balance if approved
-    if (status === 'approved') {
-      const user = await User.findById(leave.userId);
-      if (user.leaveBalance >= leave.days) {
-        user.leaveBalance -= leave.days;
-        await user.save();
-      }
+    // Explicit ids keep their order; a filter selects pending requests in the user's scope
+    let items;
+    if (Array.isArray(ids)) {
+      const found = await LeaveRequest.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) } });
+      items = ids.map(id => ({ id, leave: found.find(leave => leave._id.toString() === String(id)) }));
+    } else {
+      const query = await buildLeaveQuery(req, { ...filter, status: 'pending' });
+      const found = await LeaveRequest.find(query).sort('startDate').limit(BULK_LIMIT);
+      items = found.map(leave => ({ id: leave._id.toString(), leave }));
     }
 
-    // Create notification for admins when leave is approved/rejected
-    const userName = leave.userId?.name || 'User';
-    const leaveTypeMap = {
-      vacation: { en: 'Vacation', ar: 'إجازة' },
-      sick: { en: 'Sick', ar: 'مرضية' },
-      permission: { en: 'Permission', ar: 'إذن' },
-      emergency: { en: 'Emergency', ar: 'طارئ' },
-      unpaid: { en: 'Unpaid', ar: 'بدون راتب' },
-      other: { en: 'Other', ar: 'أخرى' }
-    };
-    const leaveTypeEn = leaveTypeMap[leave.type]?.en || leave.type;
-    const leaveTypeAr = leaveTypeMap[leave.type]?.ar || leave.type;
-    const action = status === 'approved' ? 'approved' : 'rejected';
+    const results = [];
+    const decided = [];
 
-    await createNotification({
-      type: `leave_${action}`,
-      title: {
-        en: `Leave Request ${action === 'approved' ? 'Approved' : 'Rejected'}`,
-        ar: action === 'approved' ? 'تم الموافقة على طلب الإجازة' : 'تم رفض طلب الإجازة'
-      },
-      message: {
-        en: `Leave request from ${userName} (${leave.days} day(s) ${leaveTypeEn}) has been ${action}`,
-        ar: action === 'approved'
-          ? `تم الموافقة على طلب إجازة من ${userName} (${leave.days} يوم ${leaveTypeAr})`
-          : `تم رفض طلب إجازة من ${userName} (${leave.days} يوم ${leaveTypeAr})`
-      },
-      data: {
-        leaveId: leave._id,
-        userId: leave.userId._id,
-        approvedBy: leave.approvedBy._id,
-        type: leave.type,
-        days: leave.days,
-        status: status
+    for (const { id, leave } of items) {
+      if (!leave) {
+        results.push({ id, success: false, message: 'Leave request not found' });
+        continue;
       }
-    });
 
-    // Send email to user
-    if (leave.userId?.email) {
-      const userLanguage = leave.userId?.languagePreference || 'ar';
+      try {
+        const result = await decideLeaveRequest(req, leave, status, notes);
 
-      if (status === 'approved') {
-        await sendEmailToUser(leave.userId.email, (language) => getLeaveApprovedEmail({
-          leaveType: { en: leaveTypeEn, ar: leaveTypeAr },
-          days: leave.days,
-          startDate: leave.startDate,
-          endDate: leave.endDate,
-          approvedBy: leave.approvedBy
-        }, language), userLanguage);
-      } else {
-        await sendEmailToUser(leave.userId.email, (language) => getLeaveRejectedEmail({
-          leaveType: { en: leaveTypeEn, ar: leaveTypeAr },
-          days: leave.days,
-          startDate: leave.startDate,
-          endDate: leave.endDate,
-          rejectedBy: leave.approvedBy,
-          rejectionNotes: notes || ''
-        }, language), userLanguage);
+        if (result.error) {
+          results.push({ id, success: false, message: result.error.message });
+        } else {
+          results.push({ id, success: true, status: result.done ? status : leave.status });
+          if (result.done) decided.push(leave);
+        }
+      } catch (error) {
+        results.push({ id, success: false, message: error.message });
       }
     }
 
+    await notifyBulkLeaveDecision(req, decided, status, notes);
+
+    const succeeded = results.filter(result => result.success).length;
+
     res.json({
       success: true,
-      data: leave
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results
     });
   } catch (error) {
     res.status(500).json({
@@ -506,6 +795,7 @@ exports.cancelLeaveRequest = async (req, res) => {
 
     leave.status = 'cancelled';
     await leave.save();
+    await cancelApproval('LeaveRequest', leave._id);
     await leave.populate('userId', 'name email department');
 
     res.json({
@@ -525,9 +815,9 @@ exports.cancelLeaveRequest = async (req, res) => {
 // @access  Private (Admin, Supervisor)
 exports.getLeaveStats = async (req, res) => {
   try {
-    const { dateFrom, dateTo, department } = req.query;
+    const { dateFrom, dateTo, department, branch } = req.query;
 
-    let matchQuery = {};
+    let matchQuery = getBranchFilter(req.user, branch);
 
     // Date range
     if (dateFrom || dateTo) {
@@ -536,10 +826,11 @@ exports.getLeaveStats = async (req, res) => {
       if (dateTo) matchQuery.startDate.$lte = new Date(dateTo);
     }
 
-    // Department filter for supervisors
-    if (req.user.role === 'supervisor') {
+    // Department filter for everyone but admins
+    if (req.user.baseRole !== 'admin') {
       const users = await User.find({
-        department: { $in: req.user.departments }
+        department: { $in: getScopeDepartments(req.user) },
+        ...getBranchFilter(req.user)
       }).select('_id');
       matchQuery.userId = { $in: users.map(u => u._id) };
     } else if (department) {
@@ -1,5 +1,7 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { logActivity } = require('../utils/activityLog');
+const realtime = require('../services/realtime');
 
 // @desc    Get all messages for current user (inbox)
 // @route   GET /api/messages
@@ -164,6 +166,8 @@ exports.getMessage = async (req, res) => {
       message.read = true;
       message.readAt = new Date();
       await message.save();
+
+      logActivity(req, 'message_read', { messageId: message._id });
     }
 
     res.json({
@@ -194,7 +198,7 @@ exports.sendMessage = async (req, res) => {
 
     // Check if sending to multiple recipients (admin only)
     if (isBroadcast && recipients && recipients.length > 0) {
-      if (req.user.role !== 'admin') {
+      if (req.user.baseRole !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Only admins can send broadcast messages'
@@ -213,12 +217,18 @@ exports.sendMessage = async (req, res) => {
 
       const createdMessages = await Message.insertMany(messages);
 
+      logActivity(req, 'message_sent', { broadcast: true, recipients: recipients.length });
+
       // Populate sender and recipient
       await Message.populate(createdMessages, [
         { path: 'sender', select: 'name email department role' },
         { path: 'recipient', select: 'name email department role' }
       ]);
 
+      await Promise.all(createdMessages.map(message =>
+        realtime.sendToUsers(message.recipient._id, 'message', message)
+      ));
+
       res.status(201).json({
         success: true,
         data: createdMessages,
@@ -243,7 +253,7 @@ exports.sendMessage = async (req, res) => {
       }
 
       // Employees can only send to admin
-      if (req.user.role === 'employee' && recipientUser.role !== 'admin') {
+      if (req.user.baseRole === 'employee' && recipientUser.role !== 'admin') {
         return res.status(403).json({
           success: false,
           message: 'Employees can only send messages to admin'
@@ -257,9 +267,13 @@ exports.sendMessage = async (req, res) => {
         content
       });
 
+      logActivity(req, 'message_sent', { messageId: message._id, recipient });
+
       await message.populate('sender', 'name email department role');
       await message.populate('recipient', 'name email department role');
 
+      await realtime.sendToUsers(recipient, 'message', message);
+
       res.status(201).json({
         success: true,
         data: message
@@ -294,6 +308,8 @@ exports.markAsRead = async (req, res) => {
     message.readAt = new Date();
     await message.save();
 
+    logActivity(req, 'message_read', { messageId: message._id });
+
     res.json({
       success: true,
       data: message
@@ -322,6 +338,10 @@ exports.markAllAsRead = async (req, res) => {
       }
     );
 
+    if (result.modifiedCount > 0) {
+      logActivity(req, 'message_read', { all: true, count: result.modifiedCount });
+    }
+
     res.json({
       success: true,
       data: {
@@ -1,5 +1,8 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const UserMetadata = require('../models/UserMetadata');
+const { logActivity } = require('../utils/activityLog');
+const { getPreferences, sanitizePreferences } = require('../utils/notificationPreferences');
 
 // @desc    Get all notifications for current user
 // @route   GET /api/notifications
@@ -88,6 +91,8 @@ exports.markAsRead = async (req, res) => {
     notification.readAt = new Date();
     await notification.save();
 
+    logActivity(req, 'notification_read', { notificationId: notification._id });
+
     res.json({
       success: true,
       data: notification
@@ -116,6 +121,10 @@ exports.markAllAsRead = async (req, res) => {
       }
     );
 
+    if (result.modifiedCount > 0) {
+      logActivity(req, 'notification_read', { all: true, count: result.modifiedCount });
+    }
+
     res.json({
       success: true,
       data: {
@@ -182,3 +191,53 @@ exports.deleteAllNotifications = async (req, res) => {
   }
 };
 
+
+// @desc    Get my notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user._id);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update my notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { preferences, error } = sanitizePreferences(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await UserMetadata.findOneAndUpdate(
+      { userId: req.user._id },
+      { $set: { 'preferences.notifications': preferences } },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,218 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const permissions = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+// Check a role's permission list against the catalog
+// Returns an error message, or null when every permission is known
+const validatePermissions = (list) => {
+  if (!Array.isArray(list)) return 'Permissions must be a list';
+
+  const unknown = list.filter(p => typeof p !== 'string' || !Object.prototype.hasOwnProperty.call(permissions.PERMISSIONS, p));
+  return unknown.length > 0 ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+exports.getRoles = async (req, res) => {
+  try {
+    // Make sure the built-in roles exist
+    await permissions.loadRoles();
+
+    const roles = await Role.find().sort('name');
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+exports.getPermissions = async (req, res) => {
+  try {
+    const data = Object.entries(permissions.PERMISSIONS).map(([name, label]) => ({ name, label }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create custom role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+exports.createRole = async (req, res) => {
+  try {
+    const { name, label, baseRole, permissions: rolePermissions = [], requireTwoFactor } = req.body;
+
+    const existingRole = await Role.findOne({ name: name?.toLowerCase() });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists with this name'
+      });
+    }
+
+    const permissionError = validatePermissions(rolePermissions);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      label,
+      baseRole,
+      permissions: rolePermissions,
+      requireTwoFactor: Boolean(requireTwoFactor),
+      isSystem: false
+    });
+    permissions.invalidate();
+
+    await recordAudit(req, { action: 'create', entityType: 'Role', entity: role, after: role });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update role (name cannot change, nor the base role of built-in roles)
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+exports.updateRole = async (req, res) => {
+  try {
+    const { label, baseRole, permissions: rolePermissions, requireTwoFactor } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const before = role.toObject();
+
+    if (baseRole && baseRole !== role.baseRole) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'The base role of a built-in role cannot be changed'
+        });
+      }
+      role.baseRole = baseRole;
+    }
+
+    if (rolePermissions) {
+      const permissionError = validatePermissions(rolePermissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+
+      // Keep a way back in: admins always manage roles
+      if (role.name === 'admin' && !rolePermissions.includes('roles.manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'The admin role must keep the roles.manage permission'
+        });
+      }
+
+      role.permissions = rolePermissions;
+    }
+
+    if (label?.en) role.label.en = label.en;
+    if (label?.ar) role.label.ar = label.ar;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = Boolean(requireTwoFactor);
+
+    await role.save();
+    permissions.invalidate();
+
+    await recordAudit(req, { action: 'update', entityType: 'Role', entity: role, before, after: role });
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete custom role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is assigned to users. Reassign them first'
+      });
+    }
+
+    await role.deleteOne();
+    permissions.invalidate();
+
+    await recordAudit(req, { action: 'delete', entityType: 'Role', entity: role, before: role });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
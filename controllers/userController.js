@@ -1,18 +1,30 @@
 const User = require('../models/User');
 const UserMetadata = require('../models/UserMetadata');
+const UserActivityLog = require('../models/UserActivityLog');
 const { createNotification } = require('../utils/notifications');
 const { sendEmailToUser, getEmployeeReportEmail } = require('../utils/emailService');
 const { getUsers, getUserById, getUserCount, searchUsers, PROJECTIONS } = require('../utils/userQueries');
 const logger = require('../utils/logger');
+const pdfGenerator = require('../utils/pdfGenerator');
+const timesheet = require('../utils/timesheet');
+const { getBranchFilter, hasBranchAccess } = require('../utils/branchScope');
+const { loadDepartments, getDepartmentNames } = require('../utils/departments');
+const { getRole } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { invalidateUserTokens } = require('../utils/sessions');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { validatePassword, applyPassword } = require('../utils/passwordPolicy');
+const { resetFailures } = require('../utils/loginLockout');
 
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private (Admin, Supervisor)
 exports.getUsers = async (req, res) => {
   try {
-    const { role, department, isActive, search, page = 1, limit = 50, sort = 'name' } = req.query;
+    const { role, department, branch, isActive, search, page = 1, limit = 50, sort = 'name' } = req.query;
 
-    let query = {};
+    // Branch scope (supervisors are limited to their branches)
+    let query = getBranchFilter(req.user, branch);
 
     // Apply filters
     if (role) query.role = role;
@@ -20,7 +32,7 @@ exports.getUsers = async (req, res) => {
     if (isActive !== undefined) query.isActive = isActive === 'true';
 
     // Supervisors can only see users in their departments
-    if (req.user.role === 'supervisor') {
+    if (req.user.baseRole === 'supervisor') {
       query.department = { $in: req.user.departments };
     }
 
@@ -101,7 +113,7 @@ exports.getUser = async (req, res) => {
     }
 
     // Employees can only access their own data
-    if (req.user.role === 'employee') {
+    if (req.user.baseRole === 'employee') {
       if (req.user._id.toString() !== req.params.id && req.user.id !== req.params.id) {
         return res.status(403).json({
           success: false,
@@ -111,8 +123,8 @@ exports.getUser = async (req, res) => {
     }
 
     // Supervisors can only see users in their departments
-    if (req.user.role === 'supervisor') {
-      if (!req.user.departments.includes(user.department)) {
+    if (req.user.baseRole === 'supervisor') {
+      if (!req.user.departments.includes(user.department) || !hasBranchAccess(req.user, user.branch)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have access to this user'
@@ -142,12 +154,88 @@ exports.getUser = async (req, res) => {
   }
 };
 
+// @desc    Get user activity log
+// @route   GET /api/users/:id/activity
+// @access  Private (Admin, Supervisor)
+exports.getUserActivity = async (req, res) => {
+  try {
+    const { action, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+    const user = await User.findById(req.params.id).select('department branch');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Supervisors can only see users in their departments
+    if (req.user.baseRole === 'supervisor') {
+      if (!req.user.departments.includes(user.department) || !hasBranchAccess(req.user, user.branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this user'
+        });
+      }
+    }
+
+    const query = { userId: user._id };
+
+    // Comma separated list of actions
+    if (action) query.action = { $in: action.split(',').map(a => a.trim()) };
+
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [activities, total] = await Promise.all([
+      UserActivityLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      UserActivityLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: activities.length,
+      total,
+      data: activities,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Create user
 // @route   POST /api/users
 // @access  Private (Admin only)
 exports.createUser = async (req, res) => {
   try {
-    const { name, email, password, phone, role, department, departments, languagePreference, leaveBalance, workDays, workSchedule, nationality, idNumber, jobTitle } = req.body;
+    const { name, email, password, phone, role, department, departments, branch, branches, languagePreference, leaveBalance, workDays, workSchedule, nationality, idNumber, jobTitle } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -204,6 +292,8 @@ exports.createUser = async (req, res) => {
       role: role || 'employee',
       department: department || 'other',
       departments: departments || [],
+      branch: branch || undefined,
+      branches: branches || [],
       languagePreference: languagePreference || 'en',
       leaveBalance: leaveBalance || 0,
       workDays: workDays || [],
@@ -215,13 +305,9 @@ exports.createUser = async (req, res) => {
     });
 
     // Create notification for admins when new user is created
-    const roleMap = {
-      admin: { en: 'Admin', ar: 'مدير' },
-      supervisor: { en: 'Supervisor', ar: 'مشرف' },
-      employee: { en: 'Employee', ar: 'موظف' }
-    };
-    const roleEn = roleMap[role]?.en || role;
-    const roleAr = roleMap[role]?.ar || role;
+    const roleDoc = await getRole(user.role);
+    const roleEn = roleDoc?.label?.en || user.role;
+    const roleAr = roleDoc?.label?.ar || user.role;
 
     await createNotification({
       type: 'user_created',
@@ -238,10 +324,13 @@ exports.createUser = async (req, res) => {
         name: name,
         email: email,
         role: role,
-        department: department
+        department: department,
+        branch: branch
       }
     });
 
+    await recordAudit(req, { action: 'create', entityType: 'User', entity: user, after: user });
+
     res.status(201).json({
       success: true,
       data: user
@@ -259,7 +348,7 @@ exports.createUser = async (req, res) => {
 // @access  Private (Admin only)
 exports.updateUser = async (req, res) => {
   try {
-    const { name, email, phone, role, department, departments, languagePreference, isActive, leaveBalance, workDays, workSchedule, nationality, idNumber, jobTitle } = req.body;
+    const { name, email, phone, role, department, departments, branch, branches, languagePreference, isActive, leaveBalance, workDays, workSchedule, nationality, idNumber, jobTitle } = req.body;
 
     const user = await User.findById(req.params.id);
 
@@ -278,6 +367,8 @@ exports.updateUser = async (req, res) => {
     if (role) updateFields.role = role;
     if (department) updateFields.department = department;
     if (departments) updateFields.departments = departments;
+    if (branch) updateFields.branch = branch;
+    if (branches) updateFields.branches = branches;
     if (languagePreference) updateFields.languagePreference = languagePreference;
     if (isActive !== undefined) updateFields.isActive = isActive;
     if (leaveBalance !== undefined) updateFields.leaveBalance = leaveBalance;
@@ -353,6 +444,13 @@ exports.updateUser = async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password -refreshToken');
 
+    // A changed role or a deactivated account applies immediately on every device
+    if (updatedUser.role !== user.role || (user.isActive && !updatedUser.isActive)) {
+      updatedUser.tokenVersion = await invalidateUserTokens(user._id);
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'User', entity: updatedUser, before: user, after: updatedUser });
+
     res.json({
       success: true,
       data: updatedUser
@@ -388,6 +486,9 @@ exports.deleteUser = async (req, res) => {
     }
 
     await user.deleteOne();
+    await invalidateUserTokens(user._id);
+
+    await recordAudit(req, { action: 'delete', entityType: 'User', entity: user, before: user });
 
     res.json({
       success: true,
@@ -415,7 +516,7 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({
@@ -424,7 +525,13 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    user.password = newPassword;
+    const passwordError = await applyPassword(user, newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
     // Clear reset request flags
     user.passwordResetRequested = false;
     user.passwordResetRequestDate = undefined;
@@ -432,6 +539,11 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    await invalidateUserTokens(user._id);
+    await resetFailures(user);
+
+    await recordAudit(req, { action: 'reset_password', entityType: 'User', entity: user });
+
     // Send email to user
     const { getPasswordResetByAdminEmail, sendEmailToUser } = require('../utils/emailService');
     const userLanguage = user.languagePreference || 'ar';
@@ -453,6 +565,229 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Unlock an account locked by failed login attempts
+// @route   PUT /api/users/:id/unlock
+// @access  Private (Admin only)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.failedLoginAttempts && !user.lockUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not locked'
+      });
+    }
+
+    const before = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil };
+    await resetFailures(user);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entity: user,
+      before,
+      after: { failedLoginAttempts: 0, lockUntil: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device); they enrol again at the next login when their role requires it
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private (Admin only)
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+    await invalidateUserTokens(user._id);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entity: user,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get devices registered for attendance
+// @route   GET /api/users/:id/devices
+// @access  Private (Admin only)
+exports.getUserDevices = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name devices').lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: (user.devices || []).length,
+      data: user.devices || []
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Register a device for attendance
+// @route   POST /api/users/:id/devices
+// @access  Private (Admin only)
+exports.addUserDevice = async (req, res) => {
+  try {
+    const { deviceId, label } = req.body;
+
+    if (typeof deviceId !== 'string' || !deviceId.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide device ID'
+      });
+    }
+
+    if (label !== undefined && typeof label !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device label must be text'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('name devices');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.devices.some(d => d.deviceId === deviceId.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is already registered'
+      });
+    }
+
+    const before = { devices: user.toObject().devices };
+    user.devices.push({ deviceId, label });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entity: user,
+      before,
+      after: { devices: user.toObject().devices }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user.devices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a registered device (the next device used is bound if none are left)
+// @route   DELETE /api/users/:id/devices/:deviceId
+// @access  Private (Admin only)
+exports.removeUserDevice = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name devices');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const device = user.devices.find(d => d.deviceId === req.params.deviceId);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const before = { devices: user.toObject().devices };
+    user.devices.pull(device._id);
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entity: user,
+      before,
+      after: { devices: user.toObject().devices }
+    });
+
+    res.json({
+      success: true,
+      data: user.devices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get password reset requests
 // @route   GET /api/users/password-reset-requests
 // @access  Private (Admin only)
@@ -514,6 +849,17 @@ exports.getAdminUser = async (req, res) => {
 exports.sendEmployeeReport = async (req, res) => {
   try {
     const { month, year } = req.body;
+
+    const selectedMonth = month !== undefined ? Number(month) : new Date().getMonth();
+    const selectedYear = year !== undefined ? Number(year) : new Date().getFullYear();
+    if (!Number.isInteger(selectedMonth) || selectedMonth < 0 || selectedMonth > 11 ||
+      !Number.isInteger(selectedYear) || selectedYear < 1000 || selectedYear > 9999) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be between 0 and 11 and year must be a 4-digit number'
+      });
+    }
+
     const employee = await User.findById(req.params.id);
 
     if (!employee) {
@@ -540,8 +886,6 @@ exports.sendEmployeeReport = async (req, res) => {
       'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'
     ];
 
-    const selectedMonth = month !== undefined ? parseInt(month) : new Date().getMonth();
-    const selectedYear = year || new Date().getFullYear();
     const monthName = monthNames[selectedMonth];
     const monthNameAr = monthNamesAr[selectedMonth];
 
@@ -550,25 +894,35 @@ exports.sendEmployeeReport = async (req, res) => {
     const reportUrl = `${frontendUrl}/users/${employee._id}/report?month=${selectedMonth}&year=${selectedYear}`;
 
     // Get department name
-    const departmentNames = {
-      kitchen: { en: 'Kitchen', ar: 'المطبخ' },
-      counter: { en: 'Counter', ar: 'الكاونتر' },
-      cleaning: { en: 'Cleaning', ar: 'النظافة' },
-      management: { en: 'Management', ar: 'الإدارة' },
-      delivery: { en: 'Delivery', ar: 'التوصيل' },
-      other: { en: 'Other', ar: 'أخرى' }
-    };
+    await loadDepartments();
+    const department = getDepartmentNames(employee.department);
 
-    const department = departmentNames[employee.department] || { en: employee.department, ar: employee.department };
+    // Build the monthly attendance report PDF
+    const language = employee.languagePreference || 'ar';
+    const { sessionsByUser, leavesByUser } = await timesheet.loadMonthData([employee._id], selectedYear, selectedMonth);
+    const key = employee._id.toString();
+    const report = timesheet.buildEmployeeMonth(
+      employee,
+      selectedYear,
+      selectedMonth,
+      sessionsByUser[key],
+      leavesByUser[key]
+    );
+    const pdfBuffer = await pdfGenerator.generateEmployeeReportPDF(employee, report, {
+      year: selectedYear,
+      month: selectedMonth,
+      department,
+      language
+    });
 
     // Send email
-    const language = employee.languagePreference || 'ar';
     const emailData = getEmployeeReportEmail({
       employeeName: employee.name,
       month: language === 'ar' ? monthNameAr : monthName,
       year: selectedYear,
       department: language === 'ar' ? department.ar : department.en,
-      reportUrl: reportUrl
+      reportUrl: reportUrl,
+      hasAttachment: true
     }, language);
 
     // Update email content to include report link button before the last paragraph
@@ -584,7 +938,12 @@ exports.sendEmployeeReport = async (req, res) => {
       employee.email,
       () => ({
         subject: emailData.subject,
-        html: emailContent
+        html: emailContent,
+        attachments: [{
+          filename: `attendance_report_${selectedYear}-${String(selectedMonth + 1).padStart(2, '0')}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }]
       }),
       language
     );
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { resolveUserAccess, hasPermission } = require('../utils/permissions');
+const { checkSession } = require('../utils/sessions');
 
 // Verify JWT token
 exports.protect = async (req, res, next) => {
@@ -7,6 +9,9 @@ exports.protect = async (req, res, next) => {
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
+  } else if (req.query.token && req.get('accept') === 'text/event-stream') {
+    // EventSource cannot set headers, event streams may pass the token in the query
+    token = req.query.token;
   }
 
   if (!token) {
@@ -18,7 +23,19 @@ exports.protect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens of a revoked (logged out) session are no longer accepted
+    if (decoded.sid && !(await checkSession(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
+    req.sessionId = decoded.sid;
+    req.tokenVersion = decoded.tv || 0;
+    req.tokenExpiresAt = decoded.exp * 1000;
     
     if (!req.user) {
       return res.status(401).json({ 
@@ -34,6 +51,19 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset, role change or deactivation
+    if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please log in again'
+      });
+    }
+
+    // Resolve the role's base role (for data scoping) and permissions
+    const access = await resolveUserAccess(req.user);
+    req.user.baseRole = access.baseRole;
+    req.user.permissions = access.permissions;
+
     next();
   } catch (error) {
     return res.status(401).json({ 
@@ -43,10 +73,16 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-exports.authorize = (...roles) => {
+// Role- or permission-based authorization
+// Accepts role names ('admin') and permission names ('forms.approve'); any match is enough
+exports.authorize = (...rolesOrPermissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    const allowed = rolesOrPermissions.some(item => item.includes('.')
+      ? hasPermission(req.user, item)
+      : item === req.user.role || item === req.user.baseRole
+    );
+
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         message: `User role ${req.user.role} is not authorized to access this route`
@@ -61,12 +97,12 @@ exports.checkDepartmentAccess = (req, res, next) => {
   const { department } = req.params;
   
   // Admin has access to all departments
-  if (req.user.role === 'admin') {
+  if (req.user.baseRole === 'admin') {
     return next();
   }
   
   // Supervisor can only access their departments
-  if (req.user.role === 'supervisor') {
+  if (req.user.baseRole === 'supervisor') {
     if (!req.user.departments || !req.user.departments.includes(department)) {
       return res.status(403).json({
         success: false,
@@ -76,7 +112,7 @@ exports.checkDepartmentAccess = (req, res, next) => {
   }
   
   // Employee can only access their own department
-  if (req.user.role === 'employee') {
+  if (req.user.baseRole === 'employee') {
     if (req.user.department !== department) {
       return res.status(403).json({
         success: false,
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const approvalStepSchema = new mongoose.Schema({
+  name: {
+    en: String,
+    ar: String
+  },
+  // Copied from the workflow, so later workflow edits do not affect running approvals
+  approver: mongoose.Schema.Types.Mixed,
+  escalateAfterHours: Number,
+  escalateTo: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'approved', 'rejected', 'skipped'],
+    default: 'waiting'
+  },
+  // Users allowed to decide the step (delegates and escalation approvers included)
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Approvers replaced by their delegate while away
+  delegations: [{
+    _id: false,
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the step was decided by a delegate
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String,
+  startedAt: Date,
+  dueAt: Date,
+  escalatedAt: Date,
+  decidedAt: Date
+}, { _id: false });
+
+/**
+ * Approval - Progress of a leave request or form through an approval workflow
+ * Steps are decided in order; a rejection at any step rejects the request
+ */
+const approvalSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['LeaveRequest', 'FormInstance'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true
+  },
+  workflow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalWorkflow'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: String,
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the current step for querying
+  currentApprovers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  currentDueAt: Date,
+  steps: [approvalStepSchema]
+}, {
+  timestamps: true
+});
+
+approvalSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+approvalSchema.index({ status: 1, currentApprovers: 1 });
+approvalSchema.index({ status: 1, currentDueAt: 1 });
+
+module.exports = mongoose.model('Approval', approvalSchema);
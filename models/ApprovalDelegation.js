@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApprovalDelegation - Hands a user's approval steps to another user for a period
+ * (e.g. while on leave); steps started in the period go to the delegate
+ */
+const approvalDelegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+approvalDelegationSchema.index({ delegator: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('ApprovalDelegation', approvalDelegationSchema);
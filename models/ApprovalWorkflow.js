@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { departmentValidator } = require('../utils/departments');
+
+// Who decides a step (see utils/approvals.js)
+const approverSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['supervisor', 'head-supervisor', 'role', 'user'],
+    required: true
+  },
+  // Role name for 'role' approvers (e.g. 'admin' or a custom 'hr' role)
+  role: String,
+  // Limit 'role' approvers to one department (e.g. management)
+  department: {
+    type: String,
+    validate: departmentValidator()
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  name: {
+    en: { type: String, required: true },
+    ar: { type: String, required: true }
+  },
+  approver: {
+    type: approverSchema,
+    required: true
+  },
+  // Hours a step may wait before it is escalated (none: never)
+  escalateAfterHours: {
+    type: Number,
+    min: 1
+  },
+  // Added as approvers on escalation; admins when not set
+  escalateTo: approverSchema
+}, { _id: false });
+
+/**
+ * ApprovalWorkflow - Configurable approval chain for leave requests or forms
+ * The active workflow with the highest priority whose conditions match is used;
+ * requests matching no workflow keep single-step approval
+ */
+const approvalWorkflowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ['LeaveRequest', 'FormInstance'],
+    required: true
+  },
+  // Conditions (empty means any)
+  leaveTypes: [{
+    type: String,
+    enum: ['vacation', 'sick', 'permission', 'emergency', 'unpaid', 'other']
+  }],
+  minDays: {
+    type: Number,
+    min: 0
+  },
+  templates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormTemplate'
+  }],
+  departments: [{
+    type: String,
+    validate: departmentValidator()
+  }],
+  priority: {
+    type: Number,
+    default: 0
+  },
+  steps: {
+    type: [stepSchema],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'A workflow needs at least one step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+approvalWorkflowSchema.index({ entityType: 1, isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('ApprovalWorkflow', approvalWorkflowSchema);
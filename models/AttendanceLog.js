@@ -25,6 +25,21 @@ const attendanceLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AttendanceToken'
   },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Rejected attempts are kept as evidence and never count as attendance
+  status: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    default: 'accepted'
+  },
+  rejectionReason: {
+    type: String,
+    enum: ['location_missing', 'outside_geofence', 'device_missing', 'device_not_registered']
+  },
+  // Reported coordinates as "lat,lng"
   location: {
     type: String
   },
@@ -35,7 +50,11 @@ const attendanceLogSchema = new mongoose.Schema({
     ip: String,
     device: String,
     userAgent: String,
-    qrSequence: Number
+    qrSequence: Number,
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    distance: Number // Meters from the geofence center
   }
 }, {
   timestamps: true
@@ -45,6 +64,8 @@ const attendanceLogSchema = new mongoose.Schema({
 attendanceLogSchema.index({ userId: 1, timestamp: -1 });
 attendanceLogSchema.index({ timestamp: -1 });
 attendanceLogSchema.index({ type: 1, timestamp: -1 });
+attendanceLogSchema.index({ status: 1, timestamp: -1 });
+attendanceLogSchema.index({ branch: 1, timestamp: -1 });
 
 module.exports = mongoose.model('AttendanceLog', attendanceLogSchema);
 
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { MAX_SESSION_HOURS, minutesBetween } = require('../utils/shiftUtils');
+
+/**
+ * AttendanceSession - One check-in/check-out pair tied to a scheduled shift
+ * A session is opened by a check-in and closed by the next check-out,
+ * whatever the calendar date (supports overnight shifts)
+ */
+const attendanceSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Branch of the check-in QR station
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Day the shift starts on (YYYY-MM-DD, Saudi timezone)
+  shiftDate: {
+    type: String,
+    required: true
+  },
+  scheduledStart: {
+    type: Date
+  },
+  scheduledEnd: {
+    type: Date
+  },
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: Date
+  },
+  checkInLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog',
+    required: true
+  },
+  checkOutLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'auto_closed'],
+    default: 'open'
+  },
+  workedMinutes: {
+    type: Number,
+    default: 0
+  },
+  lateMinutes: {
+    type: Number,
+    default: 0
+  },
+  earlyLeaveMinutes: {
+    type: Number,
+    default: 0
+  },
+  overtimeMinutes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+attendanceSessionSchema.index({ userId: 1, checkIn: -1 });
+attendanceSessionSchema.index({ userId: 1, shiftDate: -1 });
+attendanceSessionSchema.index({ shiftDate: -1 });
+attendanceSessionSchema.index({ branch: 1, shiftDate: -1 });
+attendanceSessionSchema.index({ checkInLog: 1 });
+attendanceSessionSchema.index({ checkOutLog: 1 });
+
+// Only one open session per user
+attendanceSessionSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Recalculate worked/late/early-leave/overtime minutes from the timestamps
+attendanceSessionSchema.methods.calculateTotals = function () {
+  this.lateMinutes = this.scheduledStart ? minutesBetween(this.scheduledStart, this.checkIn) : 0;
+
+  if (this.checkOut) {
+    this.workedMinutes = minutesBetween(this.checkIn, this.checkOut);
+    this.earlyLeaveMinutes = this.scheduledEnd ? minutesBetween(this.checkOut, this.scheduledEnd) : 0;
+    this.overtimeMinutes = this.scheduledEnd ? minutesBetween(this.scheduledEnd, this.checkOut) : 0;
+  } else {
+    this.workedMinutes = 0;
+    this.earlyLeaveMinutes = 0;
+    this.overtimeMinutes = 0;
+  }
+};
+
+// Method to check if the session has been open too long to be closed by a check-out
+attendanceSessionSchema.methods.isStale = function (at = new Date()) {
+  return this.status === 'open' &&
+    new Date(at) - this.checkIn > MAX_SESSION_HOURS * 60 * 60 * 1000;
+};
+
+// Method to close the session with a check-out log
+attendanceSessionSchema.methods.close = async function (checkOutLog) {
+  this.checkOut = checkOutLog.timestamp;
+  this.checkOutLog = checkOutLog._id;
+  this.status = 'closed';
+  this.calculateTotals();
+  await this.save();
+};
+
+// Method to close a session that never got a check-out
+attendanceSessionSchema.methods.autoClose = async function () {
+  this.status = 'auto_closed';
+  this.calculateTotals();
+  await this.save();
+};
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
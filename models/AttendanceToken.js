@@ -27,6 +27,11 @@ const attendanceTokenSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // QR station branch (each branch has its own rotating stream)
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -43,6 +48,7 @@ const attendanceTokenSchema = new mongoose.Schema({
 attendanceTokenSchema.index({ status: 1, validTo: -1 });
 attendanceTokenSchema.index({ createdAt: -1 });
 attendanceTokenSchema.index({ sequenceNumber: -1 });
+attendanceTokenSchema.index({ branch: 1, status: 1, validTo: -1 });
 
 // Static method to generate unique token
 attendanceTokenSchema.statics.generateToken = function () {
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog - Append-only history of changes made by admins and supervisors
+ * Entries are never updated or deleted through the application
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the actor at the time of the action
+  actorName: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'approve', 'reject', 'reset_password', 'run']
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: [
+      'User',
+      'AttendanceLog',
+      'LeaveRequest',
+      'FormInstance',
+      'FormTemplate',
+      'Branch',
+      'Department',
+      'Role',
+      'ScheduledJob',
+      'ApprovalWorkflow',
+      'ApprovalDelegation',
+      'Invitation',
+      'System'
+    ]
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Human readable name of the entity (e.g. user name, department code)
+  entityLabel: String,
+  // Changed fields: { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: block updates and deletes
+const rejectMutation = function (next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
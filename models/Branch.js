@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Branch - A restaurant location
+ * Users, forms, leaves and attendance are scoped to a branch,
+ * and each active branch runs its own rotating QR stream
+ */
+const branchSchema = new mongoose.Schema({
+  name: {
+    en: { type: String, required: [true, 'English name is required'], trim: true },
+    ar: { type: String, required: [true, 'Arabic name is required'], trim: true }
+  },
+  code: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Attendance geofence (overrides the ATTENDANCE_GEOFENCE_* defaults)
+  geofence: {
+    latitude: Number,
+    longitude: Number,
+    radius: Number // Meters
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+branchSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeferredEmail - Notification emails held back by quiet hours or digest mode
+ * Delivered together as one digest email per user once deliverAt has passed
+ */
+const deferredEmailSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Body of the email as rendered for the recipient, shown in full in the digest
+  content: {
+    type: String
+  },
+  deliverAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+deferredEmailSchema.index({ deliverAt: 1 });
+deferredEmailSchema.index({ userId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DeferredEmail', deferredEmailSchema);
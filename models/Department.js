@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Department - A team within the restaurant (kitchen, counter, ...)
+ * Users, form instances and form templates reference departments by code
+ */
+const departmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Department code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    // 'all' is reserved for templates available to every department
+    match: [/^(?!all$)[a-z0-9-]+$/, 'Code may only contain lowercase letters, numbers and dashes']
+  },
+  name: {
+    en: { type: String, required: [true, 'English name is required'], trim: true },
+    ar: { type: String, required: [true, 'Arabic name is required'], trim: true }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  headSupervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must use HH:MM format'];
+
+/**
+ * DigestSettings - Schedule and recipients of the manager email digest
+ * A single document; times are HH:MM in Saudi Arabia timezone
+ */
+const digestSettingsSchema = new mongoose.Schema({
+  daily: {
+    enabled: { type: Boolean, default: false },
+    time: { type: String, default: '08:00', match: TIME_FORMAT }
+  },
+  weekly: {
+    enabled: { type: Boolean, default: false },
+    day: { type: String, enum: WEEK_DAYS, default: 'sunday' },
+    time: { type: String, default: '08:00', match: TIME_FORMAT }
+  },
+  recipients: {
+    // Role names (including custom roles) whose active users receive the digest
+    roles: {
+      type: [String],
+      default: ['admin']
+    },
+    // Additional individual recipients
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Last Saudi date (YYYY-MM-DD) each digest was sent for, so it is sent once
+  lastDailyDate: String,
+  lastWeeklyDate: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+digestSettingsSchema.statics.WEEK_DAYS = WEEK_DAYS;
+
+// Get the settings document, creating it with the defaults on first use
+digestSettingsSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+module.exports = mongoose.model('DigestSettings', digestSettingsSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * FormAssignment - A form expected by a template's recurrence schedule
+ * Generated per department, branch, shift and day; completed by the matching
+ * submitted form instance, or marked overdue once the due time has passed
+ */
+const formAssignmentSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormTemplate',
+    required: true
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  shift: {
+    type: String,
+    enum: ['morning', 'evening', 'night'],
+    required: true
+  },
+  // Day the form is expected for (YYYY-MM-DD, Saudi timezone)
+  date: {
+    type: String,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'overdue'],
+    default: 'pending'
+  },
+  instance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormInstance'
+  },
+  completedAt: Date,
+  // Completed after it was marked overdue
+  completedLate: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+formAssignmentSchema.index({ template: 1, department: 1, branch: 1, shift: 1, date: 1 }, { unique: true });
+formAssignmentSchema.index({ status: 1, dueAt: 1 });
+formAssignmentSchema.index({ date: 1, department: 1 });
+
+module.exports = mongoose.model('FormAssignment', formAssignmentSchema);
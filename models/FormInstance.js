@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { departmentValidator } = require('../utils/departments');
 
 const formInstanceSchema = new mongoose.Schema({
   templateId: {
@@ -13,8 +14,12 @@ const formInstanceSchema = new mongoose.Schema({
   },
   department: {
     type: String,
-    enum: ['kitchen', 'counter', 'cleaning', 'management', 'delivery', 'other'],
-    required: true
+    required: true,
+    validate: departmentValidator()
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
   },
   date: {
     type: Date,
@@ -26,6 +31,10 @@ const formInstanceSchema = new mongoose.Schema({
     enum: ['morning', 'evening', 'night'],
     default: 'morning'
   },
+  // Template version the form was filled against
+  templateVersion: {
+    type: Number
+  },
   values: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -71,6 +80,7 @@ const formInstanceSchema = new mongoose.Schema({
 formInstanceSchema.index({ templateId: 1, date: -1 });
 formInstanceSchema.index({ filledBy: 1, date: -1 });
 formInstanceSchema.index({ department: 1, date: -1 });
+formInstanceSchema.index({ branch: 1, date: -1 });
 formInstanceSchema.index({ status: 1, date: -1 });
 
 module.exports = mongoose.model('FormInstance', formInstanceSchema);
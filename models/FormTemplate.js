@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { departmentValidator } = require('../utils/departments');
 
 const fieldSchema = new mongoose.Schema({
   key: {
@@ -11,7 +12,7 @@ const fieldSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'textarea', 'number', 'boolean', 'select', 'date', 'time', 'datetime', 'file'],
+    enum: ['text', 'textarea', 'number', 'boolean', 'select', 'date', 'time', 'datetime', 'file', 'computed'],
     required: true
   },
   options: [{
@@ -22,6 +23,24 @@ const fieldSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Conditional logic (see utils/formLogic.js), e.g. { field: 'temperature', operator: 'gt', value: 5 }
+  showIf: mongoose.Schema.Types.Mixed,
+  requiredIf: mongoose.Schema.Types.Mixed,
+  // Computed fields: formula over other fields, e.g. 'counted - expected' or 'sum(items.amount)'
+  formula: String,
+  decimals: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  // Value constraints checked on submission (see utils/formValidation.js)
+  validation: {
+    min: Number,
+    max: Number,
+    minLength: { type: Number, min: 0 },
+    maxLength: { type: Number, min: 0 },
+    pattern: String // Regular expression for text fields
+  },
   placeholder: {
     en: String,
     ar: String
@@ -196,6 +215,31 @@ const sectionSchema = new mongoose.Schema({
   }
 });
 
+// Recurring schedule: one form is expected per matching department, shift and day
+const recurrenceRuleSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true,
+    validate: departmentValidator()
+  },
+  shift: {
+    type: String,
+    enum: ['morning', 'evening', 'night'],
+    required: true
+  },
+  // Days of the week the form is expected (empty means every day)
+  days: [{
+    type: String,
+    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+  }],
+  // Time the form is overdue (HH:MM, Saudi timezone); for night shifts a time before noon is the next morning
+  dueTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Due time must use HH:MM format']
+  }
+}, { _id: false });
+
 const formTemplateSchema = new mongoose.Schema({
   title: {
     en: { type: String, required: true },
@@ -216,12 +260,18 @@ const formTemplateSchema = new mongoose.Schema({
   }],
   departments: [{
     type: String,
-    enum: ['kitchen', 'counter', 'cleaning', 'management', 'delivery', 'other', 'all']
+    validate: departmentValidator({ allowAll: true })
   }],
   requiresApproval: {
     type: Boolean,
     default: true
   },
+  recurrence: [recurrenceRuleSchema],
+  // Current content version (see FormTemplateVersion)
+  version: {
+    type: Number,
+    default: 1
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -363,6 +413,7 @@ const formTemplateSchema = new mongoose.Schema({
 
 // Index for faster queries
 formTemplateSchema.index({ 'title.en': 'text', 'title.ar': 'text' });
+formTemplateSchema.index({ isActive: 1, 'recurrence.department': 1 });
 
 module.exports = mongoose.model('FormTemplate', formTemplateSchema);
 
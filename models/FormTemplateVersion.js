@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * FormTemplateVersion - Immutable snapshot of a form template's content
+ * A new version is stored whenever the sections, title or PDF layout change;
+ * form instances pin the version they were filled against
+ */
+const formTemplateVersionSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FormTemplate',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Stored as plain data so later schema changes do not alter old versions
+  title: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  description: mongoose.Schema.Types.Mixed,
+  sections: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  layout: mongoose.Schema.Types.Mixed,
+  pdfStyle: mongoose.Schema.Types.Mixed,
+  // e.g. 'Rolled back to version 2'
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+formTemplateVersionSchema.index({ template: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('FormTemplateVersion', formTemplateVersionSchema);
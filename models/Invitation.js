@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { departmentValidator } = require('../utils/departments');
+const { roleValidator } = require('../utils/permissions');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Account settings applied when the invitation is accepted
+  role: {
+    type: String,
+    default: 'employee',
+    validate: roleValidator()
+  },
+  department: {
+    type: String,
+    default: 'other',
+    validate: departmentValidator()
+  },
+  departments: [{
+    type: String,
+    validate: departmentValidator()
+  }],
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  languagePreference: {
+    type: String,
+    enum: ['ar', 'en'],
+    default: 'en'
+  },
+  // SHA-256 of the one-time token sent in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: {
+    type: Date
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+// Pending invitations past their expiry are reported as expired
+invitationSchema.virtual('isExpired').get(function () {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
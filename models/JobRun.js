@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Run history older than this is removed by a TTL index
+const RETENTION_DAYS = 30;
+
+/**
+ * JobRun - One execution of a scheduled job
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Server instance (host:pid) that ran the job
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Whatever the job returned (counts, sent emails, ...)
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
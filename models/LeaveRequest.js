@@ -6,6 +6,10 @@ const leaveRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   type: {
     type: String,
     enum: ['vacation', 'sick', 'permission', 'emergency', 'unpaid', 'other'],
@@ -14,11 +14,14 @@ const notificationSchema = new mongoose.Schema({
       'form_submitted',
       'form_approved',
       'form_rejected',
+      'form_overdue',
       'user_absent',
       'user_late',
       'leave_requested',
       'leave_approved',
       'leave_rejected',
+      'approval_requested',
+      'approval_escalated',
       'user_created',
       'user_updated',
       'attendance_checkin',
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Role - A named group of permissions assigned to users
+ * The four built-in roles are system roles; custom roles (e.g. "shift-lead")
+ * pick a built-in base role whose data scoping rules they follow
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  label: {
+    en: { type: String, required: [true, 'English label is required'], trim: true },
+    ar: { type: String, required: [true, 'Arabic label is required'], trim: true }
+  },
+  // Built-in role whose scoping applies (admin: everything, supervisor: their
+  // departments and branches, employee: own records, qr-manager: QR station)
+  baseRole: {
+    type: String,
+    enum: ['admin', 'supervisor', 'employee', 'qr-manager'],
+    required: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Users with this role must set up two-factor authentication to log in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Default permissions already granted to a built-in role
+  grantedDefaults: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
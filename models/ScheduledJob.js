@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { isValidCron } = require('../utils/cron');
+
+/**
+ * ScheduledJob - A recurring background task run by the job scheduler
+ * Created from the scheduler's built-in definitions on startup; the schedule
+ * and paused state are kept across restarts. The lock makes sure only one
+ * server instance runs a job at a time.
+ */
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  // Cron expression in Saudi Arabia timezone
+  schedule: {
+    type: String,
+    required: true,
+    validate: {
+      validator: isValidCron,
+      message: props => `${props.value} is not a valid cron expression`
+    }
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastDurationMs: Number,
+  lastError: String,
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ paused: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
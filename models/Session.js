@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One login on one device; its refresh token is rotated on every refresh
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; older tokens of the session are rejected as reused
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  deviceId: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Expiry of the current refresh token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions are removed once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
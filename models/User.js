@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { departmentValidator } = require('../utils/departments');
+const { roleValidator } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -44,17 +46,26 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'supervisor', 'employee', 'qr-manager'],
-    default: 'employee'
+    default: 'employee',
+    validate: roleValidator()
   },
   department: {
     type: String,
-    enum: ['kitchen', 'counter', 'cleaning', 'management', 'delivery', 'other'],
-    default: 'other'
+    default: 'other',
+    validate: departmentValidator()
   },
   departments: [{
     type: String,
-    enum: ['kitchen', 'counter', 'cleaning', 'management', 'delivery', 'other']
+    validate: departmentValidator()
+  }],
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Branches a supervisor oversees
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
   }],
   languagePreference: {
     type: String,
@@ -119,10 +130,51 @@ const userSchema = new mongoose.Schema({
       return {};
     }
   },
-  refreshToken: {
+  // Previous password hashes (most recent last), to prevent reuse
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Failed login attempts since the last successful login, and the lock they caused
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Bumped to invalidate all issued tokens (password reset, role change, deactivation)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Encrypted TOTP secret (pending until the first code confirms the enrolment)
+  twoFactorSecret: {
     type: String,
     select: false
   },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
   resetPasswordToken: {
     type: String,
     select: false
@@ -137,7 +189,26 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetRequestDate: {
     type: Date
-  }
+  },
+  // Devices allowed to record attendance (when device binding is enabled)
+  devices: [{
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  }]
   // metadata field removed - moved to UserMetadata collection
   // Large metadata should be stored in UserMetadata collection
 }, {
@@ -149,6 +220,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ department: 1, isActive: 1 });
 userSchema.index({ departments: 1, isActive: 1 });
+userSchema.index({ branch: 1, isActive: 1 });
+userSchema.index({ branches: 1, isActive: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ name: 1 }); // For search queries
 userSchema.index({ createdAt: -1 }); // For sorting by creation date
@@ -180,6 +253,9 @@ userSchema.pre('save', function (next) {
       this.departments = [this.department];
     }
   }
+  if (this.role === 'supervisor' && (!this.branches || this.branches.length === 0) && this.branch) {
+    this.branches = [this.branch];
+  }
   next();
 });
 
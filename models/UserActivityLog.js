@@ -17,6 +17,7 @@ const userActivityLogSchema = new mongoose.Schema({
     enum: [
       'login',
       'logout',
+      'session_revoke',
       'profile_update',
       'password_change',
       'form_submit',
@@ -59,8 +60,17 @@ userActivityLogSchema.index({ createdAt: -1 });
 // Compound index for user activity queries
 userActivityLogSchema.index({ userId: 1, action: 1, createdAt: -1 });
 
-// TTL index - automatically delete logs older than 1 year (optional)
-// userActivityLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 31536000 });
+// TTL index - automatically delete logs older than the retention period
+// (ACTIVITY_LOG_RETENTION_DAYS, default 365 days; 0 keeps logs forever)
+const retentionDays = parseInt(process.env.ACTIVITY_LOG_RETENTION_DAYS ?? '365', 10);
+userActivityLogSchema.statics.RETENTION_SECONDS = retentionDays > 0 ? retentionDays * 24 * 60 * 60 : null;
+
+if (userActivityLogSchema.statics.RETENTION_SECONDS) {
+  userActivityLogSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: userActivityLogSchema.statics.RETENTION_SECONDS, name: 'createdAt_ttl' }
+  );
+}
 
 module.exports = mongoose.model('UserActivityLog', userActivityLogSchema);
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPendingApprovals,
+  getEntityApprovals,
+  getWorkflows,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  getDelegations,
+  createDelegation,
+  deleteDelegation
+} = require('../controllers/approvalController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/pending', getPendingApprovals);
+
+router.route('/workflows')
+  .get(authorize('approvals.manage'), getWorkflows)
+  .post(authorize('approvals.manage'), createWorkflow);
+
+router.route('/workflows/:id')
+  .put(authorize('approvals.manage'), updateWorkflow)
+  .delete(authorize('approvals.manage'), deleteWorkflow);
+
+router.route('/delegations')
+  .get(getDelegations)
+  .post(createDelegation);
+
+router.delete('/delegations/:id', deleteDelegation);
+
+router.get('/:entity(leaves|forms)/:id', getEntityApprovals);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   generateQRCode,
   getCurrentQR,
+  streamQR,
   validateQRToken,
   recordAttendance,
   getMyAttendance,
@@ -11,7 +12,8 @@ const {
   getAllAttendanceGrouped,
   cleanupExpiredQRs,
   checkAbsentUsers,
-  updateAttendanceLog
+  updateAttendanceLog,
+  getTimesheet
 } = require('../controllers/attendanceController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -22,10 +24,11 @@ router.get('/validate/:token', validateQRToken);
 router.use(protect);
 
 // Admin and QR Manager - QR code management
-router.post('/qr/generate', authorize('admin', 'qr-manager'), generateQRCode);
-router.get('/qr/current', authorize('admin', 'qr-manager'), getCurrentQR);
-router.post('/qr/cleanup', authorize('admin'), cleanupExpiredQRs);
-router.post('/check-absent', authorize('admin'), checkAbsentUsers);
+router.post('/qr/generate', authorize('attendance.qr'), generateQRCode);
+router.get('/qr/current', authorize('attendance.qr'), getCurrentQR);
+router.get('/qr/stream', authorize('attendance.qr'), streamQR);
+router.post('/qr/cleanup', authorize('attendance.manage'), cleanupExpiredQRs);
+router.post('/check-absent', authorize('attendance.manage'), checkAbsentUsers);
 
 // All authenticated users - record attendance
 router.post('/record', recordAttendance);
@@ -34,13 +37,16 @@ router.post('/record', recordAttendance);
 router.get('/my-attendance', getMyAttendance);
 
 // Admin and Supervisor - stats
-router.get('/stats', authorize('admin', 'supervisor'), getAttendanceStats);
+router.get('/stats', authorize('attendance.view'), getAttendanceStats);
+
+// Admin and Supervisor - monthly timesheet / payroll export
+router.get('/timesheet', authorize('attendance.view'), getTimesheet);
 
 // All authenticated users - logs (employees can only see their own)
 router.get('/logs', getAllAttendance);
 router.get('/logs/grouped', getAllAttendanceGrouped);
 
 // Admin only - update attendance log
-router.put('/logs/:id', authorize('admin'), updateAttendanceLog);
+router.put('/logs/:id', authorize('attendance.edit'), updateAttendanceLog);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, getEntityHistory } = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('audit.view'));
+
+router.get('/', getAuditLogs);
+router.get('/:entityType/:entityId', getEntityHistory);
+
+module.exports = router;
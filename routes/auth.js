@@ -1,29 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getPasswordPolicy,
   register,
   login,
   refreshToken,
   logout,
+  getSessions,
+  revokeOtherSessions,
+  revokeSession,
   getMe,
   updateProfile,
   changePassword,
   forgotPassword,
   resetPassword,
-  requestPasswordReset
+  requestPasswordReset,
+  verifyTwoFactor,
+  enrollTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
+router.get('/password-policy', getPasswordPolicy);
 router.post('/register', register);
 router.post('/login', login);
 router.post('/refresh', refreshToken);
 router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/others', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password/:token', resetPassword);
 router.post('/request-password-reset', requestPasswordReset);
 
+// Two-factor authentication
+router.post('/2fa/verify', verifyTwoFactor);
+router.post('/2fa/enroll', enrollTwoFactor);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
 module.exports = router;
 
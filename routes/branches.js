@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+} = require('../controllers/branchController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getBranches)
+  .post(authorize('branches.manage'), createBranch);
+
+router.route('/:id')
+  .get(getBranch)
+  .put(authorize('branches.manage'), updateBranch)
+  .delete(authorize('branches.manage'), deleteBranch);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const User = require('../models/User');
 
 const cache = require('../utils/cache');
 const logger = require('../utils/logger');
+const { getBranchFilter } = require('../utils/branchScope');
 
 // @desc    Get dashboard summary
 // @route   GET /api/dashboard/summary
@@ -15,7 +16,7 @@ const logger = require('../utils/logger');
 router.get('/summary', protect, async (req, res) => {
   try {
     // Generate cache key based on user role and ID
-    const cacheKey = cache.key('dashboard', req.user.role, req.user.id);
+    const cacheKey = cache.key('dashboard', req.user.role, req.user.id, req.query.branch);
     
     // Try to get from cache first
     const cached = await cache.get(cacheKey);
@@ -34,7 +35,7 @@ router.get('/summary', protect, async (req, res) => {
     thisWeekStart.setDate(today.getDate() - today.getDay());
 
     // Employee-specific data
-    if (req.user.role === 'employee') {
+    if (req.user.baseRole === 'employee') {
       // Use Promise.all for parallel queries
       const [
         user,
@@ -50,11 +51,13 @@ router.get('/summary', protect, async (req, res) => {
         AttendanceLog.findOne({
           userId: req.user.id,
           type: 'checkin',
+          status: { $ne: 'rejected' },
           timestamp: { $gte: today }
         }).lean(),
         AttendanceLog.findOne({
           userId: req.user.id,
           type: 'checkout',
+          status: { $ne: 'rejected' },
           timestamp: { $gte: today }
         }).lean(),
         LeaveRequest.countDocuments({
@@ -72,6 +75,7 @@ router.get('/summary', protect, async (req, res) => {
         AttendanceLog.distinct('timestamp', {
           userId: req.user.id,
           type: 'checkin',
+          status: { $ne: 'rejected' },
           timestamp: { $gte: new Date(today.getFullYear(), today.getMonth(), 1) }
         }),
         LeaveRequest.countDocuments({
@@ -107,30 +111,33 @@ router.get('/summary', protect, async (req, res) => {
     }
 
     // Admin/Supervisor data
-    let query = {};
+    // Branch filter (supervisors are limited to their branches, admins may pick one)
+    const branchFilter = getBranchFilter(req.user, req.query.branch);
+    let query = { ...branchFilter };
     let departmentUsers = null;
 
     // Department filter for supervisors
-    if (req.user.role === 'supervisor') {
+    if (req.user.baseRole === 'supervisor') {
       query.department = { $in: req.user.departments };
       // Get department users once for reuse
       departmentUsers = await User.find({
-        department: { $in: req.user.departments }
+        department: { $in: req.user.departments },
+        ...branchFilter
       }).select('_id').lean();
     }
 
     // Prepare queries for parallel execution
-    const attendanceQuery = req.user.role === 'supervisor' && departmentUsers
-      ? { userId: { $in: departmentUsers.map(u => u._id) }, type: 'checkin', timestamp: { $gte: today } }
-      : { type: 'checkin', timestamp: { $gte: today } };
+    const attendanceQuery = req.user.baseRole === 'supervisor' && departmentUsers
+      ? { userId: { $in: departmentUsers.map(u => u._id) }, type: 'checkin', status: { $ne: 'rejected' }, timestamp: { $gte: today } }
+      : { ...branchFilter, type: 'checkin', status: { $ne: 'rejected' }, timestamp: { $gte: today } };
 
-    const leaveQuery = req.user.role === 'supervisor' && departmentUsers
+    const leaveQuery = req.user.baseRole === 'supervisor' && departmentUsers
       ? { userId: { $in: departmentUsers.map(u => u._id) } }
-      : {};
+      : { ...branchFilter };
 
-    const userQuery = req.user.role === 'supervisor'
-      ? { department: { $in: req.user.departments }, isActive: true }
-      : { isActive: true };
+    const userQuery = req.user.baseRole === 'supervisor'
+      ? { department: { $in: req.user.departments }, ...branchFilter, isActive: true }
+      : { ...branchFilter, isActive: true };
 
     // Execute all queries in parallel
     const [
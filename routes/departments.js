@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} = require('../controllers/departmentController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getDepartments)
+  .post(authorize('departments.manage'), createDepartment);
+
+router.route('/:id')
+  .put(authorize('departments.manage'), updateDepartment)
+  .delete(authorize('departments.manage'), deleteDepartment);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDigestSettings,
+  updateDigestSettings,
+  previewDigest,
+  sendDigestNow
+} = require('../controllers/digestController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('digest.manage'));
+
+router.route('/settings')
+  .get(getDigestSettings)
+  .put(updateDigestSettings);
+
+router.get('/preview', previewDigest);
+router.post('/send', sendDigestNow);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents, getStatus } = require('../controllers/eventController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', streamEvents);
+router.get('/status', authorize('admin'), getStatus);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFormAssignments,
+  getCompliance
+} = require('../controllers/formAssignmentController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('forms.view'));
+
+router.get('/', getFormAssignments);
+router.get('/compliance', getCompliance);
+
+module.exports = router;
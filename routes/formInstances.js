@@ -7,6 +7,7 @@ const {
   updateFormInstance,
   deleteFormInstance,
   approveFormInstance,
+  bulkApproveFormInstances,
   exportFormInstance,
   getFormStats,
   uploadFormImages,
@@ -18,22 +19,23 @@ const upload = require('../middleware/upload');
 router.use(protect);
 
 router.route('/')
-  .get(authorize('admin', 'supervisor'), getFormInstances)
-  .post(authorize('admin', 'supervisor'), createFormInstance);
+  .get(authorize('forms.view'), getFormInstances)
+  .post(authorize('forms.fill'), createFormInstance);
 
-router.get('/stats/summary', authorize('admin', 'supervisor'), getFormStats);
+router.get('/stats/summary', authorize('forms.view'), getFormStats);
+router.put('/bulk-approve', authorize('forms.approve'), bulkApproveFormInstances);
 
 router.route('/:id')
-  .get(authorize('admin', 'supervisor'), getFormInstance)
-  .put(authorize('admin', 'supervisor'), updateFormInstance)
-  .delete(authorize('admin', 'supervisor'), deleteFormInstance);
+  .get(authorize('forms.view'), getFormInstance)
+  .put(authorize('forms.fill'), updateFormInstance)
+  .delete(authorize('forms.delete'), deleteFormInstance);
 
-router.put('/:id/approve', authorize('admin', 'supervisor'), approveFormInstance);
-router.get('/:id/export', authorize('admin', 'supervisor'), exportFormInstance);
+router.put('/:id/approve', authorize('forms.approve'), approveFormInstance);
+router.get('/:id/export', authorize('forms.export'), exportFormInstance);
 
 // Image upload routes
-router.post('/:id/images', authorize('admin', 'supervisor'), upload.array('images', 10), uploadFormImages);
-router.delete('/:id/images/:imageId', authorize('admin', 'supervisor'), deleteFormImage);
+router.post('/:id/images', authorize('forms.fill'), upload.array('images', 10), uploadFormImages);
+router.delete('/:id/images/:imageId', authorize('forms.fill'), deleteFormImage);
 
 module.exports = router;
 
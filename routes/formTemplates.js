@@ -6,7 +6,11 @@ const {
   createFormTemplate,
   updateFormTemplate,
   deleteFormTemplate,
-  duplicateFormTemplate
+  duplicateFormTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  rollbackTemplateVersion
 } = require('../controllers/formTemplateController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -14,14 +18,20 @@ router.use(protect);
 
 router.route('/')
   .get(getFormTemplates)
-  .post(authorize('admin'), createFormTemplate);
+  .post(authorize('templates.manage'), createFormTemplate);
 
 router.route('/:id')
   .get(getFormTemplate)
-  .put(authorize('admin'), updateFormTemplate)
-  .delete(authorize('admin'), deleteFormTemplate);
+  .put(authorize('templates.manage'), updateFormTemplate)
+  .delete(authorize('templates.manage'), deleteFormTemplate);
 
-router.post('/:id/duplicate', authorize('admin'), duplicateFormTemplate);
+router.post('/:id/duplicate', authorize('templates.manage'), duplicateFormTemplate);
+
+// Version history
+router.get('/:id/versions', authorize('templates.manage'), getTemplateVersions);
+router.get('/:id/versions/diff', authorize('templates.manage'), diffTemplateVersions);
+router.get('/:id/versions/:version', authorize('templates.manage'), getTemplateVersion);
+router.post('/:id/versions/:version/rollback', authorize('templates.manage'), rollbackTemplateVersion);
 
 module.exports = router;
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} = require('../controllers/invitationController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Public: the invitee opens the emailed link
+router.get('/accept/:token', getInvitationByToken);
+router.post('/accept/:token', acceptInvitation);
+
+router.use(protect);
+router.use(authorize('users.manage'));
+
+router.route('/')
+  .get(getInvitations)
+  .post(createInvitation);
+
+router.post('/:id/resend', resendInvitation);
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  getJob,
+  getJobRuns,
+  runJob,
+  pauseJob,
+  resumeJob,
+  updateJob
+} = require('../controllers/jobController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('jobs.manage'));
+
+router.get('/', getJobs);
+
+router.route('/:name')
+  .get(getJob)
+  .put(updateJob);
+
+router.get('/:name/runs', getJobRuns);
+router.post('/:name/run', runJob);
+router.post('/:name/pause', pauseJob);
+router.post('/:name/resume', resumeJob);
+
+module.exports = router;
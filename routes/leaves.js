@@ -7,6 +7,7 @@ const {
   updateLeaveRequest,
   deleteLeaveRequest,
   approveLeaveRequest,
+  bulkApproveLeaveRequests,
   cancelLeaveRequest,
   getLeaveStats,
   getMyLeaveBalance
@@ -16,7 +17,8 @@ const { protect, authorize } = require('../middleware/auth');
 router.use(protect);
 
 router.get('/my-balance', getMyLeaveBalance);
-router.get('/stats/summary', authorize('admin', 'supervisor'), getLeaveStats);
+router.get('/stats/summary', authorize('leaves.view'), getLeaveStats);
+router.put('/bulk-approve', authorize('leaves.approve'), bulkApproveLeaveRequests);
 
 router.route('/')
   .get(getLeaveRequests)
@@ -27,7 +29,7 @@ router.route('/:id')
   .put(updateLeaveRequest)
   .delete(deleteLeaveRequest);
 
-router.put('/:id/approve', authorize('admin', 'supervisor'), approveLeaveRequest);
+router.put('/:id/approve', authorize('leaves.approve'), approveLeaveRequest);
 router.put('/:id/cancel', cancelLeaveRequest);
 
 module.exports = router;
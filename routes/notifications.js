@@ -6,7 +6,9 @@ const {
   markAsRead,
   markAllAsRead,
   deleteNotification,
-  deleteAllNotifications
+  deleteAllNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences
 } = require('../controllers/notificationController');
 const { protect } = require('../middleware/auth');
 
@@ -18,6 +20,9 @@ router.route('/')
   .delete(deleteAllNotifications);
 
 router.get('/unread-count', getUnreadCount);
+router.route('/preferences')
+  .get(getNotificationPreferences)
+  .put(updateNotificationPreferences);
 router.put('/read-all', markAllAsRead);
 router.put('/:id/read', markAsRead);
 router.delete('/:id', deleteNotification);
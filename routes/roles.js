@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('roles.manage'));
+
+router.get('/permissions', getPermissions);
+
+router.route('/')
+  .get(getRoles)
+  .post(createRole);
+
+router.route('/:id')
+  .put(updateRole)
+  .delete(deleteRole);
+
+module.exports = router;
@@ -3,13 +3,19 @@ const router = express.Router();
 const {
   getUsers,
   getUser,
+  getUserActivity,
   createUser,
   updateUser,
   deleteUser,
   resetPassword,
+  resetTwoFactor,
+  unlockUser,
   getAdminUser,
   getPasswordResetRequests,
-  sendEmployeeReport
+  sendEmployeeReport,
+  getUserDevices,
+  addUserDevice,
+  removeUserDevice
 } = require('../controllers/userController');
 const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
@@ -22,20 +28,29 @@ router.get('/admin', getAdminUser);
 // Route for getting single user - accessible to all authenticated users (with restrictions in controller)
 router.get('/:id', getUser);
 
-// Protected routes (admin, supervisor only)
-router.use(authorize('admin', 'supervisor'));
+// Protected routes (users.view: admin, supervisor by default)
+router.use(authorize('users.view'));
 
 router.route('/')
   .get(getUsers)
-  .post(authorize('admin'), upload.single('image'), createUser);
+  .post(authorize('users.manage'), upload.single('image'), createUser);
 
 router.route('/:id')
-  .put(authorize('admin'), upload.single('image'), updateUser)
-  .delete(authorize('admin'), deleteUser);
-
-router.put('/:id/reset-password', authorize('admin'), resetPassword);
-router.get('/password-reset-requests', authorize('admin'), getPasswordResetRequests);
-router.post('/:id/send-report', authorize('admin'), sendEmployeeReport);
+  .put(authorize('users.manage'), upload.single('image'), updateUser)
+  .delete(authorize('users.manage'), deleteUser);
+
+router.put('/:id/reset-password', authorize('users.manage'), resetPassword);
+router.delete('/:id/two-factor', authorize('users.manage'), resetTwoFactor);
+router.put('/:id/unlock', authorize('users.manage'), unlockUser);
+router.get('/password-reset-requests', authorize('users.manage'), getPasswordResetRequests);
+router.post('/:id/send-report', authorize('users.manage'), sendEmployeeReport);
+router.get('/:id/activity', getUserActivity);
+
+// Attendance device binding
+router.route('/:id/devices')
+  .get(authorize('users.manage'), getUserDevices)
+  .post(authorize('users.manage'), addUserDevice);
+router.delete('/:id/devices/:deviceId', authorize('users.manage'), removeUserDevice);
 
 module.exports = router;
 
@@ -0,0 +1,109 @@
+/**
+ * Backfill Script: Build attendance sessions from existing attendance logs
+ *
+ * Pairs every user's historical check-ins and check-outs chronologically
+ * into AttendanceSession documents. Logs that already belong to a session
+ * are skipped, so the script is safe to run more than once. A user has at most
+ * one open session: an unclosed check-in is only left open when it is recent
+ * and the user has no open session yet.
+ *
+ * Run: node scripts/backfillAttendanceSessions.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AttendanceLog = require('../models/AttendanceLog');
+const AttendanceSession = require('../models/AttendanceSession');
+const User = require('../models/User');
+const shiftUtils = require('../utils/shiftUtils');
+
+const backfillAttendanceSessions = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const userIds = await AttendanceLog.distinct('userId', { status: { $ne: 'rejected' } });
+    console.log(`📊 Found attendance logs for ${userIds.length} user(s)`);
+
+    let created = 0;
+    let autoClosed = 0;
+
+    for (const userId of userIds) {
+      const user = await User.findById(userId).select('name workDays workSchedule').lean();
+
+      // Skip logs already linked to a session
+      const existing = await AttendanceSession.find({ userId }).select('checkInLog checkOutLog status').lean();
+      const hasOpenSession = existing.some(session => session.status === 'open');
+      const linkedLogIds = new Set();
+      existing.forEach(session => {
+        linkedLogIds.add(session.checkInLog.toString());
+        if (session.checkOutLog) linkedLogIds.add(session.checkOutLog.toString());
+      });
+
+      const logs = await AttendanceLog.find({ userId, status: { $ne: 'rejected' } })
+        .sort({ timestamp: 1 })
+        .lean();
+
+      let openSession = null;
+
+      for (const log of logs) {
+        if (linkedLogIds.has(log._id.toString())) continue;
+
+        if (log.type === 'checkin') {
+          // A new check-in while a session is open means the previous check-out was missed
+          if (openSession) {
+            openSession.status = 'auto_closed';
+            openSession.calculateTotals();
+            await openSession.save();
+            autoClosed++;
+          }
+
+          const shift = shiftUtils.resolveShift(user, log.timestamp);
+          openSession = new AttendanceSession({
+            userId,
+            shiftDate: shift.shiftDate,
+            scheduledStart: shift.scheduledStart,
+            scheduledEnd: shift.scheduledEnd,
+            checkIn: log.timestamp,
+            checkInLog: log._id
+          });
+          created++;
+        } else if (log.type === 'checkout' && openSession) {
+          if (openSession.isStale(log.timestamp)) {
+            openSession.status = 'auto_closed';
+            openSession.calculateTotals();
+            autoClosed++;
+          } else {
+            openSession.checkOut = log.timestamp;
+            openSession.checkOutLog = log._id;
+            openSession.status = 'closed';
+            openSession.calculateTotals();
+          }
+          await openSession.save();
+          openSession = null;
+        }
+      }
+
+      // Leave the last session open only if it is still recent and the user has no open session
+      if (openSession) {
+        if (openSession.isStale() || hasOpenSession) {
+          openSession.status = 'auto_closed';
+          autoClosed++;
+        }
+        openSession.calculateTotals();
+        await openSession.save();
+      }
+
+      console.log(`   ✓ ${user?.name || userId}`);
+    }
+
+    console.log(`✅ Created ${created} session(s), ${autoClosed} auto-closed (missing check-out)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during backfill:', error);
+    process.exit(1);
+  }
+};
+
+backfillAttendanceSessions();
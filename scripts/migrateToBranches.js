@@ -0,0 +1,76 @@
+/**
+ * Migration Script: Assign existing data to a default branch
+ *
+ * Creates the main branch (if no branch exists yet) and assigns it to every
+ * user, form instance, leave request, attendance log, session and QR token
+ * created before multi-branch support. Safe to run more than once.
+ *
+ * Run: node scripts/migrateToBranches.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const FormInstance = require('../models/FormInstance');
+const LeaveRequest = require('../models/LeaveRequest');
+const AttendanceLog = require('../models/AttendanceLog');
+const AttendanceSession = require('../models/AttendanceSession');
+const AttendanceToken = require('../models/AttendanceToken');
+
+const migrateToBranches = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let branch = await Branch.findOne().sort({ createdAt: 1 });
+
+    if (!branch) {
+      const latitude = parseFloat(process.env.ATTENDANCE_GEOFENCE_LAT);
+      const longitude = parseFloat(process.env.ATTENDANCE_GEOFENCE_LNG);
+
+      branch = await Branch.create({
+        name: { en: 'Main Branch', ar: 'الفرع الرئيسي' },
+        code: 'main',
+        // Carry over the single-restaurant geofence if one is configured
+        geofence: !isNaN(latitude) && !isNaN(longitude)
+          ? { latitude, longitude, radius: parseFloat(process.env.ATTENDANCE_GEOFENCE_RADIUS) || 100 }
+          : undefined
+      });
+      console.log(`✅ Created branch "${branch.name.en}" (${branch.code})`);
+    } else {
+      console.log(`ℹ️  Using existing branch "${branch.name.en}" (${branch.code})`);
+    }
+
+    const missingBranch = { branch: { $exists: false } };
+    const collections = [
+      ['Users', User],
+      ['Form instances', FormInstance],
+      ['Leave requests', LeaveRequest],
+      ['Attendance logs', AttendanceLog],
+      ['Attendance sessions', AttendanceSession],
+      ['QR tokens', AttendanceToken]
+    ];
+
+    for (const [label, Model] of collections) {
+      const result = await Model.updateMany(missingBranch, { branch: branch._id });
+      console.log(`   ✓ ${label}: ${result.modifiedCount} updated`);
+    }
+
+    // Supervisors oversee the branch they belong to
+    const supervisors = await User.updateMany(
+      { role: 'supervisor', $or: [{ branches: { $exists: false } }, { branches: { $size: 0 } }] },
+      [{ $set: { branches: ['$branch'] } }]
+    );
+    console.log(`   ✓ Supervisors: ${supervisors.modifiedCount} updated`);
+
+    console.log('✅ Migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  }
+};
+
+migrateToBranches();
@@ -9,8 +9,18 @@ const errorHandler = require('./middleware/errorHandler');
 // Load env vars
 dotenv.config();
 
-// Connect to database
-connectDB();
+// Connect to database, then apply the activity log retention period and start background work
+connectDB().then(async () => {
+  await require('./utils/activityLog').syncRetention();
+
+  // Recurring jobs (absence check, QR cleanup, emails); locked so only one instance runs each
+  await require('./services/jobs').start();
+
+  // Rotate attendance QR codes; locked so only one instance rotates
+  if (process.env.QR_AUTO_GENERATE !== 'false') {
+    await require('./services/qrAutoGenerator').start();
+  }
+});
 
 const app = express();
 
@@ -100,10 +110,11 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Auth rate limiting (stricter but still reasonable)
+// Auth rate limiting per IP: only a flood guard, since the whole staff may share one
+// network; password guessing is stopped per account by the login lockout
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 20, // Increased from 5 to 20 for better UX
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 200,
   message: {
     error: 'Too many login attempts',
     message: 'Too many login attempts, please try again later'
@@ -122,17 +133,30 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/api/auth/2fa/enroll', authLimiter);
+app.use('/api/invitations/accept', authLimiter);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/departments', require('./routes/departments'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit', require('./routes/audit'));
 app.use('/api/form-templates', require('./routes/formTemplates'));
 app.use('/api/form-instances', require('./routes/formInstances'));
+app.use('/api/form-assignments', require('./routes/formAssignments'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/leaves', require('./routes/leaves'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/messages', require('./routes/messages'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/digest', require('./routes/digest'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/approvals', require('./routes/approvals'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -160,7 +184,6 @@ const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
   logger.log(`🚀 Brosted-4U Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
-  logger.log('💡 QR codes will be generated on-demand from the frontend');
 });
 
 // Handle unhandled promise rejections
@@ -172,6 +195,8 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.log('SIGTERM received, shutting down gracefully...');
+  require('./services/jobs').stop();
+  require('./services/qrAutoGenerator').stop();
   server.close(() => {
     logger.log('Process terminated');
   });
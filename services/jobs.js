@@ -0,0 +1,48 @@
+const scheduler = require('./scheduler');
+const qrAutoGenerator = require('./qrAutoGenerator');
+const { checkAbsentUsers } = require('../utils/checkAbsentUsers');
+const { sendDeferredEmails } = require('../utils/emailService');
+const { runDueDigests } = require('../utils/managerDigest');
+const { runFormAssignments } = require('../utils/formAssignments');
+const { escalateApprovals } = require('../utils/approvals');
+
+// Built-in recurring jobs; schedules are cron expressions in Saudi Arabia timezone
+// and can be changed by admins through /api/jobs
+
+scheduler.register('check-absent-users', {
+  description: 'Notify admins and supervisors about employees who did not check in today',
+  schedule: '55 23 * * *',
+  handler: checkAbsentUsers
+});
+
+scheduler.register('qr-token-cleanup', {
+  description: 'Expire old QR tokens and keep the last 10 of each branch',
+  schedule: '0 * * * *',
+  handler: () => qrAutoGenerator.cleanupTokens()
+});
+
+scheduler.register('form-assignments', {
+  description: 'Create the forms expected today by template recurrence rules and mark missed ones overdue',
+  schedule: '*/15 * * * *',
+  handler: runFormAssignments
+});
+
+scheduler.register('approval-escalation', {
+  description: 'Escalate approval steps waiting longer than their workflow allows',
+  schedule: '*/15 * * * *',
+  handler: async () => ({ escalated: await escalateApprovals() })
+});
+
+scheduler.register('deferred-emails', {
+  description: 'Send emails held back by quiet hours or digest mode',
+  schedule: '*/5 * * * *',
+  handler: sendDeferredEmails
+});
+
+scheduler.register('manager-digest', {
+  description: 'Send the daily/weekly manager digest once its configured time has passed',
+  schedule: '*/5 * * * *',
+  handler: async () => ({ sent: await runDueDigests() })
+});
+
+module.exports = scheduler;
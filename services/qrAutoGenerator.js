@@ -1,9 +1,23 @@
 const AttendanceToken = require('../models/AttendanceToken');
+const Branch = require('../models/Branch');
+const ScheduledJob = require('../models/ScheduledJob');
+const realtime = require('./realtime');
+const scheduler = require('./scheduler');
+
+// Rotation lock, stored like a scheduled job lock: only the instance holding it rotates,
+// since every rotation expires the branch's other tokens
+const LEASE_NAME = 'qr-rotation';
 
 class QRAutoGenerator {
   constructor() {
-    this.intervalId = null;
+    // One rotating stream per branch (keyed by branch ID, 'default' without branches)
+    this.streams = new Map();
     this.isRunning = false;
+    // Whether this instance holds the rotation lock
+    this.isLeader = false;
+    this.leaseIntervalId = null;
+    this.checkingLease = false;
+    this.instanceId = scheduler.instanceId;
     this.updateInterval();
   }
 
@@ -14,9 +28,14 @@ class QRAutoGenerator {
     console.log(`📝 QR Token validity set to: ${validitySeconds} seconds (${this.intervalMs}ms)`);
   }
 
-  async generateQR() {
+  getStreamKey(branchId) {
+    return branchId ? branchId.toString() : 'default';
+  }
+
+  async generateQR(branchId = null, createdBy = undefined) {
     try {
-      console.log('🔄 Auto-generating QR code...');
+      const streamKey = this.getStreamKey(branchId);
+      console.log(`🔄 Auto-generating QR code (${streamKey})...`);
 
       // Get next sequence number
       const sequenceNumber = await AttendanceToken.getNextSequence();
@@ -34,20 +53,24 @@ class QRAutoGenerator {
         validFrom,
         validTo,
         status: 'active',
-        sequenceNumber
+        sequenceNumber,
+        branch: branchId || undefined,
+        createdBy
       });
 
-      // Expire all previous active tokens
+      // Expire previous active tokens of the same branch
+      // (branch: null also matches tokens created before branches existed)
       await AttendanceToken.updateMany(
         {
           _id: { $ne: qrToken._id },
-          status: 'active'
+          status: 'active',
+          branch: branchId || null
         },
         { status: 'expired' }
       );
 
-      // Cleanup: Keep only last 10 QR codes
-      const tokensToKeep = await AttendanceToken.find()
+      // Cleanup: Keep only last 10 QR codes of the branch
+      const tokensToKeep = await AttendanceToken.find({ branch: branchId || null })
         .sort({ createdAt: -1 })
         .limit(10)
         .select('_id');
@@ -55,10 +78,21 @@ class QRAutoGenerator {
       const idsToKeep = tokensToKeep.map(t => t._id);
 
       const deleteResult = await AttendanceToken.deleteMany({
+        branch: branchId || null,
         _id: { $nin: idsToKeep }
       });
 
-      console.log(`✅ Generated QR #${sequenceNumber}, expired old tokens, deleted ${deleteResult.deletedCount} old QRs`);
+      console.log(`✅ Generated QR #${sequenceNumber} (${streamKey}), expired old tokens, deleted ${deleteResult.deletedCount} old QRs`);
+
+      // Push the rotation to the branch's QR display screens
+      await realtime.sendQR(branchId, {
+        token: qrToken.token,
+        validFrom: qrToken.validFrom,
+        validTo: qrToken.validTo,
+        sequenceNumber: qrToken.sequenceNumber,
+        branch: qrToken.branch || null,
+        expiresIn: Math.floor(this.intervalMs / 1000)
+      });
 
       return qrToken;
     } catch (error) {
@@ -67,33 +101,203 @@ class QRAutoGenerator {
     }
   }
 
-  async start() {
-    if (this.isRunning) {
-      console.log('⚠️  QR Auto-Generator is already running');
+  async startStream(branchId = null) {
+    const streamKey = this.getStreamKey(branchId);
+
+    if (this.streams.has(streamKey)) {
       return;
     }
 
-    console.log('🚀 Starting QR Auto-Generator...');
-    console.log(`⏱️  Interval: ${this.intervalMs / 1000} seconds`);
+    // Reserve the stream before the first await so it is not started twice
+    this.streams.set(streamKey, null);
 
     // Generate first QR immediately
     try {
-      await this.generateQR();
+      await this.generateQR(branchId);
     } catch (error) {
-      console.error('❌ Failed to generate initial QR:', error);
+      console.error(`❌ Failed to generate initial QR (${streamKey}):`, error);
     }
 
-    // Set up interval to generate new QR every minute
-    this.intervalId = setInterval(async () => {
+    // The stream may have been stopped while the first QR was generated
+    if (!this.streams.has(streamKey)) {
+      return;
+    }
+
+    // Set up interval to generate a new QR for this branch
+    const intervalId = setInterval(async () => {
       try {
-        await this.generateQR();
+        await this.generateQR(branchId);
       } catch (error) {
-        console.error('❌ Failed to auto-generate QR:', error);
+        console.error(`❌ Failed to auto-generate QR (${streamKey}):`, error);
       }
     }, this.intervalMs);
 
+    this.streams.set(streamKey, intervalId);
+    console.log(`▶️  QR stream started (${streamKey})`);
+  }
+
+  stopStream(branchId = null) {
+    const streamKey = this.getStreamKey(branchId);
+
+    if (!this.streams.has(streamKey)) {
+      return;
+    }
+
+    const intervalId = this.streams.get(streamKey);
+    if (intervalId) {
+      clearInterval(intervalId);
+    }
+
+    this.streams.delete(streamKey);
+    console.log(`⏹️  QR stream stopped (${streamKey})`);
+  }
+
+  // Expire stale tokens, remove malformed ones and keep the last 10 of each branch
+  async cleanupTokens() {
+    const expired = await AttendanceToken.updateMany(
+      {
+        status: 'active',
+        validTo: { $lt: new Date() }
+      },
+      { status: 'expired' }
+    );
+
+    // Tokens without a numeric sequence number (created by old versions)
+    const invalid = await AttendanceToken.deleteMany({
+      $or: [
+        { sequenceNumber: { $exists: false } },
+        { sequenceNumber: null },
+        { sequenceNumber: { $type: 'string' } }
+      ]
+    });
+
+    const branchIds = await AttendanceToken.distinct('branch');
+    let deleted = 0;
+    let kept = 0;
+
+    for (const branch of [null, ...branchIds]) {
+      const tokensToKeep = await AttendanceToken.find({ branch })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .select('_id');
+
+      const idsToKeep = tokensToKeep.map(t => t._id);
+
+      const deleteResult = await AttendanceToken.deleteMany({
+        branch,
+        _id: { $nin: idsToKeep }
+      });
+
+      deleted += deleteResult.deletedCount;
+      kept += tokensToKeep.length;
+    }
+
+    return {
+      expired: expired.modifiedCount,
+      invalid: invalid.deletedCount,
+      deleted,
+      kept
+    };
+  }
+
+  // One stream per active branch, or a single stream without branches
+  // (also picks up branches created or deactivated through another instance)
+  async syncStreams() {
+    const branches = await Branch.find({ isActive: true }).select('_id').lean();
+    const branchIds = branches.length === 0 ? [null] : branches.map(branch => branch._id);
+    const keys = branchIds.map(id => this.getStreamKey(id));
+
+    for (const streamKey of [...this.streams.keys()]) {
+      if (!keys.includes(streamKey)) {
+        this.stopStream(streamKey === 'default' ? null : streamKey);
+      }
+    }
+
+    for (const branchId of branchIds) {
+      await this.startStream(branchId);
+    }
+  }
+
+  stopStreams() {
+    for (const streamKey of [...this.streams.keys()]) {
+      this.stopStream(streamKey === 'default' ? null : streamKey);
+    }
+  }
+
+  // The lock lasts a few rotations, so a crashed instance is replaced shortly after
+  getLeaseMs() {
+    return this.intervalMs * 3;
+  }
+
+  // Take or renew the rotation lock; null when another instance holds it
+  async acquireLease() {
+    const now = new Date();
+
+    try {
+      return await ScheduledJob.findOneAndUpdate(
+        {
+          name: LEASE_NAME,
+          $or: [{ lockedBy: this.instanceId }, { lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        },
+        {
+          $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + this.getLeaseMs()) },
+          $setOnInsert: { description: 'Attendance QR rotation lock', schedule: '* * * * *', paused: true }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Held by another instance: the upsert collides with the existing lock
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Start rotating when this instance gets the lock, stop when it loses it
+  async checkLease() {
+    if (this.checkingLease) {
+      return;
+    }
+    this.checkingLease = true;
+
+    try {
+      const held = !!(await this.acquireLease());
+
+      if (held) {
+        if (!this.isLeader) {
+          console.log('✅ QR rotation taken over by this instance');
+        }
+        this.isLeader = true;
+        await this.syncStreams();
+      } else if (this.isLeader) {
+        this.isLeader = false;
+        this.stopStreams();
+        console.log('⏸️  QR rotation handed over to another instance');
+      }
+    } catch (error) {
+      console.error('❌ QR rotation lock check failed:', error);
+    } finally {
+      this.checkingLease = false;
+    }
+  }
+
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️  QR Auto-Generator is already running');
+      return;
+    }
+
+    console.log('🚀 Starting QR Auto-Generator...');
+    console.log(`⏱️  Interval: ${this.intervalMs / 1000} seconds`);
+
     this.isRunning = true;
-    console.log('✅ QR Auto-Generator started successfully');
+
+    // Only one instance rotates; the others wait to take over the lock when it expires
+    await this.checkLease();
+    this.leaseIntervalId = setInterval(() => this.checkLease(), this.intervalMs);
+
+    console.log(`✅ QR Auto-Generator started successfully (${this.isLeader ? `rotating ${this.streams.size} stream(s)` : 'standby'})`);
   }
 
   stop() {
@@ -102,24 +306,49 @@ class QRAutoGenerator {
       return;
     }
 
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    clearInterval(this.leaseIntervalId);
+    this.leaseIntervalId = null;
+    this.stopStreams();
+
+    // Release the lock so another instance takes over right away
+    if (this.isLeader) {
+      ScheduledJob.updateOne(
+        { name: LEASE_NAME, lockedBy: this.instanceId },
+        { $set: { lockedBy: null, lockedUntil: null } }
+      ).catch(error => console.error('❌ Failed to release the QR rotation lock:', error));
     }
 
+    this.isLeader = false;
     this.isRunning = false;
     console.log('🛑 QR Auto-Generator stopped');
   }
 
+  // Keep streams in line with a created/updated/deleted branch
+  async syncBranch(branch) {
+    if (!this.isRunning || !this.isLeader) {
+      return;
+    }
+
+    if (branch.isActive) {
+      // The first branch replaces the single default stream
+      this.stopStream(null);
+      await this.startStream(branch._id);
+    } else {
+      this.stopStream(branch._id);
+    }
+  }
+
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isLeader: this.isLeader,
+      instanceId: this.instanceId,
       intervalMs: this.intervalMs,
-      intervalSeconds: this.intervalMs / 1000
+      intervalSeconds: this.intervalMs / 1000,
+      streams: [...this.streams.keys()]
     };
   }
 }
 
 // Export singleton instance
 module.exports = new QRAutoGenerator();
-
@@ -0,0 +1,176 @@
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'brosted4u:realtime';
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Real-time push over Server-Sent Events
+ * Clients subscribe per user (notifications, messages) or per QR stream.
+ * Events are fanned out through Redis pub/sub when Redis is connected, so every
+ * server instance delivers to its own connected clients.
+ */
+class RealtimeHub {
+  constructor() {
+    // userId -> Set of open responses
+    this.userClients = new Map();
+    // QR stream key (branch ID or 'default') -> Set of open responses
+    this.qrClients = new Map();
+    this.subscriber = null;
+    this.subscribing = null;
+  }
+
+  getQRKey(branchId) {
+    return branchId ? branchId.toString() : 'default';
+  }
+
+  // Subscribe to the Redis channel once Redis is available
+  async ensureSubscriber() {
+    const client = cache.getRedisClient();
+    if (!client || this.subscriber || this.subscribing) return;
+
+    this.subscribing = (async () => {
+      try {
+        const subscriber = client.duplicate();
+        subscriber.on('error', (err) => {
+          logger.warn(`Realtime subscriber error: ${err.message}`);
+          this.subscriber = null;
+        });
+        await subscriber.connect();
+        await subscriber.subscribe(CHANNEL, (payload) => {
+          try {
+            this.deliver(JSON.parse(payload));
+          } catch (error) {
+            logger.error('Error delivering realtime event:', error.message);
+          }
+        });
+        this.subscriber = subscriber;
+        logger.log('📡 Realtime events fan out through Redis');
+      } catch (error) {
+        logger.warn(`Realtime events stay local to this instance: ${error.message}`);
+      }
+    })().finally(() => {
+      this.subscribing = null;
+    });
+
+    return this.subscribing;
+  }
+
+  /**
+   * Open an event stream on a response
+   * @param {Object} req - Express request (closed connections are cleaned up)
+   * @param {Object} res - Express response
+   * @param {Object} options - { userId } or { qr: branchId }, and verify: async check run with
+   *   every heartbeat; the stream is ended when it returns false (e.g. logged out)
+   */
+  addClient(req, res, { userId, qr, verify }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable proxy buffering (nginx)
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const isQR = qr !== undefined;
+    const registry = isQR ? this.qrClients : this.userClients;
+    const key = isQR ? this.getQRKey(qr) : userId.toString();
+
+    if (!registry.has(key)) registry.set(key, new Set());
+    registry.get(key).add(res);
+
+    const remove = () => {
+      clearInterval(heartbeat);
+      const clients = registry.get(key);
+      if (clients) {
+        clients.delete(res);
+        if (clients.size === 0) registry.delete(key);
+      }
+    };
+
+    // Comments keep idle connections open through proxies
+    const heartbeat = setInterval(async () => {
+      if (verify) {
+        let valid = true;
+        try {
+          valid = await verify();
+        } catch (error) {
+          // Keep the stream on a transient error, the next heartbeat checks again
+          logger.error('Error verifying event stream:', error.message);
+        }
+
+        if (!valid) {
+          remove();
+          res.write(`event: unauthorized\ndata: ${JSON.stringify({ message: 'Session has ended. Please log in again' })}\n\n`);
+          res.end();
+          return;
+        }
+      }
+      res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+
+    req.on('close', remove);
+
+    this.ensureSubscriber();
+  }
+
+  // Write an event to the local clients it targets
+  deliver({ target, key, event, data }) {
+    const registry = target === 'qr' ? this.qrClients : this.userClients;
+    const clients = registry.get(key);
+    if (!clients) return;
+
+    const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(res => res.write(frame));
+  }
+
+  // Publish through Redis when available, deliver locally otherwise
+  async publish(message) {
+    const client = cache.getRedisClient();
+
+    if (client) {
+      try {
+        await client.publish(CHANNEL, JSON.stringify(message));
+        // Local clients are served by the subscriber once it is ready
+        if (this.subscriber) return;
+      } catch (error) {
+        logger.warn(`Realtime publish failed, delivering locally: ${error.message}`);
+      }
+    }
+
+    this.deliver(message);
+  }
+
+  /**
+   * Push an event to one or more users
+   * @param {String|ObjectId|Array} userIds
+   * @param {string} event - Event name (notification, message...)
+   * @param {Object} data - JSON payload
+   */
+  async sendToUsers(userIds, event, data) {
+    const ids = Array.isArray(userIds) ? userIds : [userIds];
+    await Promise.all(ids.map(id => this.publish({ target: 'user', key: id.toString(), event, data })));
+  }
+
+  /**
+   * Push a QR rotation to the QR display screens of a branch
+   * @param {String|ObjectId|null} branchId
+   * @param {Object} data - JSON payload
+   */
+  async sendQR(branchId, data) {
+    await this.publish({ target: 'qr', key: this.getQRKey(branchId), event: 'qr', data });
+  }
+
+  getStatus() {
+    const count = (registry) => [...registry.values()].reduce((sum, set) => sum + set.size, 0);
+    return {
+      userClients: count(this.userClients),
+      qrClients: count(this.qrClients),
+      redis: !!this.subscriber
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeHub();
@@ -0,0 +1,218 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { getNextRun } = require('../utils/cron');
+
+// How often due jobs are looked up
+const TICK_MS = 30 * 1000;
+
+// A lock expires after this long, so a crashed instance does not block a job forever
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+class JobScheduler {
+  constructor() {
+    // Built-in job definitions: name -> { description, schedule, handler, lockMs }
+    this.definitions = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.intervalId = null;
+    this.isRunning = false;
+    this.ticking = false;
+  }
+
+  // Register a job; its schedule is only the default when the job is first stored
+  register(name, { description, schedule, handler, lockMs = DEFAULT_LOCK_MS }) {
+    this.definitions.set(name, { description, schedule, handler, lockMs });
+  }
+
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️  Job scheduler is already running');
+      return;
+    }
+
+    console.log('🚀 Starting job scheduler...');
+
+    // Store new jobs with their default schedule and keep existing settings
+    const now = new Date();
+    for (const [name, definition] of this.definitions) {
+      const job = await ScheduledJob.findOneAndUpdate(
+        { name },
+        {
+          $set: { description: definition.description },
+          $setOnInsert: { schedule: definition.schedule, nextRunAt: getNextRun(definition.schedule, now) }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (!job.nextRunAt) {
+        job.nextRunAt = getNextRun(job.schedule, now);
+        await job.save();
+      }
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => this.tick(), TICK_MS);
+
+    console.log(`✅ Job scheduler started (${this.definitions.size} job(s), instance ${this.instanceId})`);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+    console.log('🛑 Job scheduler stopped');
+  }
+
+  // Run every job whose next run time has passed
+  async tick() {
+    // Skip when the previous tick is still running its jobs
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const dueJobs = await ScheduledJob.find({
+        name: { $in: [...this.definitions.keys()] },
+        paused: false,
+        nextRunAt: { $lte: new Date() }
+      }).select('name schedule nextRunAt');
+
+      for (const job of dueJobs) {
+        await this.execute(job.name, { trigger: 'schedule', dueAt: job.nextRunAt });
+      }
+    } catch (error) {
+      console.error('❌ Job scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Take the job's lock; scheduled runs also claim the due time so only one instance runs it
+  async acquireLock(name, { dueAt, lockMs }) {
+    const now = new Date();
+    const query = {
+      name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    };
+    if (dueAt) {
+      query.nextRunAt = dueAt;
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+      query,
+      { $set: { lockedBy: this.instanceId, lockedUntil: new Date(now.getTime() + lockMs) } },
+      { new: true }
+    );
+  }
+
+  async execute(name, { trigger, dueAt, triggeredBy } = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const job = await this.acquireLock(name, { dueAt, lockMs: definition.lockMs });
+    if (!job) {
+      // Another instance is running it, or already ran this occurrence
+      return null;
+    }
+
+    const run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      instance: this.instanceId
+    });
+
+    let result;
+    let error;
+    try {
+      result = await definition.handler();
+    } catch (err) {
+      error = err;
+      console.error(`❌ Job ${name} failed:`, err);
+    }
+
+    const finishedAt = new Date();
+    run.status = error ? 'failed' : 'success';
+    run.finishedAt = finishedAt;
+    run.durationMs = finishedAt - run.startedAt;
+    run.result = result;
+    run.error = error ? error.message : undefined;
+    await run.save();
+
+    // Manual runs keep the schedule as it is
+    const update = {
+      lastRunAt: run.startedAt,
+      lastStatus: run.status,
+      lastDurationMs: run.durationMs,
+      lastError: run.error || null,
+      lockedBy: null,
+      lockedUntil: null
+    };
+    if (trigger === 'schedule') {
+      update.nextRunAt = getNextRun(job.schedule, finishedAt);
+    }
+    await ScheduledJob.updateOne({ _id: job._id, lockedBy: this.instanceId }, { $set: update });
+
+    console.log(`${error ? '❌' : '✅'} Job ${name} ${run.status} in ${run.durationMs}ms (${trigger})`);
+    return run;
+  }
+
+  // Run a job now (admin trigger); returns null when it is already running
+  async runNow(name, triggeredBy) {
+    return this.execute(name, { trigger: 'manual', triggeredBy });
+  }
+
+  async setPaused(name, paused) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      return null;
+    }
+
+    job.paused = paused;
+    // Resuming should not catch up on the runs missed while paused
+    if (!paused) {
+      job.nextRunAt = getNextRun(job.schedule, new Date());
+    }
+    await job.save();
+    return job;
+  }
+
+  async updateSchedule(name, schedule) {
+    const job = await ScheduledJob.findOne({ name });
+    if (!job) {
+      return null;
+    }
+
+    job.schedule = schedule;
+    await job.validate();
+    job.nextRunAt = getNextRun(schedule, new Date());
+    if (!job.nextRunAt) {
+      throw new Error(`${schedule} never runs`);
+    }
+    await job.save();
+    return job;
+  }
+
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      instanceId: this.instanceId,
+      tickSeconds: TICK_MS / 1000,
+      jobs: [...this.definitions.keys()]
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new JobScheduler();
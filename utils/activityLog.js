@@ -0,0 +1,66 @@
+/**
+ * User Activity Log Utilities
+ * Records user actions (login, form submission, attendance, messages...) in the
+ * UserActivityLog collection. Logging never blocks or fails the request.
+ */
+
+const UserActivityLog = require('../models/UserActivityLog');
+const logger = require('./logger');
+
+/**
+ * Record an activity for a user
+ * @param {Object} req - Express request (IP, user agent and device)
+ * @param {string} action - One of the UserActivityLog actions
+ * @param {Object} details - Extra details (IDs, types...)
+ * @param {String|ObjectId} userId - Defaults to the authenticated user
+ */
+function logActivity(req, action, details = {}, userId = req.user?._id) {
+  if (!userId) return;
+
+  UserActivityLog.create({
+    userId,
+    action,
+    details,
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.get('user-agent'),
+    device: req.get('x-device-id') || undefined
+  }).catch(error => {
+    logger.error('Error recording user activity:', error.message);
+  });
+}
+
+/**
+ * Apply the configured retention period to an existing TTL index
+ * (index options are not updated by Mongoose once the index exists)
+ */
+async function syncRetention() {
+  try {
+    const collection = UserActivityLog.collection;
+    const indexes = await collection.indexes().catch(() => []);
+    const ttlIndex = indexes.find(index => index.expireAfterSeconds !== undefined);
+    const retention = UserActivityLog.RETENTION_SECONDS;
+
+    if (!ttlIndex) {
+      if (retention) await UserActivityLog.createIndexes();
+      return;
+    }
+
+    if (!retention) {
+      await collection.dropIndex(ttlIndex.name);
+      logger.log('🗑️  Activity log retention disabled');
+    } else if (ttlIndex.expireAfterSeconds !== retention) {
+      await UserActivityLog.db.db.command({
+        collMod: collection.collectionName,
+        index: { keyPattern: ttlIndex.key, expireAfterSeconds: retention }
+      });
+      logger.log(`🕒 Activity log retention set to ${retention / 86400} days`);
+    }
+  } catch (error) {
+    logger.error('Error applying activity log retention:', error.message);
+  }
+}
+
+module.exports = {
+  logActivity,
+  syncRetention
+};
@@ -0,0 +1,389 @@
+/**
+ * Approval Workflows
+ * Runs leave requests and forms through multi-step approval chains
+ * (ApprovalWorkflow): resolves the approvers of each step, hands the steps of
+ * absent approvers to their delegates, records every decision and escalates
+ * steps that wait too long (approval-escalation job).
+ *
+ * Approver types:
+ * - supervisor: supervisors of the request's department (and branch)
+ * - head-supervisor: the department's head supervisor, or its supervisors when none is set
+ * - role: users with a role name, optionally limited to one department
+ * - user: a specific user
+ */
+
+const Approval = require('../models/Approval');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const Department = require('../models/Department');
+const LeaveRequest = require('../models/LeaveRequest');
+const User = require('../models/User');
+const dateUtils = require('./dateUtils');
+const { createNotification, buildAudienceQuery } = require('./notifications');
+
+const ENTITY_LABELS = {
+  LeaveRequest: { en: 'leave request', ar: 'طلب الإجازة' },
+  FormInstance: { en: 'form', ar: 'النموذج' }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const uniqueIds = (ids) => ids.filter((id, index) => ids.findIndex(other => sameId(other, id)) === index);
+
+/**
+ * Find the workflow that applies to a request
+ * @param {string} entityType - 'LeaveRequest' or 'FormInstance'
+ * @param {Object} context - { department, leaveType, days, templateId }
+ * @returns {Promise<Object|null>}
+ */
+async function findWorkflow(entityType, context) {
+  const workflows = await ApprovalWorkflow.find({ entityType, isActive: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  const matches = (list, test) => !list || list.length === 0 || list.some(test);
+
+  return workflows.find(workflow =>
+    matches(workflow.departments, department => department === context.department) &&
+    matches(workflow.leaveTypes, type => type === context.leaveType) &&
+    matches(workflow.templates, id => sameId(id, context.templateId)) &&
+    (workflow.minDays === undefined || workflow.minDays === null || (context.days || 0) >= workflow.minDays)
+  ) || null;
+}
+
+/**
+ * Resolve the users an approver definition points to
+ * Without a definition the request's approvers are the admins
+ * @param {Object} approver - { type, role, department, user }
+ * @param {Object} approval - Approval (department, branch, requestedBy)
+ * @param {Object} options - { includeRequester } to keep the requester among the users
+ * @returns {Promise<Array>} User ids, without the requester unless includeRequester is set
+ */
+async function resolveApprovers(approver, approval, { includeRequester = false } = {}) {
+  let query;
+
+  if (approver?.type === 'user') {
+    query = { _id: approver.user };
+  } else if (approver?.type === 'role') {
+    query = { role: approver.role };
+    if (approver.department) query.department = approver.department;
+  } else if (approver?.type === 'supervisor' || approver?.type === 'head-supervisor') {
+    const department = approver.type === 'head-supervisor'
+      ? await Department.findOne({ code: approval.department }).select('headSupervisor').lean()
+      : null;
+
+    query = department?.headSupervisor
+      ? { _id: department.headSupervisor }
+      : await buildAudienceQuery({ roles: ['supervisor'], departments: [approval.department], branch: approval.branch });
+  } else {
+    query = await buildAudienceQuery({ roles: ['admin'] });
+  }
+
+  if (!query) return [];
+
+  const users = await User.find({ ...query, isActive: true }).select('_id').lean();
+  const ids = users.map(user => user._id);
+  return includeRequester ? ids : ids.filter(id => !sameId(id, approval.requestedBy));
+}
+
+/**
+ * Replace approvers who are away: by their delegate when they set one,
+ * otherwise they are left out while on approved leave
+ * @param {Array} userIds
+ * @param {Date} now
+ * @returns {Promise<Object>} { approvers, delegations: [{ from, to }] }
+ */
+async function applyDelegations(userIds, now) {
+  const [delegations, onLeave] = await Promise.all([
+    ApprovalDelegation.find({
+      delegator: { $in: userIds },
+      startDate: { $lte: now },
+      endDate: { $gte: now }
+    }).sort({ createdAt: -1 }).lean(),
+    LeaveRequest.distinct('userId', {
+      userId: { $in: userIds },
+      status: 'approved',
+      startDate: { $lte: now },
+      endDate: { $gte: dateUtils.getStartOfDay(now) }
+    })
+  ]);
+
+  const approvers = [];
+  const replaced = [];
+
+  userIds.forEach(id => {
+    const delegation = delegations.find(d => sameId(d.delegator, id));
+    if (delegation) {
+      approvers.push(delegation.delegate);
+      replaced.push({ from: id, to: delegation.delegate });
+    } else if (!onLeave.some(userId => sameId(userId, id))) {
+      approvers.push(id);
+    }
+  });
+
+  return { approvers: uniqueIds(approvers), delegations: replaced };
+}
+
+/**
+ * Notify users that a request waits for their decision
+ * @param {Object} approval
+ * @param {Array} recipients - User ids
+ * @param {string} type - 'approval_requested' or 'approval_escalated'
+ */
+async function notifyApprovers(approval, recipients, type) {
+  if (recipients.length === 0) return;
+
+  const step = approval.steps[approval.currentStep];
+  const requester = await User.findById(approval.requestedBy).select('name').lean();
+  const userName = requester?.name || 'User';
+  const label = ENTITY_LABELS[approval.entityType];
+  const escalated = type === 'approval_escalated';
+
+  await createNotification({
+    type,
+    title: {
+      en: escalated ? 'Approval Escalated' : 'Approval Needed',
+      ar: escalated ? 'تصعيد طلب اعتماد' : 'طلب اعتماد'
+    },
+    message: {
+      en: escalated
+        ? `The ${label.en} from ${userName} has been waiting too long at step "${step.name?.en}"`
+        : `The ${label.en} from ${userName} is waiting for your approval (${step.name?.en})`,
+      ar: escalated
+        ? `${label.ar} المقدم من ${userName} متأخر في مرحلة "${step.name?.ar}"`
+        : `${label.ar} المقدم من ${userName} بانتظار اعتمادك (${step.name?.ar})`
+    },
+    data: {
+      approvalId: approval._id,
+      entityType: approval.entityType,
+      entityId: approval.entity,
+      step: approval.currentStep
+    },
+    recipients
+  });
+}
+
+/**
+ * Start a step: resolve its approvers and notify them
+ * When nobody is available the step goes straight to its escalation approvers,
+ * and when none of them is either, to every admin (the requester included, e.g.
+ * when they are the only admin) so the step can always be decided
+ * @param {Object} approval - Approval document
+ * @param {number} index - Step index
+ * @param {Date} now
+ * @returns {Promise<boolean>} false, without saving, when there is no active admin either
+ */
+async function startStep(approval, index, now) {
+  const step = approval.steps[index];
+
+  const resolved = await resolveApprovers(step.approver, approval);
+  const { approvers: available, delegations } = await applyDelegations(resolved, now);
+  let approvers = available.filter(id => !sameId(id, approval.requestedBy));
+
+  if (approvers.length === 0) {
+    approvers = await resolveApprovers(step.escalateTo, approval);
+    step.escalatedAt = now;
+  }
+
+  if (approvers.length === 0) {
+    approvers = await resolveApprovers(null, approval, { includeRequester: true });
+  }
+
+  if (approvers.length === 0) return false;
+
+  step.status = 'pending';
+  step.approvers = approvers;
+  step.delegations = delegations;
+  step.startedAt = now;
+  step.dueAt = step.escalateAfterHours && !step.escalatedAt
+    ? new Date(now.getTime() + step.escalateAfterHours * HOUR_MS)
+    : undefined;
+
+  approval.currentStep = index;
+  approval.currentApprovers = approvers;
+  approval.currentDueAt = step.dueAt;
+  await approval.save();
+
+  await notifyApprovers(approval, approvers, 'approval_requested');
+  return true;
+}
+
+/**
+ * Start the approval of a request when a workflow applies to it
+ * A pending approval of the same request (e.g. a resubmitted form) is cancelled
+ * @param {string} entityType - 'LeaveRequest' or 'FormInstance'
+ * @param {Object} entity - The leave request or form instance
+ * @param {Object} context - { requestedBy, department, branch, leaveType, days, templateId }
+ * @returns {Promise<Object|null>} Approval, or null for single-step approval (no workflow
+ *   applies, or nobody could decide its first step)
+ */
+async function startApproval(entityType, entity, context, now = new Date()) {
+  const workflow = await findWorkflow(entityType, context);
+  if (!workflow) return null;
+
+  await cancelApproval(entityType, entity._id);
+
+  const approval = new Approval({
+    entityType,
+    entity: entity._id,
+    workflow: workflow._id,
+    requestedBy: context.requestedBy,
+    department: context.department,
+    branch: context.branch || null,
+    steps: workflow.steps.map(step => ({
+      name: step.name,
+      approver: step.approver,
+      escalateAfterHours: step.escalateAfterHours,
+      escalateTo: step.escalateTo
+    }))
+  });
+
+  if (!(await startStep(approval, 0, now))) return null;
+  return approval;
+}
+
+/**
+ * Get the pending approval of a request
+ * @returns {Promise<Object|null>}
+ */
+async function getPendingApproval(entityType, entityId) {
+  return Approval.findOne({ entityType, entity: entityId, status: 'pending' });
+}
+
+/**
+ * Cancel the pending approval of a request (withdrawn or deleted)
+ * @returns {Promise<void>}
+ */
+async function cancelApproval(entityType, entityId) {
+  await Approval.updateMany(
+    { entityType, entity: entityId, status: 'pending' },
+    { $set: { status: 'cancelled', currentApprovers: [], currentDueAt: null } }
+  );
+}
+
+/**
+ * Record a decision on the current step
+ * @param {Object} approval - Pending approval
+ * @param {Object} user - Deciding user
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} notes
+ * @returns {Promise<Object|null>} { approval, step, done } - done when the request is
+ *   finally approved or rejected; null when the user may not decide the current step
+ */
+async function decideStep(approval, user, decision, notes, now = new Date()) {
+  const index = approval.currentStep;
+  const delegation = approval.steps[index].delegations.find(d => sameId(d.to, user._id));
+
+  const update = {
+    [`steps.${index}.status`]: decision,
+    [`steps.${index}.decidedBy`]: user._id,
+    [`steps.${index}.notes`]: notes || '',
+    [`steps.${index}.decidedAt`]: now,
+    currentApprovers: [],
+    currentDueAt: null
+  };
+  if (delegation) update[`steps.${index}.onBehalfOf`] = delegation.from;
+
+  // Claim the step, so two approvers cannot decide it at the same time
+  const claimed = await Approval.findOneAndUpdate(
+    { _id: approval._id, status: 'pending', currentStep: index, currentApprovers: user._id },
+    { $set: update },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const step = claimed.steps[index];
+
+  const last = decision === 'rejected' || index === claimed.steps.length - 1;
+  // When nobody is left to decide the next step, this decision is final
+  if (!last && await startStep(claimed, index + 1, now)) {
+    return { approval: claimed, step, done: false };
+  }
+
+  claimed.status = decision;
+  claimed.steps.forEach(s => {
+    if (s.status === 'waiting') s.status = 'skipped';
+  });
+  await claimed.save();
+  return { approval: claimed, step, done: true };
+}
+
+/**
+ * Escalate steps waiting past their due time: their escalation approvers
+ * (admins when none are set) are added and notified (approval-escalation job)
+ * @returns {Promise<number>} Number of steps escalated
+ */
+async function escalateApprovals(now = new Date()) {
+  const approvals = await Approval.find({ status: 'pending', currentDueAt: { $lte: now } });
+
+  let escalated = 0;
+  for (const approval of approvals) {
+    const index = approval.currentStep;
+    const step = approval.steps[index];
+    const approvers = await resolveApprovers(step.escalateTo, approval);
+
+    // Claim it, so a concurrent run does not escalate twice
+    const result = await Approval.updateOne(
+      { _id: approval._id, status: 'pending', currentStep: index, currentDueAt: approval.currentDueAt },
+      {
+        $set: { currentDueAt: null, [`steps.${index}.escalatedAt`]: now },
+        $addToSet: {
+          currentApprovers: { $each: approvers },
+          [`steps.${index}.approvers`]: { $each: approvers }
+        }
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+    escalated++;
+
+    await notifyApprovers(approval, approvers, 'approval_escalated');
+  }
+
+  return escalated;
+}
+
+/**
+ * Hand the steps already waiting for a delegator to their delegate
+ * Used when a delegation starting now is created
+ * @param {Object} delegation - ApprovalDelegation
+ * @returns {Promise<number>} Number of steps handed over
+ */
+async function handOverPendingSteps(delegation) {
+  const approvals = await Approval.find({ status: 'pending', currentApprovers: delegation.delegator });
+
+  let handedOver = 0;
+  for (const approval of approvals) {
+    if (sameId(approval.requestedBy, delegation.delegate)) continue;
+
+    const index = approval.currentStep;
+    const result = await Approval.updateOne(
+      { _id: approval._id, status: 'pending', currentStep: index },
+      {
+        $addToSet: {
+          currentApprovers: delegation.delegate,
+          [`steps.${index}.approvers`]: delegation.delegate
+        },
+        $push: { [`steps.${index}.delegations`]: { from: delegation.delegator, to: delegation.delegate } }
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+    handedOver++;
+
+    await notifyApprovers(approval, [delegation.delegate], 'approval_requested');
+  }
+
+  return handedOver;
+}
+
+module.exports = {
+  findWorkflow,
+  resolveApprovers,
+  startApproval,
+  getPendingApproval,
+  cancelApproval,
+  decideStep,
+  escalateApprovals,
+  handOverPendingSteps
+};
@@ -0,0 +1,150 @@
+/**
+ * Attendance Guard
+ * Optional anti-fraud checks for QR attendance: a geofence around the branch
+ * checked against the coordinates sent with the request, and binding of each
+ * employee to registered device IDs
+ * Each check is disabled unless configured (environment variables or the branch geofence)
+ */
+
+// Branch geofence (center + radius in meters)
+const GEOFENCE = {
+  latitude: parseFloat(process.env.ATTENDANCE_GEOFENCE_LAT),
+  longitude: parseFloat(process.env.ATTENDANCE_GEOFENCE_LNG),
+  radius: parseFloat(process.env.ATTENDANCE_GEOFENCE_RADIUS) || 100
+};
+
+const DEVICE_BINDING_ENABLED = process.env.ATTENDANCE_DEVICE_BINDING === 'true';
+
+const REJECTION_MESSAGES = {
+  location_missing: {
+    en: 'Location is required to record attendance',
+    ar: 'الموقع مطلوب لتسجيل الحضور'
+  },
+  outside_geofence: {
+    en: 'You are outside the allowed attendance area',
+    ar: 'أنت خارج نطاق تسجيل الحضور المسموح'
+  },
+  device_missing: {
+    en: 'Device ID is required to record attendance',
+    ar: 'معرف الجهاز مطلوب لتسجيل الحضور'
+  },
+  device_not_registered: {
+    en: 'This device is not registered for your account',
+    ar: 'هذا الجهاز غير مسجل لحسابك'
+  }
+};
+
+/**
+ * Check if a geofence is configured
+ * @param {Object} geofence - { latitude, longitude, radius } (default: environment geofence)
+ * @returns {boolean}
+ */
+function isGeofenceEnabled(geofence = GEOFENCE) {
+  return typeof geofence?.latitude === 'number' && !isNaN(geofence.latitude) &&
+    typeof geofence?.longitude === 'number' && !isNaN(geofence.longitude);
+}
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @returns {number} Distance in meters
+ */
+function distanceInMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const earthRadius = 6371000;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Parse coordinates sent by the client
+ * @returns {Object|null} { latitude, longitude } or null if missing/invalid
+ */
+function parseCoordinates(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+
+  return { latitude: lat, longitude: lng };
+}
+
+/**
+ * Check an attendance attempt against the geofence and the user's devices
+ * A user without any registered device gets the first device bound to them
+ * @param {Object} user - User with devices
+ * @param {Object} attempt - { latitude, longitude, accuracy, deviceId }
+ * @param {Object} branchGeofence - The branch's geofence, falls back to the environment geofence
+ * @returns {Object} { allowed, reason, registerDevice, location, metadata }
+ */
+function checkAttempt(user, { latitude, longitude, accuracy, deviceId } = {}, branchGeofence) {
+  const geofence = isGeofenceEnabled(branchGeofence)
+    ? { ...branchGeofence, radius: branchGeofence.radius || GEOFENCE.radius }
+    : GEOFENCE;
+
+  const coordinates = parseCoordinates(latitude, longitude);
+  const device = deviceId ? String(deviceId).trim() : '';
+
+  // Evidence kept on the attendance log, accepted or not
+  const result = {
+    allowed: true,
+    reason: null,
+    registerDevice: false,
+    location: coordinates ? `${coordinates.latitude},${coordinates.longitude}` : undefined,
+    metadata: {
+      device: device || undefined,
+      latitude: coordinates?.latitude,
+      longitude: coordinates?.longitude,
+      accuracy: !isNaN(parseFloat(accuracy)) ? parseFloat(accuracy) : undefined
+    }
+  };
+
+  const reject = (reason) => ({ ...result, allowed: false, reason });
+
+  if (isGeofenceEnabled(geofence)) {
+    if (!coordinates) {
+      return reject('location_missing');
+    }
+
+    const distance = Math.round(distanceInMeters(
+      geofence.latitude, geofence.longitude,
+      coordinates.latitude, coordinates.longitude
+    ));
+    result.metadata.distance = distance;
+
+    if (distance > geofence.radius) {
+      return reject('outside_geofence');
+    }
+  }
+
+  if (DEVICE_BINDING_ENABLED) {
+    if (!device) {
+      return reject('device_missing');
+    }
+
+    const devices = user.devices || [];
+    if (devices.length === 0) {
+      result.registerDevice = true;
+    } else if (!devices.some(d => d.deviceId === device)) {
+      return reject('device_not_registered');
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  GEOFENCE,
+  DEVICE_BINDING_ENABLED,
+  REJECTION_MESSAGES,
+  isGeofenceEnabled,
+  distanceInMeters,
+  parseCoordinates,
+  checkAttempt
+};
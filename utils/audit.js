@@ -0,0 +1,107 @@
+/**
+ * Audit Trail Utilities
+ * Records who changed what (with a before/after diff) in the AuditLog collection
+ * Recording never fails the request that triggered it
+ */
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+// Never stored in the audit trail
+const SENSITIVE_FIELDS = [
+  'password',
+  'refreshToken',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'tokenHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'passwordHistory'
+];
+
+// Bookkeeping fields that would only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert a document to a plain object for comparison
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object}
+ */
+function snapshot(doc) {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+}
+
+// Stable string form for comparing values (ObjectIds, dates, nested objects)
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Compute the top-level fields that differ between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object} { field: { from, to } }
+ */
+function diff(before = {}, after = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || SENSITIVE_FIELDS.includes(field)) return;
+
+    if (serialize(before[field]) !== serialize(after[field])) {
+      changes[field] = {
+        from: before[field] === undefined ? null : JSON.parse(serialize(before[field])),
+        to: after[field] === undefined ? null : JSON.parse(serialize(after[field]))
+      };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Record an audit entry for a request
+ * @param {Object} req - Express request (actor, IP and user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - create, update, delete, approve, reject, reset_password, run
+ * @param {string} entry.entityType - Model name of the target
+ * @param {Object} entry.entity - Target document (for entityId/label), optional
+ * @param {string} entry.entityLabel - Overrides the label derived from entity
+ * @param {Object} entry.before - Document or snapshot before the change
+ * @param {Object} entry.after - Document or snapshot after the change
+ * @param {Object} entry.metadata - Extra context
+ */
+async function recordAudit(req, { action, entityType, entity, entityLabel, before, after, metadata = {} }) {
+  try {
+    const changes = before || after ? diff(before ? snapshot(before) : {}, after ? snapshot(after) : {}) : {};
+
+    // Nothing changed on an update: nothing to record
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    await AuditLog.create({
+      actor: req.user._id,
+      actorName: req.user.name,
+      actorRole: req.user.role,
+      action,
+      entityType,
+      entityId: entity?._id,
+      entityLabel: entityLabel || entity?.name?.en || entity?.name || entity?.code || entity?.title?.en || undefined,
+      changes,
+      metadata,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get ? req.get('user-agent') : undefined
+    });
+  } catch (error) {
+    logger.error('Error recording audit entry:', error.message);
+  }
+}
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
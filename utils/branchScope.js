@@ -0,0 +1,73 @@
+/**
+ * Branch Scope Utilities
+ * Supervisors are limited to their branches the same way they are limited to
+ * their departments; employees and QR managers to their own branch.
+ * Records without a branch (created before multi-branch support) stay visible.
+ */
+
+const mongoose = require('mongoose');
+
+// Cast to ObjectId so filters also work in aggregation pipelines
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Get the branches a user can access
+ * @param {Object} user - Authenticated user
+ * @returns {Array|null} Branch IDs as strings, or null when unrestricted
+ */
+function getAccessibleBranches(user) {
+  const baseRole = user && (user.baseRole || user.role);
+  if (!user || baseRole === 'admin') return null;
+
+  const branches = baseRole === 'supervisor' && user.branches && user.branches.length > 0
+    ? user.branches
+    : (user.branch ? [user.branch] : []);
+
+  return branches.length > 0 ? branches.map(b => b.toString()) : null;
+}
+
+/**
+ * Build a query filter on a branch field for a user
+ * @param {Object} user - Authenticated user
+ * @param {String} requestedBranch - Optional branch filter from the request
+ * @param {String} field - Branch field name (default: 'branch')
+ * @returns {Object} Filter to merge into the query
+ */
+function getBranchFilter(user, requestedBranch, field = 'branch') {
+  const accessible = getAccessibleBranches(user);
+
+  if (requestedBranch) {
+    // Asking for an invalid branch or one outside the user's scope matches nothing
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch) ||
+      (accessible && !accessible.includes(requestedBranch.toString()))) {
+      return { [field]: { $in: [] } };
+    }
+    return { [field]: toObjectId(requestedBranch) };
+  }
+
+  if (!accessible) return {};
+
+  return { [field]: { $in: [...accessible.map(toObjectId), null] } };
+}
+
+/**
+ * Check if a user can access a record of a branch
+ * @param {Object} user - Authenticated user
+ * @param {String|ObjectId} branchId - The record's branch
+ * @returns {boolean}
+ */
+function hasBranchAccess(user, branchId) {
+  if (!branchId) return true;
+
+  const accessible = getAccessibleBranches(user);
+  if (!accessible) return true;
+
+  const id = branchId._id ? branchId._id.toString() : branchId.toString();
+  return accessible.includes(id);
+}
+
+module.exports = {
+  getAccessibleBranches,
+  getBranchFilter,
+  hasBranchAccess
+};
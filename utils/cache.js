@@ -195,6 +195,13 @@ async function flush() {
   memoryCache.clear();
 }
 
+/**
+ * Get the Redis client if connected (null when using the in-memory cache)
+ */
+function getRedisClient() {
+  return redisClient && redisClient.isReady ? redisClient : null;
+}
+
 /**
  * Generate cache key
  */
@@ -209,6 +216,7 @@ module.exports = {
   delPattern,
   flush,
   key,
+  getRedisClient,
   CACHE_TTL
 };
 
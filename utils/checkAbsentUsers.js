@@ -5,7 +5,7 @@ const dateUtils = require('./dateUtils');
 
 /**
  * Check for absent users at the end of the day
- * This should be called daily (e.g., via cron job at end of day)
+ * Run daily at the end of the day by the check-absent-users job
  * Uses Saudi Arabia timezone (Asia/Riyadh)
  */
 const checkAbsentUsers = async () => {
@@ -16,12 +16,13 @@ const checkAbsentUsers = async () => {
 
     // Get all active users (optimized - only select necessary fields)
     const activeUsers = await User.find({ isActive: true })
-      .select('_id name email department workDays workSchedule')
+      .select('_id name email department branch workDays workSchedule')
       .lean(); // Use lean() for read-only queries
 
     // Get all check-ins for today
     const todayCheckins = await AttendanceLog.find({
       type: 'checkin',
+      status: { $ne: 'rejected' },
       timestamp: {
         $gte: todayStart,
         $lte: todayEnd
@@ -29,6 +30,7 @@ const checkAbsentUsers = async () => {
     }).select('userId');
 
     const checkedInUserIds = new Set(todayCheckins.map(log => log.userId.toString()));
+    let absent = 0;
 
     // Check each user
     for (const user of activeUsers) {
@@ -46,7 +48,8 @@ const checkAbsentUsers = async () => {
 
       // Check if user checked in today
       if (!checkedInUserIds.has(user._id.toString())) {
-        // User is absent
+        // User is absent: notify admins and the department's supervisors
+        absent++;
         await createNotification({
           type: 'user_absent',
           title: {
@@ -59,16 +62,22 @@ const checkAbsentUsers = async () => {
           },
           data: {
             userId: user._id,
-            date: today.toISOString(),
+            date: todayStart.toISOString(),
             department: user.department
-          }
+          },
+          roles: ['admin', 'supervisor'],
+          departments: [user.department],
+          branch: user.branch,
+          exclude: [user._id]
         });
       }
     }
 
     console.log('✅ Absent users check completed');
+    return { absent };
   } catch (error) {
     console.error('Error checking absent users:', error);
+    throw error;
   }
 };
 
@@ -0,0 +1,164 @@
+/**
+ * Cron Expression Utilities
+ * Standard 5-field expressions (minute hour day-of-month month day-of-week)
+ * evaluated in Saudi Arabia timezone. Supports *, lists (1,15), ranges (1-5),
+ * steps (*\/5, 10-30/10) and day/month names (mon, jan). As in standard cron,
+ * when both day-of-month and day-of-week are restricted either one matches.
+ */
+
+const dateUtils = require('./dateUtils');
+
+const OFFSET_MS = dateUtils.SAUDI_OFFSET_HOURS * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Search limit for the next run (covers yearly schedules such as 29 Feb)
+const MAX_SEARCH_DAYS = 366 * 4;
+
+/**
+ * Parse one field into the set of allowed values
+ * @param {string} value
+ * @param {Object} field
+ * @returns {Set<number>}
+ */
+function parseField(value, field) {
+  const values = new Set();
+  const toNumber = (part) => {
+    const index = field.names ? field.names.indexOf(part.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(part);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid ${field.name} value: ${part}`);
+    }
+    return number;
+  };
+
+  for (const part of value.split(',')) {
+    const [range, stepValue] = part.split('/');
+    const step = stepValue === undefined ? 1 : Number(stepValue);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = to !== undefined ? toNumber(to) : (stepValue !== undefined ? field.max : start);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: ${part}`);
+      }
+    }
+
+    for (let i = start; i <= end; i += step) {
+      // Sunday may be written as 0 or 7
+      values.add(field.name === 'dayOfWeek' && i === 7 ? 0 : i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek, dayOfMonthAny, dayOfWeekAny }
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  parsed.dayOfMonthAny = parts[2] === '*';
+  parsed.dayOfWeekAny = parts[4] === '*';
+
+  return parsed;
+}
+
+/**
+ * Check if a cron expression is valid
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Saudi wall-clock fields of a date (Saudi Arabia has no daylight saving time)
+const saudiFields = (time) => {
+  const local = new Date(time + OFFSET_MS);
+  return {
+    minute: local.getUTCMinutes(),
+    hour: local.getUTCHours(),
+    dayOfMonth: local.getUTCDate(),
+    month: local.getUTCMonth() + 1,
+    dayOfWeek: local.getUTCDay()
+  };
+};
+
+const dayMatches = (cron, fields) => {
+  const dayOfMonth = cron.dayOfMonth.has(fields.dayOfMonth);
+  const dayOfWeek = cron.dayOfWeek.has(fields.dayOfWeek);
+  if (cron.dayOfMonthAny || cron.dayOfWeekAny) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Get the next time a cron expression fires after a date
+ * @param {string|Object} expression - Expression or parsed cron
+ * @param {Date} after
+ * @returns {Date|null} null when it never fires within the search limit
+ */
+function getNextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  // Start at the next whole minute
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+
+  while (time < limit) {
+    const fields = saudiFields(time);
+
+    if (!cron.month.has(fields.month) || !dayMatches(cron, fields)) {
+      // Skip to the start of the next Saudi day
+      time += ((23 - fields.hour) * 60 + (60 - fields.minute)) * MINUTE_MS;
+      continue;
+    }
+    if (!cron.hour.has(fields.hour)) {
+      time += (60 - fields.minute) * MINUTE_MS;
+      continue;
+    }
+    if (!cron.minute.has(fields.minute)) {
+      time += MINUTE_MS;
+      continue;
+    }
+
+    return new Date(time);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
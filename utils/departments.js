@@ -0,0 +1,140 @@
+/**
+ * Department Utilities
+ * Reads the configurable departments from the Department collection with a
+ * short in-memory cache, so schema validators and email/PDF templates can
+ * resolve department codes and bilingual names without a query each time
+ */
+
+const Department = require('../models/Department');
+
+// Departments that existed before they became configurable (created on first use)
+const DEFAULT_DEPARTMENTS = [
+  { code: 'kitchen', name: { en: 'Kitchen', ar: 'المطبخ' } },
+  { code: 'counter', name: { en: 'Counter', ar: 'الكاونتر' } },
+  { code: 'cleaning', name: { en: 'Cleaning', ar: 'النظافة' } },
+  { code: 'management', name: { en: 'Management', ar: 'الإدارة' } },
+  { code: 'delivery', name: { en: 'Delivery', ar: 'التوصيل' } },
+  { code: 'other', name: { en: 'Other', ar: 'أخرى' } }
+];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+let loading = null;
+
+/**
+ * Load all departments (active and inactive)
+ * @param {boolean} force - Skip the cache
+ * @returns {Promise<Array>}
+ */
+async function loadDepartments(force = false) {
+  if (!force && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  if (!loading) {
+    loading = (async () => {
+      let departments = await Department.find().sort('code').lean();
+
+      if (departments.length === 0) {
+        await Department.insertMany(DEFAULT_DEPARTMENTS, { ordered: false }).catch(error => {
+          // Another instance may have created them at the same time
+          if (error.code !== 11000) throw error;
+        });
+        departments = await Department.find().sort('code').lean();
+      }
+
+      cached = departments;
+      cachedAt = Date.now();
+      return cached;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+// Drop the cache after departments change
+function invalidate() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * Get department codes
+ * @param {Object} options - { activeOnly }
+ * @returns {Promise<Array>}
+ */
+async function getDepartmentCodes({ activeOnly = false } = {}) {
+  const departments = await loadDepartments();
+  return departments
+    .filter(d => !activeOnly || d.isActive)
+    .map(d => d.code);
+}
+
+/**
+ * Check if a department code exists
+ * @param {string} code
+ * @param {Object} options - { allowAll } to accept 'all' (form templates)
+ * @returns {Promise<boolean>}
+ */
+async function isValidDepartment(code, { allowAll = false } = {}) {
+  if (code === undefined || code === null) return true;
+  if (allowAll && code === 'all') return true;
+
+  const codes = await getDepartmentCodes();
+  return codes.includes(code);
+}
+
+/**
+ * Mongoose validator for department fields
+ * @param {Object} options - { allowAll }
+ * @returns {Object}
+ */
+function departmentValidator(options = {}) {
+  return {
+    validator: (value) => isValidDepartment(value, options),
+    message: props => `${props.value} is not a valid department`
+  };
+}
+
+/**
+ * Get the bilingual name of a department from the cache
+ * Call loadDepartments() first; unknown codes fall back to the code itself
+ * @param {string} code
+ * @returns {Object} { en, ar }
+ */
+function getDepartmentNames(code) {
+  if (code === 'all') {
+    return { en: 'All Departments', ar: 'جميع الأقسام' };
+  }
+
+  const department = (cached || []).find(d => d.code === code);
+  return department ? department.name : { en: code, ar: code };
+}
+
+/**
+ * Get the name of a department in a language from the cache
+ * @param {string} code
+ * @param {string} language - 'en' or 'ar'
+ * @returns {string}
+ */
+function getDepartmentName(code, language = 'en') {
+  if (!code) return code;
+
+  const names = getDepartmentNames(code);
+  return names[language] || names.en || code;
+}
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  loadDepartments,
+  invalidate,
+  getDepartmentCodes,
+  isValidDepartment,
+  departmentValidator,
+  getDepartmentNames,
+  getDepartmentName
+};
@@ -1,5 +1,8 @@
 const nodemailer = require('nodemailer');
 const dateUtils = require('./dateUtils');
+const { loadDepartments, getDepartmentName } = require('./departments');
+const notificationPreferences = require('./notificationPreferences');
+const DeferredEmail = require('../models/DeferredEmail');
 
 // Check if we're in development mode
 const isDevelopment = process.env.NODE_ENV === 'development';
@@ -183,7 +186,7 @@ const getEmailTemplate = (title, content, language = 'en') => {
       <p style="margin: 0; font-size: 14px; opacity: 0.9;">${language === 'ar' ? 'نظام إدارة Brosted-4U' : 'Brosted-4U Management System'}</p>
     </div>
     <div class="email-body">
-      ${content}
+      <!-- content -->${content}<!-- /content -->
     </div>
     <div class="email-footer">
       <p><strong>Brosted 4 U</strong></p>
@@ -199,13 +202,14 @@ const getEmailTemplate = (title, content, language = 'en') => {
 };
 
 // Send email function
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, attachments }) => {
   try {
     devLog('📧 Starting email send process', {
       to: Array.isArray(to) ? to : [to],
       subject: subject,
       hasHtml: !!html,
-      hasText: !!text
+      hasText: !!text,
+      attachments: attachments ? attachments.length : 0
     });
 
     const transporter = createTransporter();
@@ -218,6 +222,10 @@ const sendEmail = async ({ to, subject, html, text }) => {
       text: text || subject
     };
 
+    if (attachments && attachments.length > 0) {
+      mailOptions.attachments = attachments;
+    }
+
     devLog('📤 Sending email', {
       from: mailOptions.from,
       to: mailOptions.to,
@@ -268,7 +276,7 @@ const getFormSubmittedEmail = (formData, language = 'en') => {
   const title = isRTL ? 'تم إرسال نموذج جديد' : 'New Form Submitted';
   const formTitle = isRTL ? formData.templateTitle?.ar : formData.templateTitle?.en;
   const userName = formData.filledBy?.name || 'User';
-  const department = formData.department || 'N/A';
+  const department = getDepartmentName(formData.department, language) || 'N/A';
   const date = formatEmailDate(formData.date, language);
   const shift = formData.shift || 'N/A';
 
@@ -350,7 +358,7 @@ const getLeaveRequestedEmail = (leaveData, language = 'en') => {
   const days = leaveData.days || 0;
   const startDate = formatEmailDate(leaveData.startDate, language);
   const endDate = formatEmailDate(leaveData.endDate, language);
-  const department = leaveData.department || 'N/A';
+  const department = getDepartmentName(leaveData.department, language) || 'N/A';
 
   // Calculate duration in hours if less than 1 day
   let durationText = '';
@@ -459,8 +467,66 @@ const getLeaveRejectedEmail = (leaveData, language = 'en') => {
   };
 };
 
+// Several forms or leave requests decided at once (bulk approve/reject)
+const getBulkDecisionEmail = (data, language = 'en') => {
+  const isRTL = language === 'ar';
+  const approved = data.status === 'approved';
+  const isLeave = data.kind === 'leave';
+  const title = isLeave
+    ? (isRTL ? (approved ? 'تمت الموافقة على طلبات الإجازة' : 'تم رفض طلبات الإجازة') : `Leave Requests ${approved ? 'Approved' : 'Rejected'}`)
+    : (isRTL ? (approved ? 'تمت الموافقة على النماذج' : 'تم رفض النماذج') : `Forms ${approved ? 'Approved' : 'Rejected'}`);
+  const decidedBy = data.decidedBy?.name || 'Admin';
+  const count = data.items.length;
+  const notes = data.notes || '';
+
+  const rows = data.items.map(item => `
+      <p><strong>${isRTL ? item.title?.ar : item.title?.en}</strong> - ${formatEmailDate(item.startDate, language)}${item.endDate ? ` - ${formatEmailDate(item.endDate, language)}` : ''}</p>`).join('');
+
+  const content = `
+    <h2>${title}</h2>
+    <p>${isRTL
+    ? `${approved ? 'تمت الموافقة على' : 'تم رفض'} ${count} ${isLeave ? 'من طلبات إجازتك' : 'من نماذجك'}`
+    : `${count} of your ${isLeave ? 'leave requests' : 'forms'} ${count === 1 ? 'has' : 'have'} been ${approved ? 'approved' : 'rejected'}`}</p>
+    <div class="info-box">${rows}
+      <p><strong>${isRTL ? (approved ? 'تمت الموافقة بواسطة:' : 'تم الرفض بواسطة:') : (approved ? 'Approved By:' : 'Rejected By:')}</strong> ${decidedBy}</p>
+      ${notes ? `<p><strong>${isRTL ? 'ملاحظات:' : 'Notes:'}</strong> ${notes}</p>` : ''}
+    </div>
+    <p>${isRTL ? 'شكراً لاستخدامك نظام Brosted-4U.' : 'Thank you for using Brosted-4U system.'}</p>
+  `;
+
+  return {
+    subject: title,
+    html: getEmailTemplate(title, content, language)
+  };
+};
+
+// Content of an email built with getEmailTemplate, without the branded layout
+const getEmailContent = (html) => {
+  const match = /<!-- content -->([\s\S]*)<!-- \/content -->/.exec(html || '');
+  return match ? match[1].trim() : '';
+};
+
+// Apply the recipient's notification preferences to a typed email
+// Returns the delivery action: 'send', 'defer' (stored for the digest) or 'skip'
+const applyEmailPreferences = async (userId, type, email) => {
+  if (!type || !userId) return 'send';
+
+  const preferences = await notificationPreferences.getPreferences(userId);
+  const { action, deliverAt } = notificationPreferences.resolveDelivery(preferences, type, 'email');
+
+  if (action === 'defer') {
+    await DeferredEmail.create({ userId, type, subject: email.subject, content: getEmailContent(email.html), deliverAt });
+    devLog('🕒 Email deferred by notification preferences', { userId, type, deliverAt });
+  } else if (action === 'skip') {
+    devLog('🔕 Email skipped by notification preferences', { userId, type });
+  }
+
+  return action;
+};
+
 // Send email to admins
-const sendEmailToAdmins = async (emailData, department = null) => {
+// options.type: notification type used to apply each admin's preferences
+const sendEmailToAdmins = async (emailData, department = null, options = {}) => {
   try {
     devLog('👥 Sending email to admins', { department });
 
@@ -474,7 +540,7 @@ const sendEmailToAdmins = async (emailData, department = null) => {
       query.department = department;
     }
 
-    const admins = await User.find(query).select('email languagePreference');
+    const admins = await User.find(query).select('_id email languagePreference');
 
     devLog('📋 Found admins', {
       count: admins.length,
@@ -488,6 +554,9 @@ const sendEmailToAdmins = async (emailData, department = null) => {
       return { success: false, message: 'No admin users found' };
     }
 
+    // Department names are read from the cache by the templates
+    await loadDepartments().catch(error => devLog('⚠️ Could not load departments', { error: error.message }));
+
     const results = [];
     for (const admin of admins) {
       const language = admin.languagePreference || 'ar';
@@ -495,6 +564,12 @@ const sendEmailToAdmins = async (emailData, department = null) => {
 
       const email = emailData(language);
 
+      const action = await applyEmailPreferences(admin._id, options.type, email);
+      if (action !== 'send') {
+        results.push({ email: admin.email, success: true, [action === 'defer' ? 'deferred' : 'skipped']: true });
+        continue;
+      }
+
       const result = await sendEmail({
         to: admin.email,
         subject: email.subject,
@@ -523,12 +598,25 @@ const sendEmailToAdmins = async (emailData, department = null) => {
 };
 
 // Send email to user
-const sendEmailToUser = async (userEmail, emailData, language = 'ar') => {
+// options.type: notification type used to apply the user's preferences
+const sendEmailToUser = async (userEmail, emailData, language = 'ar', options = {}) => {
   try {
     devLog('👤 Sending email to user', { userEmail, language });
 
+    // Department names are read from the cache by the templates
+    await loadDepartments().catch(error => devLog('⚠️ Could not load departments', { error: error.message }));
+
     const email = emailData(language);
 
+    if (options.type) {
+      const User = require('../models/User');
+      const user = await User.findOne({ email: userEmail }).select('_id');
+      const action = await applyEmailPreferences(user?._id, options.type, email);
+      if (action !== 'send') {
+        return { success: true, [action === 'defer' ? 'deferred' : 'skipped']: true };
+      }
+    }
+
     devLog('📧 Email prepared for user', {
       userEmail,
       subject: email.subject,
@@ -538,7 +626,8 @@ const sendEmailToUser = async (userEmail, emailData, language = 'ar') => {
     const result = await sendEmail({
       to: userEmail,
       subject: email.subject,
-      html: email.html
+      html: email.html,
+      attachments: email.attachments
     });
 
     devLog(`✅ Email sent to user: ${userEmail}`, { success: result.success });
@@ -596,7 +685,7 @@ const getPasswordResetRequestEmail = (requestData, language = 'en') => {
   const title = isRTL ? 'طلب إعادة تعيين كلمة المرور' : 'Password Reset Request';
   const userName = requestData.userName || 'User';
   const userEmail = requestData.userEmail || 'N/A';
-  const department = requestData.department || 'N/A';
+  const department = getDepartmentName(requestData.department, language) || 'N/A';
   const requestDate = formatEmailDate(requestData.requestDate, language);
 
   const content = `
@@ -645,13 +734,52 @@ const getPasswordResetByAdminEmail = (resetData, language = 'en') => {
   };
 };
 
+// Invitation email
+const getInvitationEmail = (inviteData, language = 'en') => {
+  const isRTL = language === 'ar';
+  const title = isRTL ? 'دعوة للانضمام' : 'You Have Been Invited';
+  const inviteLink = inviteData.inviteLink;
+  const userName = inviteData.userName;
+  const invitedBy = inviteData.invitedBy || 'Admin';
+  const role = isRTL ? inviteData.role?.ar : inviteData.role?.en;
+  const department = getDepartmentName(inviteData.department, language) || 'N/A';
+  const expiresAt = formatEmailDate(inviteData.expiresAt, language);
+
+  const content = `
+    <h2>${title}</h2>
+    <p>${userName ? (isRTL ? `مرحباً ${userName},` : `Hello ${userName},`) : (isRTL ? 'مرحباً,' : 'Hello,')}</p>
+    <p>${isRTL ? `دعاك ${invitedBy} لإنشاء حسابك.` : `${invitedBy} has invited you to create your account.`}</p>
+    <div class="info-box">
+      <p><strong>${isRTL ? 'الدور:' : 'Role:'}</strong> ${role || inviteData.role?.en || 'N/A'}</p>
+      <p><strong>${isRTL ? 'القسم:' : 'Department:'}</strong> ${department}</p>
+    </div>
+    <p>${isRTL ? 'انقر على الزر أدناه لتعيين كلمة المرور وتفعيل حسابك:' : 'Click the button below to set your password and activate your account:'}</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${inviteLink}" class="email-button" style="display: inline-block; padding: 12px 30px; background-color: #dc2328; color: #ffffff !important; text-decoration: none; border-radius: 6px; font-weight: 600;">
+        ${isRTL ? 'تفعيل الحساب' : 'Activate Account'}
+      </a>
+    </div>
+    <p style="font-size: 14px; color: #6b7280;">
+      ${isRTL ? `أو انسخ والصق هذا الرابط في المتصفح: ${inviteLink}` : `Or copy and paste this link in your browser: ${inviteLink}`}
+    </p>
+    <p style="font-size: 14px; color: #dc2328;">
+      ${isRTL ? `⚠️ يمكن استخدام هذا الرابط مرة واحدة فقط وينتهي في ${expiresAt}.` : `⚠️ This link can only be used once and expires on ${expiresAt}.`}
+    </p>
+  `;
+
+  return {
+    subject: title,
+    html: getEmailTemplate(title, content, language)
+  };
+};
+
 // Employee report email
 const getEmployeeReportEmail = (data, language = 'en') => {
   const isRTL = language === 'ar';
   const title = isRTL ? 'تقرير الأداء الشهري' : 'Monthly Performance Report';
   const content = `
     <p style="text-align: ${isRTL ? 'right' : 'left'}; margin-bottom: 15px;">${isRTL ? `مرحباً ${data.employeeName},` : `Hello ${data.employeeName},`}</p>
-    <p style="text-align: ${isRTL ? 'right' : 'left'}; margin-bottom: 15px;">${isRTL ? 'نود إعلامك بأن تقرير الأداء الشهري الخاص بك جاهز. يرجى النقر على الرابط أدناه لعرض التقرير.' : 'We would like to inform you that your monthly performance report is ready. Please click the link below to view your report.'}</p>
+    <p style="text-align: ${isRTL ? 'right' : 'left'}; margin-bottom: 15px;">${isRTL ? `نود إعلامك بأن تقرير الأداء الشهري الخاص بك جاهز. ${data.hasAttachment ? 'تجد تقرير الحضور مرفقاً بهذه الرسالة بصيغة PDF، ويمكنك أيضاً' : 'يرجى'} النقر على الرابط أدناه لعرض التقرير.` : `We would like to inform you that your monthly performance report is ready. ${data.hasAttachment ? 'Your attendance report is attached to this email as a PDF. You can also' : 'Please'} click the link below to view your report.`}</p>
     <div class="info-box" style="background-color: #f9fafb; border-left: 4px solid #dc2328; padding: 15px; margin: 20px 0; border-radius: 4px;">
       <p style="margin: 5px 0; font-size: 14px;"><strong style="color: #dc2328;">${isRTL ? 'الفترة:' : 'Period:'}</strong> ${data.month} ${data.year}</p>
       <p style="margin: 5px 0; font-size: 14px;"><strong style="color: #dc2328;">${isRTL ? 'القسم:' : 'Department:'}</strong> ${data.department}</p>
@@ -666,8 +794,142 @@ const getEmployeeReportEmail = (data, language = 'en') => {
   };
 };
 
+// Digest of emails held back by quiet hours or digest mode
+const getDigestEmail = (data, language = 'en') => {
+  const isRTL = language === 'ar';
+  const title = isRTL ? 'ملخص الإشعارات' : 'Notifications Digest';
+  const rows = data.items.map(item => `
+      <p style="margin: 5px 0; font-size: 14px;"><strong style="color: #dc2328;">${formatEmailDate(item.createdAt, language)}</strong> - ${item.subject}</p>`).join('');
+  // Each held-back email in full (items deferred before contents were stored only list their subject)
+  const details = data.items.filter(item => item.content).map(item => `
+    <div class="divider"></div>
+    ${item.content}`).join('');
+  const content = `
+    <p style="text-align: ${isRTL ? 'right' : 'left'}; margin-bottom: 15px;">${isRTL ? `مرحباً ${data.userName},` : `Hello ${data.userName},`}</p>
+    <p style="text-align: ${isRTL ? 'right' : 'left'}; margin-bottom: 15px;">${isRTL ? `لديك ${data.items.length} إشعار منذ آخر ملخص:` : `You have ${data.items.length} notification(s) since your last digest:`}</p>
+    <div class="info-box" style="background-color: #f9fafb; border-left: 4px solid #dc2328; padding: 15px; margin: 20px 0; border-radius: 4px;">${rows}
+    </div>${details}
+    <p style="text-align: ${isRTL ? 'right' : 'left'}; font-size: 12px; color: #6b7280;">${isRTL ? 'يمكنك تغيير تفضيلات الإشعارات من الإعدادات.' : 'You can change your notification preferences in the settings.'}</p>
+  `;
+  return {
+    subject: title,
+    html: getEmailTemplate(title, content, language)
+  };
+};
+
+// Scheduled manager digest (daily or weekly summary)
+const getManagerDigestEmail = (data, language = 'en') => {
+  const isRTL = language === 'ar';
+  const title = data.period === 'weekly'
+    ? (isRTL ? 'الملخص الأسبوعي' : 'Weekly Digest')
+    : (isRTL ? 'الملخص اليومي' : 'Daily Digest');
+  const leaveTypes = {
+    vacation: { en: 'Vacation', ar: 'إجازة' },
+    sick: { en: 'Sick', ar: 'مرضية' },
+    permission: { en: 'Permission', ar: 'إذن' },
+    emergency: { en: 'Emergency', ar: 'طارئ' },
+    unpaid: { en: 'Unpaid', ar: 'بدون راتب' },
+    other: { en: 'Other', ar: 'أخرى' }
+  };
+  const cell = `style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: ${isRTL ? 'right' : 'left'};"`;
+  const period = data.from === data.to
+    ? formatEmailDate(data.from, language)
+    : `${formatEmailDate(data.from, language)} - ${formatEmailDate(data.to, language)}`;
+
+  const attendanceRows = data.attendance.map(row => `
+        <tr>
+          <td ${cell}>${getDepartmentName(row.department, language)}</td>
+          <td ${cell}>${row.present}</td>
+          <td ${cell}>${row.late}</td>
+          <td ${cell}>${row.absent}</td>
+          <td ${cell}>${row.onLeave}</td>
+        </tr>`).join('');
+
+  const section = (heading, { count, items }, render) => `
+    <h2>${heading} (${count})</h2>
+    ${items.length > 0 ? `<div class="info-box">${items.map(item => `<p>${render(item)}</p>`).join('')}
+      ${count > items.length ? `<p>${isRTL ? `و ${count - items.length} أخرى` : `and ${count - items.length} more`}</p>` : ''}
+    </div>` : `<p>${isRTL ? 'لا يوجد' : 'None'}</p>`}`;
+
+  const leaveItem = (leave) => `<strong>${leave.userName || ''}</strong> - ${leaveTypes[leave.type]?.[language] || leave.type}: ${formatEmailDate(leave.startDate, language)} - ${formatEmailDate(leave.endDate, language)}`;
+
+  const content = `
+    <p>${isRTL ? `مرحباً ${data.userName},` : `Hello ${data.userName},`}</p>
+    <p>${isRTL ? `ملخص الفترة: ${period}` : `Summary for: ${period}`}</p>
+    <h2>${isRTL ? 'الحضور حسب القسم' : 'Attendance by Department'}</h2>
+    ${data.attendance.length > 0 ? `<table style="width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 20px;">
+        <tr>
+          <th ${cell}>${isRTL ? 'القسم' : 'Department'}</th>
+          <th ${cell}>${isRTL ? 'حاضر' : 'Present'}</th>
+          <th ${cell}>${isRTL ? 'متأخر' : 'Late'}</th>
+          <th ${cell}>${isRTL ? 'غائب' : 'Absent'}</th>
+          <th ${cell}>${isRTL ? 'إجازة' : 'On Leave'}</th>
+        </tr>${attendanceRows}
+      </table>` : `<p>${isRTL ? 'لا توجد بيانات حضور' : 'No attendance data'}</p>`}
+    ${section(isRTL ? 'نماذج بانتظار الموافقة' : 'Forms Awaiting Approval', data.pendingForms, form =>
+    `<strong>${form.title?.[language] || form.title?.en || ''}</strong> - ${form.filledBy || ''} (${getDepartmentName(form.department, language)}, ${formatEmailDate(form.date, language)})`)}
+    ${section(isRTL ? 'طلبات إجازة معلقة' : 'Pending Leave Requests', data.pendingLeaves, leaveItem)}
+    ${section(isRTL ? 'إجازات معتمدة قادمة' : 'Upcoming Approved Leaves', data.upcomingLeaves, leaveItem)}
+    <div class="divider"></div>
+    <p>${isRTL ? `الرسائل غير المقروءة: ${data.unreadMessages}` : `Unread messages: ${data.unreadMessages}`}</p>
+  `;
+
+  return {
+    subject: `${title} - ${period}`,
+    html: getEmailTemplate(title, content, language)
+  };
+};
+
+// Send one digest email per user for the deferred emails that are due
+const sendDeferredEmails = async () => {
+  try {
+    const User = require('../models/User');
+
+    const due = await DeferredEmail.find({ deliverAt: { $lte: new Date() } })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (due.length === 0) return { sent: 0 };
+
+    const byUser = new Map();
+    due.forEach(item => {
+      const key = item.userId.toString();
+      if (!byUser.has(key)) byUser.set(key, []);
+      byUser.get(key).push(item);
+    });
+
+    const users = await User.find({ _id: { $in: [...byUser.keys()] }, isActive: true })
+      .select('name email languagePreference')
+      .lean();
+
+    let sent = 0;
+    for (const user of users) {
+      const language = user.languagePreference || 'ar';
+      const email = getDigestEmail({ userName: user.name, items: byUser.get(user._id.toString()) }, language);
+      const result = await sendEmail({ to: user.email, subject: email.subject, html: email.html });
+      if (result.success) {
+        sent++;
+      } else {
+        // Keep the items to retry on the next run
+        byUser.delete(user._id.toString());
+      }
+    }
+
+    // Delivered items, and items of inactive or deleted users, are removed
+    const deliveredIds = [...byUser.values()].flat().map(item => item._id);
+    await DeferredEmail.deleteMany({ _id: { $in: deliveredIds } });
+
+    devLog('📬 Deferred emails delivered', { items: due.length, digests: sent });
+    return { sent };
+  } catch (error) {
+    console.error('Error sending deferred emails:', error);
+    return { sent: 0, error: error.message };
+  }
+};
+
 module.exports = {
   sendEmail,
+  sendDeferredEmails,
   sendEmailToAdmins,
   sendEmailToUser,
   getFormSubmittedEmail,
@@ -676,9 +938,13 @@ module.exports = {
   getLeaveRequestedEmail,
   getLeaveApprovedEmail,
   getLeaveRejectedEmail,
+  getBulkDecisionEmail,
   getPasswordResetEmail,
   getPasswordResetRequestEmail,
   getPasswordResetByAdminEmail,
-  getEmployeeReportEmail
+  getInvitationEmail,
+  getEmployeeReportEmail,
+  getDigestEmail,
+  getManagerDigestEmail
 };
 
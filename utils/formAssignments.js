@@ -0,0 +1,271 @@
+/**
+ * Form Assignment Utilities
+ * Turns form template recurrence rules into expected forms (FormAssignment),
+ * completes them when the matching form is submitted, marks missed ones as
+ * overdue (notifying the department's head supervisor, or its supervisors)
+ * and builds weekly compliance figures.
+ * Uses Saudi Arabia timezone (Asia/Riyadh) through dateUtils
+ */
+
+const FormAssignment = require('../models/FormAssignment');
+const FormInstance = require('../models/FormInstance');
+const FormTemplate = require('../models/FormTemplate');
+const Branch = require('../models/Branch');
+const Department = require('../models/Department');
+const dateUtils = require('./dateUtils');
+const shiftUtils = require('./shiftUtils');
+const { createNotification } = require('./notifications');
+
+/**
+ * Get the time an expected form is due
+ * @param {Object} rule - Template recurrence rule
+ * @param {string} date - Day the form is expected for (YYYY-MM-DD)
+ * @returns {Date}
+ */
+function getDueAt(rule, date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const { hours, minutes } = shiftUtils.parseTime(rule.dueTime);
+
+  // Night shift checklists are due the next morning
+  const nextDay = rule.shift === 'night' && hours < 12;
+  return dateUtils.createDate(year, month - 1, day + (nextDay ? 1 : 0), hours, minutes, 0);
+}
+
+/**
+ * Find the submitted form that fulfills an assignment
+ * @param {Object} assignment
+ * @returns {Promise<Object|null>}
+ */
+async function findMatchingInstance(assignment) {
+  const [year, month, day] = assignment.date.split('-').map(Number);
+
+  return FormInstance.findOne({
+    templateId: assignment.template,
+    department: assignment.department,
+    branch: assignment.branch || null,
+    shift: assignment.shift,
+    status: { $in: ['submitted', 'approved', 'rejected'] },
+    date: {
+      $gte: dateUtils.createDate(year, month - 1, day, 0, 0, 0),
+      $lte: dateUtils.createDate(year, month - 1, day, 23, 59, 59)
+    }
+  }).select('_id createdAt updatedAt');
+}
+
+/**
+ * Create today's expected forms from the active templates' recurrence rules
+ * Forms already past their due time are not created, so adding a rule
+ * late in the day does not immediately report it as missed
+ * @param {Date} now
+ * @returns {Promise<number>} Number of assignments created
+ */
+async function generateAssignments(now = new Date()) {
+  const date = dateUtils.getDateString(now);
+  const dayName = dateUtils.getDayName(now);
+
+  const [templates, branches] = await Promise.all([
+    FormTemplate.find({ isActive: true, 'recurrence.0': { $exists: true } }).select('recurrence').lean(),
+    Branch.find({ isActive: true }).select('_id').lean()
+  ]);
+  const branchIds = branches.length > 0 ? branches.map(b => b._id) : [null];
+
+  let created = 0;
+  for (const template of templates) {
+    for (const rule of template.recurrence) {
+      if (rule.days && rule.days.length > 0 && !rule.days.includes(dayName)) continue;
+
+      const dueAt = getDueAt(rule, date);
+      if (dueAt <= now) continue;
+
+      for (const branch of branchIds) {
+        const key = { template: template._id, department: rule.department, branch, shift: rule.shift, date };
+        const result = await FormAssignment.updateOne(key, { $setOnInsert: { ...key, dueAt } }, { upsert: true });
+        if (!result.upsertedId) continue;
+
+        created++;
+
+        // The form may have been submitted before the assignment existed
+        const instance = await findMatchingInstance(key);
+        if (instance) {
+          await FormAssignment.updateOne(
+            { _id: result.upsertedId },
+            { $set: { status: 'completed', instance: instance._id, completedAt: instance.updatedAt } }
+          );
+        }
+      }
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Mark expected forms past their due time as overdue and notify the responsible supervisor
+ * @param {Date} now
+ * @returns {Promise<number>} Number of assignments marked overdue
+ */
+async function markOverdue(now = new Date()) {
+  const assignments = await FormAssignment.find({ status: 'pending', dueAt: { $lte: now } })
+    .populate('template', 'title')
+    .lean();
+
+  const headSupervisors = new Map();
+  let overdue = 0;
+
+  for (const assignment of assignments) {
+    // Claim it, so a concurrent run does not notify twice
+    const result = await FormAssignment.updateOne(
+      { _id: assignment._id, status: 'pending' },
+      { $set: { status: 'overdue' } }
+    );
+    if (result.modifiedCount === 0) continue;
+    overdue++;
+
+    if (!headSupervisors.has(assignment.department)) {
+      const department = await Department.findOne({ code: assignment.department }).select('headSupervisor').lean();
+      headSupervisors.set(assignment.department, department?.headSupervisor || null);
+    }
+    const headSupervisor = headSupervisors.get(assignment.department);
+
+    const titleEn = assignment.template?.title?.en || 'Form';
+    const titleAr = assignment.template?.title?.ar || 'نموذج';
+
+    await createNotification({
+      type: 'form_overdue',
+      title: {
+        en: 'Form Overdue',
+        ar: 'نموذج متأخر'
+      },
+      message: {
+        en: `${titleEn} (${assignment.shift} shift, ${assignment.date}) was not submitted on time`,
+        ar: `لم يتم إرسال ${titleAr} (${assignment.shift}، ${assignment.date}) في الوقت المحدد`
+      },
+      data: {
+        assignmentId: assignment._id,
+        templateId: assignment.template?._id,
+        department: assignment.department,
+        shift: assignment.shift,
+        date: assignment.date
+      },
+      ...(headSupervisor
+        ? { recipients: [headSupervisor] }
+        : { roles: ['supervisor'], departments: [assignment.department], branch: assignment.branch })
+    });
+  }
+
+  return overdue;
+}
+
+/**
+ * Complete the assignment fulfilled by a submitted form instance
+ * @param {Object} instance - FormInstance document
+ * @returns {Promise<void>}
+ */
+async function completeAssignment(instance) {
+  try {
+    if (!['submitted', 'approved', 'rejected'].includes(instance.status)) return;
+
+    const assignment = await FormAssignment.findOne({
+      template: instance.templateId?._id || instance.templateId,
+      department: instance.department,
+      branch: instance.branch || null,
+      shift: instance.shift,
+      date: dateUtils.getDateString(instance.date),
+      status: { $ne: 'completed' }
+    });
+    if (!assignment) return;
+
+    assignment.completedLate = assignment.status === 'overdue';
+    assignment.status = 'completed';
+    assignment.instance = instance._id;
+    assignment.completedAt = new Date();
+    await assignment.save();
+  } catch (error) {
+    console.error('Error completing form assignment:', error);
+  }
+}
+
+/**
+ * Generate today's expected forms and mark missed ones overdue (form-assignments job)
+ * @returns {Promise<Object>} { created, overdue }
+ */
+async function runFormAssignments() {
+  const now = new Date();
+  const created = await generateAssignments(now);
+  const overdue = await markOverdue(now);
+  return { created, overdue };
+}
+
+/**
+ * Get the first day (Sunday) of the week of a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function getWeekStart(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const { dayOfWeek } = dateUtils.getDateComponents(dateUtils.createDate(year, month - 1, day, 12, 0, 0));
+  return shiftUtils.shiftDateString(date, -dayOfWeek);
+}
+
+/**
+ * Completion rates per template, department and week
+ * Forms still pending (not yet due) are left out of the rate
+ * @param {Object} query - FormAssignment query
+ * @returns {Promise<Array>}
+ */
+async function buildCompliance(query) {
+  const assignments = await FormAssignment.find(query)
+    .select('template department date status completedLate')
+    .populate('template', 'title')
+    .lean();
+
+  const groups = new Map();
+  assignments.forEach(assignment => {
+    const weekStart = getWeekStart(assignment.date);
+    const templateId = assignment.template?._id?.toString() || 'deleted';
+    const key = `${templateId}:${assignment.department}:${weekStart}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        template: assignment.template || null,
+        department: assignment.department,
+        weekStart,
+        total: 0,
+        completed: 0,
+        completedLate: 0,
+        overdue: 0,
+        pending: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.total++;
+    if (assignment.status === 'completed') {
+      group.completed++;
+      if (assignment.completedLate) group.completedLate++;
+    } else {
+      group[assignment.status]++;
+    }
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      const due = group.total - group.pending;
+      return {
+        ...group,
+        completionRate: due > 0 ? Math.round((group.completed / due) * 10000) / 100 : null,
+        onTimeRate: due > 0 ? Math.round(((group.completed - group.completedLate) / due) * 10000) / 100 : null
+      };
+    })
+    .sort((a, b) => b.weekStart.localeCompare(a.weekStart) || a.department.localeCompare(b.department));
+}
+
+module.exports = {
+  getDueAt,
+  generateAssignments,
+  markOverdue,
+  completeAssignment,
+  runFormAssignments,
+  getWeekStart,
+  buildCompliance
+};
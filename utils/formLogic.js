@@ -0,0 +1,436 @@
+/**
+ * Form Logic
+ * Evaluates template field rules against form values on the server:
+ * - showIf: the field is only shown (and its value only kept) when the condition holds
+ * - requiredIf: the field must be filled when the condition holds
+ * - computed fields: a formula over other fields (totals, cash-count differences, ...)
+ *
+ * Values are keyed `${sectionId}.${fieldKey}`. Rules reference fields by key
+ * within the same section, or as `sectionId.fieldKey` in another section;
+ * wrap references containing dashes in braces: `{section-1.temperature}`.
+ *
+ * Conditions: { field, operator, value } or { all: [...] } / { any: [...] }
+ * Formulas: numbers, references, + - * / and parentheses, and the functions
+ * sum, avg, min, max, abs and round(x, decimals). A reference to a table row
+ * column (`items.amount`) yields the column of every row.
+ */
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'empty', 'notEmpty'];
+
+const FUNCTIONS = {
+  sum: (args) => args.reduce((total, n) => total + n, 0),
+  avg: (args) => (args.length > 0 ? args.reduce((total, n) => total + n, 0) / args.length : null),
+  min: (args) => (args.length > 0 ? Math.min(...args) : null),
+  max: (args) => (args.length > 0 ? Math.max(...args) : null),
+  abs: (args) => (args.length > 0 ? Math.abs(args[0]) : null),
+  round: (args) => {
+    if (args.length === 0) return null;
+    const factor = Math.pow(10, args[1] || 0);
+    return Math.round(args[0] * factor) / factor;
+  }
+};
+
+// Aggregates skip empty values; other functions need all of their arguments
+const AGGREGATES = ['sum', 'avg', 'min', 'max'];
+
+// How many times visibility and formulas are re-evaluated to settle dependencies
+const MAX_PASSES = 10;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => {
+  if (isEmpty(value) || typeof value === 'boolean') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Split a formula into tokens
+ * @param {string} formula
+ * @returns {Array} [{ type, value }]
+ */
+function tokenize(formula) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|\{([^}]+)\}|([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|([-+*/(),]))/y;
+  let index = 0;
+
+  while (index < formula.length) {
+    while (/\s/.test(formula[index])) index++;
+    if (index >= formula.length) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(formula);
+    if (!match) {
+      throw new Error(`Unexpected character in formula at position ${index + 1}`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].trim() });
+    else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+    else tokens.push({ type: 'op', value: match[4] });
+
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} formula
+ * @returns {Object}
+ * @throws {Error} On syntax errors
+ */
+function parseFormula(formula) {
+  const tokens = tokenize(String(formula || ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in formula`);
+    position++;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of formula');
+
+    if (isOp('-')) {
+      position++;
+      return { type: 'negate', operand: parsePrimary() };
+    }
+    if (isOp('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      position++;
+      if (!isOp('(')) {
+        return { type: 'ref', name: token.value };
+      }
+
+      const name = token.value.toLowerCase();
+      if (!Object.hasOwn(FUNCTIONS, name)) throw new Error(`Unknown function: ${token.value}`);
+      position++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseExpression());
+        while (isOp(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expect(')');
+      return { type: 'call', name, args };
+    }
+
+    throw new Error(`Unexpected "${token.value}" in formula`);
+  };
+
+  const parseTerm = () => {
+    let node = parsePrimary();
+    while (isOp('*') || isOp('/')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parsePrimary() };
+    }
+    return node;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  if (tokens.length === 0) throw new Error('Formula is empty');
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in formula`);
+  }
+  return tree;
+}
+
+// Collect the references used by an expression tree
+const collectRefs = (node, refs = []) => {
+  if (node.type === 'ref') refs.push(node.name);
+  if (node.type === 'negate') collectRefs(node.operand, refs);
+  if (node.type === 'binary') {
+    collectRefs(node.left, refs);
+    collectRefs(node.right, refs);
+  }
+  if (node.type === 'call') node.args.forEach(arg => collectRefs(arg, refs));
+  return refs;
+};
+
+/**
+ * Index the template fields by their value key
+ * @param {Object} template
+ * @returns {Map} `${sectionId}.${fieldKey}` -> { section, field }
+ */
+function indexFields(template) {
+  const fields = new Map();
+  (template.sections || []).forEach(section => {
+    (section.fields || []).forEach(field => {
+      fields.set(`${section.id}.${field.key}`, { section, field });
+    });
+  });
+  return fields;
+}
+
+/**
+ * Resolve a reference made from a section to a value key
+ * @returns {Object|null} { key, column } - column is set for table row references
+ */
+function resolveRef(name, sectionId, fields) {
+  if (fields.has(`${sectionId}.${name}`)) return { key: `${sectionId}.${name}` };
+  if (fields.has(name)) return { key: name };
+
+  // Column of a table field: items.amount or section.items.amount
+  const dot = name.lastIndexOf('.');
+  if (dot > 0) {
+    const base = resolveRef(name.slice(0, dot), sectionId, fields);
+    if (base && !base.column) return { key: base.key, column: name.slice(dot + 1) };
+  }
+  return null;
+}
+
+// Read a referenced value; table columns yield an array
+const readRef = (ref, values) => {
+  const value = values[ref.key];
+  if (!ref.column) return value;
+  return Array.isArray(value) ? value.map(row => row && row[ref.column]) : undefined;
+};
+
+function evaluateNode(node, lookup) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'ref': {
+      const value = lookup(node.name);
+      return Array.isArray(value) ? value.map(toNumber) : toNumber(value);
+    }
+    case 'negate': {
+      const value = evaluateNode(node.operand, lookup);
+      return value === null || Array.isArray(value) ? null : -value;
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, lookup);
+      const right = evaluateNode(node.right, lookup);
+      if (left === null || right === null || Array.isArray(left) || Array.isArray(right)) return null;
+      if (node.operator === '+') return left + right;
+      if (node.operator === '-') return left - right;
+      if (node.operator === '*') return left * right;
+      return right === 0 ? null : left / right;
+    }
+    case 'call': {
+      const args = node.args.flatMap(arg => {
+        const value = evaluateNode(arg, lookup);
+        return Array.isArray(value) ? value : [value];
+      });
+      const numbers = args.filter(n => n !== null);
+      if (!AGGREGATES.includes(node.name) && numbers.length !== args.length) return null;
+      return FUNCTIONS[node.name](numbers);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate a condition
+ * @param {Object} condition
+ * @param {Function} lookup - Reference name -> value
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, lookup) {
+  if (!condition) return true;
+  if (Array.isArray(condition.all)) return condition.all.every(c => evaluateCondition(c, lookup));
+  if (Array.isArray(condition.any)) return condition.any.some(c => evaluateCondition(c, lookup));
+
+  const actual = lookup(condition.field);
+  const expected = condition.value;
+  const equals = (a, b) => {
+    const numberA = toNumber(a);
+    const numberB = toNumber(b);
+    if (numberA !== null && numberB !== null) return numberA === numberB;
+    return String(a) === String(b);
+  };
+
+  switch (condition.operator || 'eq') {
+    case 'eq': return !isEmpty(actual) && equals(actual, expected);
+    case 'ne': return isEmpty(actual) || !equals(actual, expected);
+    case 'gt': return toNumber(actual) !== null && toNumber(actual) > toNumber(expected);
+    case 'gte': return toNumber(actual) !== null && toNumber(actual) >= toNumber(expected);
+    case 'lt': return toNumber(actual) !== null && toNumber(actual) < toNumber(expected);
+    case 'lte': return toNumber(actual) !== null && toNumber(actual) <= toNumber(expected);
+    case 'in': return [].concat(expected).some(v => equals(actual, v));
+    case 'notIn': return ![].concat(expected).some(v => equals(actual, v));
+    case 'empty': return isEmpty(actual);
+    case 'notEmpty': return !isEmpty(actual);
+    default: return false;
+  }
+}
+
+// Collect the fields referenced by a condition
+const conditionRefs = (condition, refs = []) => {
+  if (!condition) return refs;
+  if (Array.isArray(condition.all)) condition.all.forEach(c => conditionRefs(c, refs));
+  else if (Array.isArray(condition.any)) condition.any.forEach(c => conditionRefs(c, refs));
+  else refs.push(condition.field);
+  return refs;
+};
+
+/**
+ * Check the rules of a template before it is saved
+ * @param {Object} template - Template (or request body) with sections
+ * @returns {string|null} Error message, or null when the rules are valid
+ */
+function validateTemplateLogic(template) {
+  const fields = indexFields(template);
+  const formulas = new Map();
+
+  for (const [key, { section, field }] of fields) {
+    for (const rule of ['showIf', 'requiredIf']) {
+      const condition = field[rule];
+      if (!condition) continue;
+
+      const invalid = (function check(c) {
+        if (!c || typeof c !== 'object') return true;
+        if (Array.isArray(c.all)) return c.all.some(check);
+        if (Array.isArray(c.any)) return c.any.some(check);
+        return !c.field || (c.operator !== undefined && !OPERATORS.includes(c.operator));
+      })(condition);
+      if (invalid) return `Invalid ${rule} condition on ${key}`;
+
+      for (const ref of conditionRefs(condition)) {
+        if (!resolveRef(ref, section.id, fields)) return `${rule} on ${key} references unknown field: ${ref}`;
+      }
+    }
+
+    if (field.type === 'computed') {
+      let tree;
+      try {
+        tree = parseFormula(field.formula);
+      } catch (error) {
+        return `Invalid formula on ${key}: ${error.message}`;
+      }
+
+      const refs = [];
+      for (const ref of collectRefs(tree)) {
+        const resolved = resolveRef(ref, section.id, fields);
+        if (!resolved) return `Formula on ${key} references unknown field: ${ref}`;
+        refs.push(resolved.key);
+      }
+      formulas.set(key, refs);
+    }
+  }
+
+  // Computed fields must not depend on themselves
+  const visiting = new Set();
+  const done = new Set();
+  const hasCycle = (key) => {
+    if (done.has(key)) return false;
+    if (visiting.has(key)) return true;
+    visiting.add(key);
+    const cyclic = (formulas.get(key) || []).some(hasCycle);
+    visiting.delete(key);
+    done.add(key);
+    return cyclic;
+  };
+  for (const key of formulas.keys()) {
+    if (hasCycle(key)) return `Formula on ${key} depends on itself`;
+  }
+
+  return null;
+}
+
+/**
+ * Apply the template rules to submitted values
+ * Hidden fields lose their value and computed fields are (re)calculated,
+ * so stored values never depend on what the client sent for them
+ * @param {Object} template
+ * @param {Object} values - Submitted values keyed `${sectionId}.${fieldKey}`
+ * @returns {Object} { values, hidden, errors } - errors: [{ field, message }] for unmet requiredIf rules
+ */
+function applyFormLogic(template, values = {}) {
+  const fields = indexFields(template);
+  const result = { ...values };
+  const trees = new Map();
+
+  for (const [key, { field }] of fields) {
+    if (field.type !== 'computed') continue;
+    try {
+      trees.set(key, parseFormula(field.formula));
+    } catch (error) {
+      trees.set(key, null);
+    }
+  }
+
+  const lookupFrom = (sectionId) => (name) => {
+    const ref = resolveRef(name, sectionId, fields);
+    return ref ? readRef(ref, result) : undefined;
+  };
+
+  // Visibility and formulas depend on each other; repeat until nothing changes
+  let hidden = new Set();
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let changed = false;
+
+    const nextHidden = new Set();
+    for (const [key, { section, field }] of fields) {
+      if (field.showIf && !evaluateCondition(field.showIf, lookupFrom(section.id))) {
+        nextHidden.add(key);
+      }
+    }
+    if ([...nextHidden].some(k => !hidden.has(k)) || [...hidden].some(k => !nextHidden.has(k))) {
+      changed = true;
+    }
+    hidden = nextHidden;
+    hidden.forEach(key => { delete result[key]; });
+
+    for (const [key, tree] of trees) {
+      if (hidden.has(key)) continue;
+
+      const { section, field } = fields.get(key);
+      let value = tree ? evaluateNode(tree, lookupFrom(section.id)) : null;
+      if (value !== null && field.decimals !== undefined && field.decimals !== null) {
+        value = FUNCTIONS.round([value, field.decimals]);
+      }
+      if (result[key] !== value) {
+        result[key] = value;
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  const errors = [];
+  for (const [key, { section, field }] of fields) {
+    if (hidden.has(key) || !field.requiredIf) continue;
+    if (evaluateCondition(field.requiredIf, lookupFrom(section.id)) && isEmpty(result[key])) {
+      errors.push({ field: key, message: `${field.label?.en || field.key} is required` });
+    }
+  }
+
+  return { values: result, hidden: [...hidden], errors };
+}
+
+module.exports = {
+  OPERATORS,
+  parseFormula,
+  evaluateCondition,
+  validateTemplateLogic,
+  applyFormLogic
+};
@@ -0,0 +1,242 @@
+/**
+ * Form Validation
+ * Checks form instance values against their template before they are stored:
+ * field type, required / requiredIf, select options, min/max, length and
+ * pattern constraints, and the rows of dynamic table sections.
+ *
+ * Drafts are validated loosely: required rules are only enforced on
+ * submission, but a value that is filled in must still be valid.
+ *
+ * Errors are returned per field: [{ field, code, message }] where field is the
+ * value key (`${sectionId}.${fieldKey}`, or `${key}[row].${column}` for table cells)
+ */
+
+const { applyFormLogic } = require('./formLogic');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const labelOf = (field) => field.label?.en || field.key;
+
+/**
+ * Check a single value against a field definition
+ * @param {Object} field - { type, options, validation }
+ * @param {*} value - Non-empty value
+ * @returns {Object} { value } with the normalized value, or { code, message }
+ */
+function checkValue(field, value) {
+  const label = labelOf(field);
+  const rules = field.validation || {};
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { code: 'type', message: `${label} must be a number` };
+      }
+      if (rules.min !== undefined && rules.min !== null && number < rules.min) {
+        return { code: 'min', message: `${label} must be at least ${rules.min}` };
+      }
+      if (rules.max !== undefined && rules.max !== null && number > rules.max) {
+        return { code: 'max', message: `${label} must be at most ${rules.max}` };
+      }
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { code: 'type', message: `${label} must be true or false` };
+
+    case 'select': {
+      const options = (field.options || []).flatMap(option => [option.en, option.ar]).filter(Boolean);
+      if (typeof value !== 'string' || !options.includes(value)) {
+        return { code: 'option', message: `${label} must be one of the listed options` };
+      }
+      return { value };
+    }
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        return { code: 'type', message: `${label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+
+    case 'time':
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        return { code: 'type', message: `${label} must be a time (HH:MM)` };
+      }
+      return { value };
+
+    case 'datetime':
+      if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+        return { code: 'type', message: `${label} must be a date and time` };
+      }
+      return { value };
+
+    case 'file':
+      if (typeof value !== 'string' && typeof value !== 'object') {
+        return { code: 'type', message: `${label} must be a file` };
+      }
+      return { value };
+
+    default: {
+      // text, textarea
+      if (typeof value !== 'string') {
+        return { code: 'type', message: `${label} must be text` };
+      }
+      if (rules.minLength && value.length < rules.minLength) {
+        return { code: 'minLength', message: `${label} must be at least ${rules.minLength} characters` };
+      }
+      if (rules.maxLength && value.length > rules.maxLength) {
+        return { code: 'maxLength', message: `${label} must be at most ${rules.maxLength} characters` };
+      }
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+        return { code: 'pattern', message: `${label} has an invalid format` };
+      }
+      return { value };
+    }
+  }
+}
+
+// Dynamic table sections keep their rows in the field named by `rowSource`
+const getRowTable = (section) => {
+  const table = section.advancedLayout?.table;
+  if (!table?.enabled || !table.dynamicRows || !table.rowSource) return null;
+  return table;
+};
+
+/**
+ * Check the rows of a dynamic table section
+ * @returns {Object} { value, errors }
+ */
+function checkRows(table, key, rows) {
+  if (!Array.isArray(rows)) {
+    return { value: rows, errors: [{ field: key, code: 'type', message: 'Table rows must be a list' }] };
+  }
+
+  const errors = [];
+  const value = rows.map((row, index) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      errors.push({ field: `${key}[${index}]`, code: 'type', message: `Row ${index + 1} is invalid` });
+      return row;
+    }
+
+    const normalized = { ...row };
+    (table.columns || []).forEach(column => {
+      const columnKey = column.fieldKey || column.id;
+      if (!columnKey || isEmpty(row[columnKey])) return;
+
+      const result = checkValue({
+        key: columnKey,
+        type: column.fieldType,
+        label: { en: `${column.label?.en || columnKey} (row ${index + 1})` }
+      }, row[columnKey]);
+
+      if (result.code) {
+        errors.push({ field: `${key}[${index}].${columnKey}`, code: result.code, message: result.message });
+      } else {
+        normalized[columnKey] = result.value;
+      }
+    });
+    return normalized;
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Validate form values against a template
+ * Applies the template logic first (hidden fields dropped, computed fields recalculated)
+ * @param {Object} template - FormTemplate
+ * @param {Object} values - Submitted values keyed `${sectionId}.${fieldKey}`
+ * @param {Object} options - { draft } relaxes required rules
+ * @returns {Object} { values, errors } - normalized values and [{ field, code, message }]
+ */
+function validateFormValues(template, values = {}, { draft = false } = {}) {
+  const logic = applyFormLogic(template, values);
+  const result = logic.values;
+  const hidden = new Set(logic.hidden);
+  const errors = [];
+
+  (template.sections || []).forEach(section => {
+    const table = getRowTable(section);
+    const rowsKey = table ? `${section.id}.${table.rowSource}` : null;
+
+    (section.fields || []).forEach(field => {
+      const key = `${section.id}.${field.key}`;
+      if (hidden.has(key) || field.type === 'computed') return;
+
+      const value = result[key];
+      if (isEmpty(value)) {
+        if (field.required && !draft) {
+          errors.push({ field: key, code: 'required', message: `${labelOf(field)} is required` });
+        }
+        return;
+      }
+
+      if (key === rowsKey) return;
+
+      const checked = checkValue(field, value);
+      if (checked.code) {
+        errors.push({ field: key, code: checked.code, message: checked.message });
+      } else {
+        result[key] = checked.value;
+      }
+    });
+
+    if (rowsKey && !hidden.has(rowsKey) && !isEmpty(result[rowsKey])) {
+      const checked = checkRows(table, rowsKey, result[rowsKey]);
+      result[rowsKey] = checked.value;
+      errors.push(...checked.errors);
+    }
+  });
+
+  // requiredIf rules only apply on submission; skip fields already reported
+  if (!draft) {
+    const reported = new Set(errors.map(error => error.field));
+    logic.errors
+      .filter(error => !reported.has(error.field))
+      .forEach(error => errors.push({ field: error.field, code: 'required', message: error.message }));
+  }
+
+  return { values: result, errors };
+}
+
+/**
+ * Check the field constraints of a template before it is saved
+ * @param {Object} template - Template (or request body) with sections
+ * @returns {string|null} Error message, or null when the constraints are valid
+ */
+function validateTemplateConstraints(template) {
+  for (const section of template.sections || []) {
+    for (const field of section.fields || []) {
+      const rules = field.validation || {};
+      const key = `${section.id}.${field.key}`;
+
+      if (rules.pattern) {
+        try {
+          new RegExp(rules.pattern);
+        } catch (error) {
+          return `Invalid pattern on ${key}: ${error.message}`;
+        }
+      }
+      if (typeof rules.min === 'number' && typeof rules.max === 'number' && rules.min > rules.max) {
+        return `Minimum is greater than maximum on ${key}`;
+      }
+      if (rules.minLength && rules.maxLength && rules.minLength > rules.maxLength) {
+        return `Minimum length is greater than maximum length on ${key}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateFormValues,
+  validateTemplateConstraints
+};
@@ -0,0 +1,73 @@
+/**
+ * Login Lockout
+ * Counts failed login attempts (wrong password or second factor) per account.
+ * After LOGIN_MAX_ATTEMPTS failures the account is locked for
+ * LOGIN_LOCKOUT_MINUTES; every further failure doubles the lock, up to 24 hours.
+ * A successful login or an admin unlock resets the count.
+ */
+
+const User = require('../models/User');
+
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const maxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const lockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+/**
+ * Check whether an account is locked
+ * @param {Object} user - User with lockUntil
+ * @returns {boolean}
+ */
+function isLocked(user) {
+  return Boolean(user.lockUntil && user.lockUntil > new Date());
+}
+
+/**
+ * Minutes until a locked account can log in again
+ * @param {Object} user - User with lockUntil
+ * @returns {number}
+ */
+function remainingMinutes(user) {
+  return Math.max(Math.ceil((user.lockUntil - Date.now()) / 60000), 1);
+}
+
+/**
+ * Record a failed attempt, locking the account once the limit is reached
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { attempts, locked, lockUntil }
+ */
+async function recordFailure(user) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const attempts = updated?.failedLoginAttempts || 0;
+  if (attempts < maxAttempts()) {
+    return { attempts, locked: false };
+  }
+
+  // Progressive: the lock doubles with every failure past the limit
+  const minutes = Math.min(lockoutMinutes() * 2 ** (attempts - maxAttempts()), MAX_LOCK_MINUTES);
+  const lockUntil = new Date(Date.now() + minutes * 60000);
+  await User.updateOne({ _id: user._id }, { lockUntil });
+
+  return { attempts, locked: true, lockUntil };
+}
+
+/**
+ * Clear the failed attempts and any lock (successful login, admin unlock, password reset)
+ * @param {Object} user - User document (with failedLoginAttempts and lockUntil)
+ */
+async function resetFailures(user) {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+}
+
+module.exports = {
+  isLocked,
+  remainingMinutes,
+  recordFailure,
+  resetFailures
+};
@@ -0,0 +1,297 @@
+/**
+ * Manager Digest
+ * Builds and sends the scheduled daily/weekly summary email for managers:
+ * attendance per department, forms awaiting approval, pending and upcoming
+ * leaves and unread messages. Each recipient only sees their own scope
+ * (departments and branches), and the email is rendered in their language.
+ * Uses Saudi Arabia timezone (Asia/Riyadh) through dateUtils
+ */
+
+const AttendanceSession = require('../models/AttendanceSession');
+const DigestSettings = require('../models/DigestSettings');
+const FormInstance = require('../models/FormInstance');
+const LeaveRequest = require('../models/LeaveRequest');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const dateUtils = require('./dateUtils');
+const shiftUtils = require('./shiftUtils');
+const { getBranchFilter } = require('./branchScope');
+const { loadRoles, resolveUserAccess } = require('./permissions');
+const { loadDepartments } = require('./departments');
+const { sendEmail, getManagerDigestEmail } = require('./emailService');
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+// Items listed per section; the email shows the total count as well
+const ITEM_LIMIT = 10;
+
+// Days ahead covered by "upcoming approved leaves"
+const UPCOMING_LEAVE_DAYS = 7;
+
+/**
+ * Build the department and branch filters of a recipient
+ * @param {Object} user - Recipient with baseRole resolved
+ * @returns {Object} { departments, branchFilter } - departments is null when unrestricted
+ */
+function getScope(user) {
+  let departments = null;
+  if (user.baseRole === 'supervisor') {
+    departments = user.departments && user.departments.length > 0 ? user.departments : [user.department];
+  } else if (user.baseRole !== 'admin') {
+    departments = [user.department];
+  }
+
+  return { departments, branchFilter: getBranchFilter(user) };
+}
+
+/**
+ * Count present, late, absent and on-leave employees per department
+ * @param {Array} users - Employees in scope
+ * @param {Array} dates - Saudi dates (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{ department, present, late, absent, onLeave }]
+ */
+async function buildAttendanceSummary(users, dates) {
+  const userIds = users.map(u => u._id);
+  const [year, month, day] = dates[0].split('-').map(Number);
+  const [lastYear, lastMonth, lastDay] = dates[dates.length - 1].split('-').map(Number);
+
+  const [sessions, leaves] = await Promise.all([
+    AttendanceSession.find({ userId: { $in: userIds }, shiftDate: { $in: dates } })
+      .select('userId shiftDate lateMinutes')
+      .lean(),
+    LeaveRequest.find({
+      userId: { $in: userIds },
+      status: 'approved',
+      type: { $ne: 'permission' },
+      startDate: { $lte: dateUtils.createDate(lastYear, lastMonth - 1, lastDay, 23, 59, 59) },
+      endDate: { $gte: dateUtils.createDate(year, month - 1, day, 0, 0, 0) }
+    }).select('userId startDate endDate').lean()
+  ]);
+
+  const sessionsByKey = new Map();
+  sessions.forEach(session => {
+    const key = `${session.userId}:${session.shiftDate}`;
+    if (!sessionsByKey.has(key)) sessionsByKey.set(key, []);
+    sessionsByKey.get(key).push(session);
+  });
+
+  const summary = new Map();
+  users.forEach(user => {
+    const userLeaves = leaves.filter(l => l.userId.toString() === user._id.toString());
+
+    dates.forEach(date => {
+      const [y, m, d] = date.split('-').map(Number);
+      const dayStart = dateUtils.createDate(y, m - 1, d, 0, 0, 0);
+      const dayEnd = dateUtils.createDate(y, m - 1, d, 23, 59, 59);
+      const daySessions = sessionsByKey.get(`${user._id}:${date}`) || [];
+
+      let status = null;
+      if (daySessions.length > 0) {
+        status = daySessions.some(s => s.lateMinutes > 0) ? 'late' : 'present';
+      } else if (userLeaves.some(l => new Date(l.startDate) <= dayEnd && new Date(l.endDate) >= dayStart)) {
+        status = 'onLeave';
+      } else if (shiftUtils.getScheduledShift(user, date)) {
+        status = 'absent';
+      }
+      if (!status) return;
+
+      const department = user.department || 'other';
+      if (!summary.has(department)) {
+        summary.set(department, { department, present: 0, late: 0, absent: 0, onLeave: 0 });
+      }
+      summary.get(department)[status]++;
+    });
+  });
+
+  return [...summary.values()].sort((a, b) => a.department.localeCompare(b.department));
+}
+
+/**
+ * Build the digest content for one recipient
+ * @param {Object} user - Recipient (User document or lean object)
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Date} now
+ * @returns {Promise<Object>}
+ */
+async function buildDigest(user, period = 'daily', now = new Date()) {
+  const access = await resolveUserAccess(user);
+  const { departments, branchFilter } = getScope({ ...(user.toObject ? user.toObject() : user), ...access });
+
+  // Attendance covers the last full day(s), ending yesterday
+  const today = dateUtils.getDateString(now);
+  const dates = [];
+  for (let i = PERIOD_DAYS[period]; i >= 1; i--) {
+    dates.push(shiftUtils.shiftDateString(today, -i));
+  }
+
+  const userQuery = { isActive: true, ...branchFilter };
+  if (departments) userQuery.department = { $in: departments };
+
+  const users = await User.find(userQuery)
+    .select('_id name department workDays workSchedule')
+    .lean();
+  const userIds = users.map(u => u._id);
+
+  const formQuery = { status: 'submitted', ...branchFilter };
+  if (departments) formQuery.department = { $in: departments };
+
+  const upcomingEnd = new Date(now.getTime() + UPCOMING_LEAVE_DAYS * 24 * 60 * 60 * 1000);
+
+  const [attendance, formCount, forms, leaveCount, leaves, upcomingCount, upcoming, unreadMessages] = await Promise.all([
+    buildAttendanceSummary(users, dates),
+    FormInstance.countDocuments(formQuery),
+    FormInstance.find(formQuery)
+      .sort({ createdAt: 1 })
+      .limit(ITEM_LIMIT)
+      .populate('templateId', 'title')
+      .populate('filledBy', 'name')
+      .lean(),
+    LeaveRequest.countDocuments({ userId: { $in: userIds }, status: 'pending' }),
+    LeaveRequest.find({ userId: { $in: userIds }, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .limit(ITEM_LIMIT)
+      .populate('userId', 'name')
+      .lean(),
+    LeaveRequest.countDocuments({
+      userId: { $in: userIds },
+      status: 'approved',
+      startDate: { $gte: now, $lte: upcomingEnd }
+    }),
+    LeaveRequest.find({
+      userId: { $in: userIds },
+      status: 'approved',
+      startDate: { $gte: now, $lte: upcomingEnd }
+    })
+      .sort({ startDate: 1 })
+      .limit(ITEM_LIMIT)
+      .populate('userId', 'name')
+      .lean(),
+    Message.countDocuments({ recipient: user._id, read: false })
+  ]);
+
+  const toLeaveItem = (leave) => ({
+    userName: leave.userId?.name,
+    type: leave.type,
+    startDate: leave.startDate,
+    endDate: leave.endDate,
+    days: leave.days
+  });
+
+  return {
+    period,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    attendance,
+    pendingForms: {
+      count: formCount,
+      items: forms.map(form => ({
+        title: form.templateId?.title,
+        department: form.department,
+        filledBy: form.filledBy?.name,
+        date: form.date
+      }))
+    },
+    pendingLeaves: { count: leaveCount, items: leaves.map(toLeaveItem) },
+    upcomingLeaves: { count: upcomingCount, items: upcoming.map(toLeaveItem) },
+    unreadMessages
+  };
+}
+
+/**
+ * Get the active users who receive the digest
+ * @param {Object} settings - DigestSettings document
+ * @returns {Promise<Array>}
+ */
+async function getRecipients(settings) {
+  const { roles = [], users = [] } = settings.recipients || {};
+  if (roles.length === 0 && users.length === 0) return [];
+
+  return User.find({
+    isActive: true,
+    $or: [{ role: { $in: roles } }, { _id: { $in: users } }]
+  }).select('name email role department departments branch branches languagePreference');
+}
+
+/**
+ * Send the digest to every configured recipient
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Date} now
+ * @returns {Promise<Object>} { recipients, sent, failed }
+ */
+async function sendDigest(period = 'daily', now = new Date()) {
+  const settings = await DigestSettings.getSettings();
+  const recipients = await getRecipients(settings);
+
+  // Department names are rendered from the cache
+  await Promise.all([loadDepartments(), loadRoles()]);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of recipients) {
+    try {
+      const language = user.languagePreference || 'ar';
+      const digest = await buildDigest(user, period, now);
+      const email = getManagerDigestEmail({ ...digest, userName: user.name }, language);
+
+      const result = await sendEmail({ to: user.email, subject: email.subject, html: email.html });
+      result.success ? sent++ : failed++;
+    } catch (error) {
+      console.error(`Error sending ${period} digest to ${user.email}:`, error);
+      failed++;
+    }
+  }
+
+  console.log(`✅ ${period} digest sent: ${sent} sent, ${failed} failed`);
+  return { recipients: recipients.length, sent, failed };
+}
+
+/**
+ * Send the daily and weekly digests that are due
+ * Each digest is claimed with an atomic update first, so it goes out once
+ * per day even when several server instances run this check
+ * @param {Date} now
+ * @returns {Promise<Array>} Periods that were sent
+ */
+async function runDueDigests(now = new Date()) {
+  try {
+    const settings = await DigestSettings.getSettings();
+    const today = dateUtils.getDateString(now);
+    const { hours, minutes } = dateUtils.getTimeComponents(now);
+    const currentTime = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+    const due = [];
+    if (settings.daily.enabled && currentTime >= settings.daily.time && settings.lastDailyDate !== today) {
+      due.push({ period: 'daily', field: 'lastDailyDate' });
+    }
+    if (settings.weekly.enabled && dateUtils.getDayName(now) === settings.weekly.day &&
+      currentTime >= settings.weekly.time && settings.lastWeeklyDate !== today) {
+      due.push({ period: 'weekly', field: 'lastWeeklyDate' });
+    }
+
+    const sentPeriods = [];
+    for (const { period, field } of due) {
+      const claimed = await DigestSettings.findOneAndUpdate(
+        { _id: settings._id, [field]: { $ne: today } },
+        { $set: { [field]: today } }
+      );
+      if (!claimed) continue;
+
+      await sendDigest(period, now);
+      sentPeriods.push(period);
+    }
+
+    return sentPeriods;
+  } catch (error) {
+    console.error('Error running manager digest:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  PERIOD_DAYS,
+  buildDigest,
+  getRecipients,
+  sendDigest,
+  runDueDigests
+};
@@ -0,0 +1,204 @@
+/**
+ * Notification Preferences
+ * Per-user delivery settings stored in UserMetadata.preferences.notifications:
+ * channels (in-app, email, push) with per-type overrides, quiet hours and a
+ * daily digest. Times are HH:MM in Saudi Arabia timezone.
+ */
+
+const UserMetadata = require('../models/UserMetadata');
+const Notification = require('../models/Notification');
+const dateUtils = require('./dateUtils');
+const { parseTime } = require('./shiftUtils');
+
+const CHANNELS = ['inApp', 'email', 'push'];
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const DEFAULT_PREFERENCES = {
+  channels: { inApp: true, email: true, push: true },
+  types: {},
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  digest: { enabled: false, time: '08:00' }
+};
+
+/**
+ * Merge stored preferences over the defaults
+ * @param {Object} stored - UserMetadata.preferences.notifications
+ * @returns {Object}
+ */
+function withDefaults(stored = {}) {
+  return {
+    channels: { ...DEFAULT_PREFERENCES.channels, ...(stored.channels || {}) },
+    types: { ...(stored.types || {}) },
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(stored.quietHours || {}) },
+    digest: { ...DEFAULT_PREFERENCES.digest, ...(stored.digest || {}) }
+  };
+}
+
+/**
+ * Get the notification preferences of a user
+ * @param {String|ObjectId} userId
+ * @returns {Promise<Object>}
+ */
+async function getPreferences(userId) {
+  const metadata = await UserMetadata.findOne({ userId }).select('preferences').lean();
+  return withDefaults(metadata?.preferences?.notifications);
+}
+
+/**
+ * Get the notification preferences of several users
+ * @param {Array} userIds
+ * @returns {Promise<Map>} userId string -> preferences
+ */
+async function getPreferencesMap(userIds) {
+  const metadata = await UserMetadata.find({ userId: { $in: userIds } })
+    .select('userId preferences')
+    .lean();
+
+  const map = new Map();
+  userIds.forEach(id => map.set(id.toString(), withDefaults()));
+  metadata.forEach(m => map.set(m.userId.toString(), withDefaults(m.preferences?.notifications)));
+  return map;
+}
+
+/**
+ * Validate and normalize preferences sent by a client
+ * @param {Object} input
+ * @returns {Object} { preferences, error }
+ */
+function sanitizePreferences(input = {}) {
+  const preferences = withDefaults();
+  const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+  for (const channel of CHANNELS) {
+    if (input.channels?.[channel] !== undefined) {
+      preferences.channels[channel] = !!input.channels[channel];
+    }
+  }
+
+  for (const [type, channels] of Object.entries(input.types || {})) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return { error: `Unknown notification type: ${type}` };
+    }
+    preferences.types[type] = {};
+    for (const channel of CHANNELS) {
+      if (channels?.[channel] !== undefined) {
+        preferences.types[type][channel] = !!channels[channel];
+      }
+    }
+  }
+
+  if (input.quietHours) {
+    const { enabled, start, end } = input.quietHours;
+    if ((start !== undefined && !isTime(start)) || (end !== undefined && !isTime(end))) {
+      return { error: 'Quiet hours must use HH:MM format' };
+    }
+    if (enabled !== undefined) preferences.quietHours.enabled = !!enabled;
+    if (start) preferences.quietHours.start = start;
+    if (end) preferences.quietHours.end = end;
+  }
+
+  if (input.digest) {
+    const { enabled, time } = input.digest;
+    if (time !== undefined && !isTime(time)) {
+      return { error: 'Digest time must use HH:MM format' };
+    }
+    if (enabled !== undefined) preferences.digest.enabled = !!enabled;
+    if (time) preferences.digest.time = time;
+  }
+
+  return { preferences };
+}
+
+// Minutes since midnight in Saudi Arabia timezone
+const minutesOfDay = (date) => {
+  const { hours, minutes } = dateUtils.getTimeComponents(date);
+  return hours * 60 + minutes;
+};
+
+const toMinutes = (value) => {
+  const time = parseTime(value);
+  return time ? time.hours * 60 + time.minutes : null;
+};
+
+/**
+ * Check if a time falls within the user's quiet hours (which may span midnight)
+ * @param {Object} preferences
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isQuietTime(preferences, now = new Date()) {
+  const { enabled, start, end } = preferences.quietHours;
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  if (!enabled || startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+    return false;
+  }
+
+  const current = minutesOfDay(now);
+  return startMinutes < endMinutes
+    ? current >= startMinutes && current < endMinutes
+    : current >= startMinutes || current < endMinutes;
+}
+
+/**
+ * Next occurrence of a HH:MM time (Saudi Arabia timezone) after a date
+ * @param {string} time
+ * @param {Date} now
+ * @returns {Date}
+ */
+function nextOccurrence(time, now = new Date()) {
+  const { hours, minutes } = parseTime(time) || { hours: 0, minutes: 0 };
+  const { year, month, day } = dateUtils.getDateComponents(now);
+
+  let next = dateUtils.createDate(year, month, day, hours, minutes);
+  if (next <= now) {
+    next = dateUtils.createDate(year, month, day + 1, hours, minutes);
+  }
+  return next;
+}
+
+/**
+ * Decide how a notification reaches a user on a channel
+ * In-app notifications are always stored when enabled; push is dropped and
+ * email is deferred during quiet hours or in digest mode
+ * @param {Object} preferences
+ * @param {string} type - Notification type
+ * @param {string} channel - inApp, email or push
+ * @param {Date} now
+ * @returns {Object} { action: 'send' | 'defer' | 'skip', deliverAt }
+ */
+function resolveDelivery(preferences, type, channel, now = new Date()) {
+  const override = preferences.types[type]?.[channel];
+  const enabled = override !== undefined ? override : preferences.channels[channel];
+
+  if (!enabled) return { action: 'skip' };
+  if (channel === 'inApp') return { action: 'send' };
+
+  if (preferences.digest.enabled) {
+    return channel === 'email'
+      ? { action: 'defer', deliverAt: nextOccurrence(preferences.digest.time, now) }
+      : { action: 'skip' };
+  }
+
+  if (isQuietTime(preferences, now)) {
+    return channel === 'email'
+      ? { action: 'defer', deliverAt: nextOccurrence(preferences.quietHours.end, now) }
+      : { action: 'skip' };
+  }
+
+  return { action: 'send' };
+}
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  DEFAULT_PREFERENCES,
+  withDefaults,
+  getPreferences,
+  getPreferencesMap,
+  sanitizePreferences,
+  isQuietTime,
+  nextOccurrence,
+  resolveDelivery
+};
@@ -1,21 +1,101 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const realtime = require('../services/realtime');
+const { loadRoles } = require('./permissions');
+const { getPreferencesMap, resolveDelivery } = require('./notificationPreferences');
 
 /**
- * Create a notification for admin users
+ * Build the user query for a notification audience
+ * Roles match built-in roles and custom roles built on them. Department and
+ * branch scopes apply to supervisors and employees; admins are not scoped.
+ * @returns {Promise<Object|null>} Query, or null when nobody matches
+ */
+const buildAudienceQuery = async ({ recipients = [], roles = [], departments = [], branch, exclude = [] }) => {
+  const audience = [];
+
+  if (recipients.length > 0) {
+    audience.push({ _id: { $in: recipients } });
+  }
+
+  if (roles.length > 0) {
+    const allRoles = await loadRoles();
+    const roleNames = (baseRole) => allRoles
+      .filter(r => r.name === baseRole || r.baseRole === baseRole)
+      .map(r => r.name);
+
+    roles.forEach(baseRole => {
+      const filter = { role: { $in: roleNames(baseRole) } };
+
+      if (baseRole !== 'admin') {
+        if (departments.length > 0) {
+          filter.$or = baseRole === 'supervisor'
+            ? [{ departments: { $in: departments } }]
+            : [{ department: { $in: departments } }];
+        }
+        if (branch) {
+          filter.$and = [{ $or: [{ branch }, { branches: branch }, { branch: null }] }];
+        }
+      }
+
+      audience.push(filter);
+    });
+  }
+
+  if (audience.length === 0) return null;
+
+  const query = { isActive: true, $or: audience };
+  if (exclude.length > 0) {
+    query._id = { $nin: exclude.filter(Boolean) };
+  }
+  return query;
+};
+
+/**
+ * Create a notification for a set of users
+ * Without recipients or roles the notification goes to all admins
  * @param {Object} options - Notification options
  * @param {String} options.type - Notification type
  * @param {Object} options.title - Notification title {en: string, ar: string}
  * @param {Object} options.message - Notification message {en: string, ar: string}
  * @param {Object} options.data - Additional data for the notification
+ * @param {Array} options.recipients - Explicit recipient user IDs
+ * @param {Array} options.roles - Roles to notify ('admin', 'supervisor', 'employee')
+ * @param {Array} options.departments - Limit role recipients to these departments
+ * @param {String|ObjectId} options.branch - Limit role recipients to this branch
+ * @param {Array} options.exclude - User IDs never notified (e.g. the user who acted)
  */
-const createNotification = async ({ type, title, message, data = {} }) => {
+const createNotification = async ({
+  type,
+  title,
+  message,
+  data = {},
+  recipients = [],
+  roles,
+  departments = [],
+  branch,
+  exclude = []
+}) => {
   try {
-    // Find all admin users
-    const adminUsers = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const audienceRoles = roles || (recipients.length > 0 ? [] : ['admin']);
+    const query = await buildAudienceQuery({
+      recipients,
+      roles: audienceRoles,
+      departments: departments.filter(Boolean),
+      branch,
+      exclude
+    });
+
+    const users = query ? await User.find(query).select('_id') : [];
 
-    if (adminUsers.length === 0) {
-      console.log('No admin users found to send notification');
+    // Apply each recipient's in-app and push preferences
+    const preferences = await getPreferencesMap(users.map(user => user._id));
+    const now = new Date();
+    const inAppUsers = users.filter(user =>
+      resolveDelivery(preferences.get(user._id.toString()), type, 'inApp', now).action === 'send'
+    );
+
+    if (inAppUsers.length === 0) {
+      console.log(`No recipients found for notification: ${type}`);
       return;
     }
 
@@ -28,17 +108,26 @@ const createNotification = async ({ type, title, message, data = {} }) => {
       ? { en: message, ar: message }
       : { en: message.en || '', ar: message.ar || '' };
 
-    // Create notifications for all admins
-    const notifications = adminUsers.map(admin => ({
-      recipient: admin._id,
+    // Create one notification per recipient
+    const notifications = inAppUsers.map(user => ({
+      recipient: user._id,
       type,
       title: titleObj,
       message: messageObj,
       data
     }));
 
-    await Notification.insertMany(notifications);
-    console.log(`✅ Created ${notifications.length} notification(s) for admins: ${type}`);
+    const created = await Notification.insertMany(notifications);
+
+    // Push to connected clients, unless muted by quiet hours or digest mode
+    const pushed = created.filter(notification =>
+      resolveDelivery(preferences.get(notification.recipient.toString()), type, 'push', now).action === 'send'
+    );
+    await Promise.all(pushed.map(notification =>
+      realtime.sendToUsers(notification.recipient, 'notification', notification)
+    ));
+
+    console.log(`✅ Created ${notifications.length} notification(s): ${type}`);
   } catch (error) {
     console.error('Error creating notification:', error);
     // Don't throw error to prevent breaking the main flow
@@ -46,6 +135,6 @@ const createNotification = async ({ type, title, message, data = {} }) => {
 };
 
 module.exports = {
+  buildAudienceQuery,
   createNotification
 };
-
@@ -0,0 +1,111 @@
+/**
+ * Password Policy
+ * Minimum length, character classes and no reuse of the last passwords,
+ * configured with:
+ *   PASSWORD_MIN_LENGTH        (default 8)
+ *   PASSWORD_REQUIRE_UPPERCASE (default true)
+ *   PASSWORD_REQUIRE_LOWERCASE (default true)
+ *   PASSWORD_REQUIRE_NUMBER    (default true)
+ *   PASSWORD_REQUIRE_SYMBOL    (default false)
+ *   PASSWORD_HISTORY           (default 5; 0 allows reusing any previous password)
+ */
+
+const bcrypt = require('bcryptjs');
+
+const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+const number = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Get the configured policy
+ * @returns {Object} { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, history }
+ */
+function getPolicy() {
+  return {
+    minLength: Math.max(number(process.env.PASSWORD_MIN_LENGTH, 8), 6),
+    requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+    requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+    requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    history: Math.max(number(process.env.PASSWORD_HISTORY, 5), 0)
+  };
+}
+
+/**
+ * Check a new password against the length and complexity rules
+ * @param {string} password
+ * @returns {string|null} Error message, or null when the password is acceptable
+ */
+function validatePassword(password) {
+  const policy = getPolicy();
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return 'Please provide a password';
+  }
+
+  const rules = [];
+  if (password.length < policy.minLength) rules.push(`be at least ${policy.minLength} characters long`);
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) rules.push('contain an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) rules.push('contain a lowercase letter');
+  if (policy.requireNumber && !/\d/.test(password)) rules.push('contain a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) rules.push('contain a symbol');
+
+  return rules.length > 0 ? `Password must ${rules.join(', ')}` : null;
+}
+
+/**
+ * Check whether a password is the current one or one of the last PASSWORD_HISTORY passwords
+ * @param {Object} user - User with +password and +passwordHistory selected
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function isPasswordReused(user, password) {
+  const { history } = getPolicy();
+  if (history === 0) return false;
+
+  const previous = history > 1 ? (user.passwordHistory || []).slice(-(history - 1)) : [];
+  const hashes = [user.password, ...previous].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Validate and set a user's new password, keeping the previous one in the history
+ * Length and complexity rules apply to everyone; reuse is checked for existing accounts
+ * @param {Object} user - User document (with +password +passwordHistory for existing users)
+ * @param {string} password - New password
+ * @returns {Promise<string|null>} Error message, or null when the password was set (save the user afterwards)
+ */
+async function applyPassword(user, password) {
+  const error = validatePassword(password);
+  if (error) return error;
+
+  if (!user.isNew) {
+    const { history } = getPolicy();
+
+    if (await isPasswordReused(user, password)) {
+      return history > 1
+        ? `Password cannot be one of your last ${history} passwords`
+        : 'Password cannot be the same as your current password';
+    }
+
+    if (user.password && history > 1) {
+      user.passwordHistory = [...(user.passwordHistory || []), user.password].slice(-(history - 1));
+    }
+  }
+
+  user.password = password;
+  return null;
+}
+
+module.exports = {
+  getPolicy,
+  validatePassword,
+  isPasswordReused,
+  applyPassword
+};
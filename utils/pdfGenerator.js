@@ -1,6 +1,123 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const dateUtils = require('./dateUtils');
+const { loadDepartments, getDepartmentName } = require('./departments');
+const { applyFormLogic } = require('./formLogic');
+
+// Labels for the employee monthly attendance report
+const REPORT_LABELS = {
+  en: {
+    title: 'Monthly Attendance Report',
+    employee: 'Employee',
+    department: 'Department',
+    jobTitle: 'Job Title',
+    idNumber: 'ID Number',
+    totals: 'Monthly Totals',
+    scheduledHours: 'Scheduled Hours',
+    actualHours: 'Actual Hours',
+    daysPresent: 'Days Present',
+    absences: 'Absences',
+    leaveDays: 'Approved Leave Days',
+    lateMinutes: 'Late (minutes)',
+    earlyLeaveMinutes: 'Early Leave (minutes)',
+    overtimeHours: 'Overtime Hours',
+    columns: {
+      date: 'Date',
+      day: 'Day',
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+      hours: 'Hours',
+      late: 'Late (min)',
+      earlyLeave: 'Early Leave (min)',
+      status: 'Status'
+    },
+    statuses: {
+      present: 'Present',
+      late: 'Late',
+      absent: 'Absent',
+      leave: 'Leave',
+      off: 'Day Off',
+      upcoming: '-'
+    },
+    leaveTypes: {
+      vacation: 'Vacation',
+      sick: 'Sick',
+      permission: 'Permission',
+      emergency: 'Emergency',
+      unpaid: 'Unpaid',
+      other: 'Other'
+    },
+    days: {
+      sunday: 'Sunday',
+      monday: 'Monday',
+      tuesday: 'Tuesday',
+      wednesday: 'Wednesday',
+      thursday: 'Thursday',
+      friday: 'Friday',
+      saturday: 'Saturday'
+    },
+    months: [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ]
+  },
+  ar: {
+    title: 'تقرير الحضور الشهري',
+    employee: 'الموظف',
+    department: 'القسم',
+    jobTitle: 'المسمى الوظيفي',
+    idNumber: 'رقم الهوية',
+    totals: 'إجماليات الشهر',
+    scheduledHours: 'الساعات المجدولة',
+    actualHours: 'الساعات الفعلية',
+    daysPresent: 'أيام الحضور',
+    absences: 'الغياب',
+    leaveDays: 'أيام الإجازة المعتمدة',
+    lateMinutes: 'التأخير (دقيقة)',
+    earlyLeaveMinutes: 'الخروج المبكر (دقيقة)',
+    overtimeHours: 'ساعات العمل الإضافي',
+    columns: {
+      date: 'التاريخ',
+      day: 'اليوم',
+      checkIn: 'الحضور',
+      checkOut: 'الانصراف',
+      hours: 'الساعات',
+      late: 'التأخير (دقيقة)',
+      earlyLeave: 'خروج مبكر (دقيقة)',
+      status: 'الحالة'
+    },
+    statuses: {
+      present: 'حاضر',
+      late: 'متأخر',
+      absent: 'غائب',
+      leave: 'إجازة',
+      off: 'راحة',
+      upcoming: '-'
+    },
+    leaveTypes: {
+      vacation: 'إجازة',
+      sick: 'مرضية',
+      permission: 'إذن',
+      emergency: 'طارئ',
+      unpaid: 'بدون راتب',
+      other: 'أخرى'
+    },
+    days: {
+      sunday: 'الأحد',
+      monday: 'الاثنين',
+      tuesday: 'الثلاثاء',
+      wednesday: 'الأربعاء',
+      thursday: 'الخميس',
+      friday: 'الجمعة',
+      saturday: 'السبت'
+    },
+    months: [
+      'يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو',
+      'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'
+    ]
+  }
+};
 
 class PDFGenerator {
   constructor() {
@@ -9,6 +126,9 @@ class PDFGenerator {
   }
 
   async generateFormPDF(formInstance, template, user, language = 'en') {
+    // Department names are read from the cache when rendering
+    await loadDepartments().catch(() => {});
+
     return new Promise((resolve, reject) => {
       try {
         // Get layout configuration from template
@@ -74,8 +194,15 @@ class PDFGenerator {
         // Filter visible sections
         sectionsToRender = sectionsToRender.filter(section => section.visible !== false);
 
+        // Fields hidden by show/hide rules are left out, computed fields use the stored rules
+        const storedValues = formInstance.values instanceof Map
+          ? Object.fromEntries(formInstance.values)
+          : { ...(formInstance.values || {}) };
+        const { values, hidden } = applyFormLogic(template, storedValues);
+        const hiddenFields = new Set(hidden);
+
         sectionsToRender.forEach((section, index) => {
-          this.addSection(doc, section, formInstance.values, language, isRTL, pdfStyle, margins);
+          this.addSection(doc, section, values, language, isRTL, pdfStyle, margins, hiddenFields);
           if (index < sectionsToRender.length - 1) {
             doc.moveDown();
           }
@@ -97,6 +224,171 @@ class PDFGenerator {
     });
   }
 
+  async generateEmployeeReportPDF(employee, report, { year, month, department, language = 'en' }) {
+    return new Promise((resolve, reject) => {
+      try {
+        const margins = { top: 40, right: 40, bottom: 40, left: 40 };
+
+        const doc = new PDFDocument({
+          size: 'A4',
+          layout: 'portrait',
+          margin: 0, // We'll handle margins manually
+          bufferPages: true
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Register Arabic font if available
+        const hasArabicFont = fs.existsSync(this.arabicFontPath);
+        if (hasArabicFont) {
+          doc.registerFont('Arabic', this.arabicFontPath);
+        }
+
+        const isRTL = language === 'ar';
+        const lang = REPORT_LABELS[language] || REPORT_LABELS.en;
+        const font = isRTL && hasArabicFont ? 'Arabic' : 'Helvetica';
+        const boldFont = isRTL && hasArabicFont ? 'Arabic' : 'Helvetica-Bold';
+        const contentWidth = doc.page.width - margins.left - margins.right;
+        const align = isRTL ? 'right' : 'left';
+
+        doc.x = margins.left;
+        doc.y = margins.top;
+        doc.font(font);
+
+        this.addHeader(doc, `${lang.title} - ${lang.months[month]} ${year}`, isRTL, {}, language, margins);
+
+        // Employee information
+        const departmentName = department?.[language] || department?.en || employee.department;
+        const infoLines = [
+          `${lang.employee}: ${employee.name}`,
+          `${lang.department}: ${departmentName}`,
+          employee.jobTitle ? `${lang.jobTitle}: ${employee.jobTitle}` : null,
+          employee.idNumber ? `${lang.idNumber}: ${employee.idNumber}` : null
+        ].filter(Boolean);
+
+        doc.font(font).fontSize(11).fillColor('#000000');
+        infoLines.forEach(line => {
+          doc.text(line, margins.left, doc.y, { align, width: contentWidth });
+        });
+        doc.moveDown();
+
+        // Day-by-day table (columns reversed for RTL)
+        let columns = [
+          { key: 'date', width: 0.14 },
+          { key: 'day', width: 0.14 },
+          { key: 'checkIn', width: 0.11 },
+          { key: 'checkOut', width: 0.11 },
+          { key: 'hours', width: 0.1 },
+          { key: 'late', width: 0.1 },
+          { key: 'earlyLeave', width: 0.12 },
+          { key: 'status', width: 0.18 }
+        ].map(column => ({ ...column, width: column.width * contentWidth }));
+        if (isRTL) columns = columns.reverse();
+
+        const rowHeight = 16;
+        const footerSpace = 60;
+
+        const drawRow = (cells, options = {}) => {
+          if (doc.y + rowHeight > doc.page.height - margins.bottom - footerSpace) {
+            doc.addPage();
+            doc.y = margins.top;
+            if (!options.header) drawHeaderRow();
+          }
+
+          const y = doc.y;
+          if (options.fill) {
+            doc.rect(margins.left, y, contentWidth, rowHeight).fill(options.fill);
+          }
+
+          let x = margins.left;
+          doc.font(options.header ? boldFont : font)
+            .fontSize(8)
+            .fillColor(options.color || '#000000');
+          columns.forEach(column => {
+            doc.text(String(cells[column.key] ?? '-'), x + 3, y + 4, {
+              width: column.width - 6,
+              align: 'center',
+              lineBreak: false
+            });
+            x += column.width;
+          });
+
+          doc.moveTo(margins.left, y + rowHeight)
+            .lineTo(margins.left + contentWidth, y + rowHeight)
+            .strokeColor('#e5e7eb')
+            .lineWidth(0.5)
+            .stroke();
+
+          doc.y = y + rowHeight;
+        };
+
+        const drawHeaderRow = () => {
+          drawRow(lang.columns, { header: true, fill: '#dc2328', color: '#ffffff' });
+        };
+
+        const formatClock = (date) => date
+          ? dateUtils.formatTime(date, { hour12: false }, 'en-GB')
+          : '-';
+
+        drawHeaderRow();
+        report.days.forEach((day, index) => {
+          const [dayYear, dayMonth, dayOfMonth] = day.date.split('-');
+          drawRow({
+            date: `${dayOfMonth}/${dayMonth}/${dayYear}`,
+            day: lang.days[day.dayName] || day.dayName,
+            checkIn: formatClock(day.checkIn),
+            checkOut: formatClock(day.checkOut),
+            hours: day.workedMinutes ? (day.workedMinutes / 60).toFixed(2) : '-',
+            late: day.lateMinutes || '-',
+            earlyLeave: day.earlyLeaveMinutes || '-',
+            status: day.leaveType && day.status === 'leave'
+              ? `${lang.statuses.leave} (${lang.leaveTypes[day.leaveType] || day.leaveType})`
+              : lang.statuses[day.status] || day.status
+          }, {
+            fill: day.status === 'absent' ? '#fee2e2' : (index % 2 === 1 ? '#f9fafb' : null)
+          });
+        });
+
+        // Monthly totals
+        doc.y += 15;
+        if (doc.y > doc.page.height - margins.bottom - footerSpace - 120) {
+          doc.addPage();
+          doc.y = margins.top;
+        }
+
+        const { totals } = report;
+        doc.font(boldFont).fontSize(12).fillColor('#dc2328')
+          .text(lang.totals, margins.left, doc.y, { align, width: contentWidth });
+        doc.moveDown(0.5);
+
+        const totalLines = [
+          `${lang.scheduledHours}: ${(totals.scheduledMinutes / 60).toFixed(2)}`,
+          `${lang.actualHours}: ${(totals.workedMinutes / 60).toFixed(2)}`,
+          `${lang.daysPresent}: ${totals.daysPresent}`,
+          `${lang.absences}: ${totals.absences}`,
+          `${lang.leaveDays}: ${totals.leaveDays}`,
+          `${lang.lateMinutes}: ${totals.lateMinutes}`,
+          `${lang.earlyLeaveMinutes}: ${totals.earlyLeaveMinutes}`,
+          `${lang.overtimeHours}: ${(totals.overtimeMinutes / 60).toFixed(2)}`
+        ];
+
+        doc.font(font).fontSize(10).fillColor('#000000');
+        totalLines.forEach(line => {
+          doc.text(line, margins.left, doc.y, { align, width: contentWidth });
+        });
+
+        this.addFooter(doc, isRTL, {}, language, margins);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   addHeader(doc, title, isRTL, pdfStyle, language, margins) {
     const headerConfig = pdfStyle.header || {};
     const branding = pdfStyle.branding || {};
@@ -193,7 +485,7 @@ class PDFGenerator {
     const infoLines = [
       `${lang.date}: ${new Date(formInstance.date).toLocaleDateString()}`,
       `${lang.filledBy}: ${user.name}`,
-      `${lang.department}: ${formInstance.department}`,
+      `${lang.department}: ${getDepartmentName(formInstance.department, language)}`,
       `${lang.shift}: ${formInstance.shift}`,
       `${lang.status}: ${formInstance.status}`
     ];
@@ -206,7 +498,7 @@ class PDFGenerator {
     });
   }
 
-  addSection(doc, section, values, language, isRTL, pdfStyle, margins) {
+  addSection(doc, section, values, language, isRTL, pdfStyle, margins, hiddenFields = new Set()) {
     // Skip if section is not visible
     if (section.visible === false) return;
 
@@ -269,8 +561,10 @@ class PDFGenerator {
       doc.y += sectionSpacing / 2;
     }
 
-    // Section Fields - Filter visible fields and sort by order
-    let fieldsToRender = section.fields.filter(field => field.visible !== false);
+    // Section Fields - Filter visible fields (including show/hide rules) and sort by order
+    let fieldsToRender = section.fields.filter(field =>
+      field.visible !== false && !hiddenFields.has(`${section.id}.${field.key}`)
+    );
     fieldsToRender.sort((a, b) => (a.order || 0) - (b.order || 0));
 
     fieldsToRender.forEach(field => {
@@ -295,10 +589,17 @@ class PDFGenerator {
         displayValue = new Date(value).toLocaleDateString();
       }
 
+      // Format computed values with their configured decimals
+      if (field.type === 'computed' && typeof value === 'number') {
+        displayValue = field.decimals !== undefined && field.decimals !== null
+          ? value.toFixed(field.decimals)
+          : String(value);
+      }
+
       // Field display options
       const showLabel = field.pdfDisplay?.showLabel !== false;
       const showValue = field.pdfDisplay?.showValue !== false;
-      const fieldFontSize = field.pdfDisplay?.fontSize || fieldFontSize;
+      const valueFontSize = field.pdfDisplay?.fontSize || fieldFontSize;
       const isBold = field.pdfDisplay?.bold || false;
 
       // Build display text
@@ -312,7 +613,7 @@ class PDFGenerator {
       }
 
       if (displayText) {
-        doc.fontSize(fieldFontSize)
+        doc.fontSize(valueFontSize)
           .fillColor(textColor);
 
         if (isBold) {
@@ -0,0 +1,210 @@
+/**
+ * Permission Utilities
+ * Named permissions grouped into roles stored in the Role collection.
+ * Roles are cached in memory for a short time, and the built-in roles are
+ * created with their default permissions the first time they are needed.
+ */
+
+const Role = require('../models/Role');
+
+const PERMISSIONS = {
+  'users.view': { en: 'View users', ar: 'عرض المستخدمين' },
+  'users.manage': { en: 'Manage users', ar: 'إدارة المستخدمين' },
+  'forms.view': { en: 'View forms', ar: 'عرض النماذج' },
+  'forms.fill': { en: 'Fill and edit forms', ar: 'تعبئة وتعديل النماذج' },
+  'forms.approve': { en: 'Approve forms', ar: 'اعتماد النماذج' },
+  'forms.delete': { en: 'Delete forms', ar: 'حذف النماذج' },
+  'forms.export': { en: 'Export forms', ar: 'تصدير النماذج' },
+  'forms.all-departments': { en: 'Access forms of all departments', ar: 'الوصول لنماذج جميع الأقسام' },
+  'templates.manage': { en: 'Manage form templates', ar: 'إدارة قوالب النماذج' },
+  'attendance.qr': { en: 'Display attendance QR codes', ar: 'عرض رموز الحضور' },
+  'attendance.view': { en: 'View attendance reports', ar: 'عرض تقارير الحضور' },
+  'attendance.edit': { en: 'Edit attendance logs', ar: 'تعديل سجلات الحضور' },
+  'attendance.manage': { en: 'Run attendance maintenance', ar: 'صيانة الحضور' },
+  'leaves.view': { en: 'View leave requests', ar: 'عرض طلبات الإجازة' },
+  'leaves.approve': { en: 'Approve leave requests', ar: 'اعتماد طلبات الإجازة' },
+  'branches.manage': { en: 'Manage branches', ar: 'إدارة الفروع' },
+  'departments.manage': { en: 'Manage departments', ar: 'إدارة الأقسام' },
+  'roles.manage': { en: 'Manage roles and permissions', ar: 'إدارة الأدوار والصلاحيات' },
+  'audit.view': { en: 'View audit trail', ar: 'عرض سجل التدقيق' },
+  'digest.manage': { en: 'Manage manager digest emails', ar: 'إدارة ملخصات البريد للمديرين' },
+  'jobs.manage': { en: 'Manage scheduled jobs', ar: 'إدارة المهام المجدولة' },
+  'approvals.manage': { en: 'Manage approval workflows and delegations', ar: 'إدارة مسارات الاعتماد والتفويض' }
+};
+
+// Granted to admins of the management department on top of their role
+const MANAGEMENT_PERMISSIONS = ['forms.all-departments', 'templates.manage'];
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: { en: 'Admin', ar: 'مدير' },
+    baseRole: 'admin',
+    permissions: Object.keys(PERMISSIONS).filter(p => !MANAGEMENT_PERMISSIONS.includes(p)),
+    isSystem: true
+  },
+  {
+    name: 'supervisor',
+    label: { en: 'Supervisor', ar: 'مشرف' },
+    baseRole: 'supervisor',
+    permissions: [
+      'users.view',
+      'forms.view', 'forms.fill', 'forms.approve', 'forms.delete', 'forms.export',
+      'attendance.view',
+      'leaves.view', 'leaves.approve'
+    ],
+    isSystem: true
+  },
+  {
+    name: 'employee',
+    label: { en: 'Employee', ar: 'موظف' },
+    baseRole: 'employee',
+    permissions: [],
+    isSystem: true
+  },
+  {
+    name: 'qr-manager',
+    label: { en: 'QR Manager', ar: 'مدير رموز QR' },
+    baseRole: 'qr-manager',
+    permissions: ['attendance.qr'],
+    isSystem: true
+  }
+];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+let loading = null;
+
+/**
+ * Load all roles, creating missing built-in roles
+ * @param {boolean} force - Skip the cache
+ * @returns {Promise<Array>}
+ */
+async function loadRoles(force = false) {
+  if (!force && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  if (!loading) {
+    loading = (async () => {
+      let roles = await Role.find().lean();
+
+      const missing = DEFAULT_ROLES.filter(d => !roles.some(r => r.name === d.name));
+      if (missing.length > 0) {
+        const docs = missing.map(d => ({ ...d, grantedDefaults: d.permissions }));
+        await Role.insertMany(docs, { ordered: false }).catch(error => {
+          // Another instance may have created them at the same time
+          if (error.code !== 11000) throw error;
+        });
+      }
+
+      // Grant permissions added to the defaults since a built-in role was
+      // created, without restoring the ones an admin removed on purpose
+      const outdated = DEFAULT_ROLES
+        .map(d => {
+          const role = roles.find(r => r.name === d.name);
+          const granted = role ? role.grantedDefaults || [] : d.permissions;
+          return { name: d.name, added: d.permissions.filter(p => !granted.includes(p)) };
+        })
+        .filter(d => d.added.length > 0);
+
+      for (const { name, added } of outdated) {
+        await Role.updateOne(
+          { name },
+          { $addToSet: { permissions: { $each: added }, grantedDefaults: { $each: added } } }
+        );
+      }
+
+      if (missing.length > 0 || outdated.length > 0) {
+        roles = await Role.find().lean();
+      }
+
+      cached = roles;
+      cachedAt = Date.now();
+      return cached;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+// Drop the cache after roles change
+function invalidate() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * Get a role by name
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+async function getRole(name) {
+  const roles = await loadRoles();
+  return roles.find(r => r.name === name) || null;
+}
+
+/**
+ * Check if a role exists
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function isValidRole(name) {
+  if (name === undefined || name === null) return true;
+  return !!(await getRole(name));
+}
+
+/**
+ * Mongoose validator for role fields
+ * @returns {Object}
+ */
+function roleValidator() {
+  return {
+    validator: isValidRole,
+    message: props => `${props.value} is not a valid role`
+  };
+}
+
+/**
+ * Resolve the base role and permissions of a user
+ * @param {Object} user - User with role and department
+ * @returns {Promise<Object>} { baseRole, permissions }
+ */
+async function resolveUserAccess(user) {
+  const role = await getRole(user.role);
+  const baseRole = role ? role.baseRole : user.role;
+  const permissions = new Set(role ? role.permissions : []);
+
+  if (baseRole === 'admin' && user.department === 'management') {
+    MANAGEMENT_PERMISSIONS.forEach(p => permissions.add(p));
+  }
+
+  return { baseRole, permissions: [...permissions] };
+}
+
+/**
+ * Check if a user has a permission (call after protect has resolved permissions)
+ * @param {Object} user - Authenticated user
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  MANAGEMENT_PERMISSIONS,
+  DEFAULT_ROLES,
+  loadRoles,
+  invalidate,
+  getRole,
+  isValidRole,
+  roleValidator,
+  resolveUserAccess,
+  hasPermission
+};
@@ -0,0 +1,180 @@
+/**
+ * Session Utilities
+ * Each login creates a Session (one per device) with its own refresh token.
+ * Refreshing rotates the token; presenting a token that has already been
+ * rotated means it was copied, so the session is revoked for everyone holding it.
+ * Access tokens carry the session id and stop working when the session is revoked.
+ *
+ * Tokens also carry the user's token version: bumping it (password reset, role
+ * change, deactivation) invalidates every token issued before, on all devices.
+ */
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken, hashToken } = require('./tokenUtils');
+const logger = require('./logger');
+
+// lastSeenAt is written at most once per interval by authenticated requests
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000;
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+const SYSTEMS = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Readable device name from a user agent (e.g. "Chrome on Android")
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent = '') {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ') || 'Unknown device';
+}
+
+const tokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const requestInfo = (req) => ({
+  ipAddress: req.ip || req.connection?.remoteAddress,
+  userAgent: req.get ? req.get('user-agent') : undefined
+});
+
+/**
+ * Start a session for a user on the requesting device
+ * @param {Object} req - Express request (device name from body.deviceName, IP, user agent)
+ * @param {Object} user - User with _id and tokenVersion
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+async function createSession(req, user) {
+  const info = requestInfo(req);
+  const tokenVersion = user.tokenVersion || 0;
+  const session = new Session({
+    user: user._id,
+    deviceName: req.body?.deviceName || describeDevice(info.userAgent),
+    deviceId: (req.get && req.get('x-device-id')) || undefined,
+    ...info
+  });
+
+  const refreshToken = generateRefreshToken(user._id, session._id, tokenVersion);
+  session.tokenHash = hashToken(refreshToken);
+  session.expiresAt = tokenExpiry(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(user._id, session._id, tokenVersion),
+    refreshToken
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {Object} req - Express request
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} { session, userId, tokenVersion, accessToken, refreshToken } or { error, reuse }
+ */
+async function rotateSession(req, refreshToken) {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded?.sid) return { error: 'Invalid refresh token' };
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt || session.user.toString() !== decoded.id) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const tokenVersion = decoded.tv || 0;
+  const nextToken = generateRefreshToken(decoded.id, session._id, tokenVersion);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(refreshToken), revokedAt: null },
+    {
+      tokenHash: hashToken(nextToken),
+      expiresAt: tokenExpiry(nextToken),
+      lastSeenAt: new Date(),
+      ...requestInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // The token was valid but is no longer the current one: it has been used before
+    await revokeSessions({ _id: session._id }, 'reuse');
+    logger.warn(`⚠️  Refresh token reuse detected for user ${decoded.id}, session ${session._id} revoked`);
+    return { error: 'Refresh token has already been used. Please log in again', reuse: true };
+  }
+
+  return {
+    session: rotated,
+    userId: decoded.id,
+    tokenVersion,
+    accessToken: generateAccessToken(decoded.id, session._id, tokenVersion),
+    refreshToken: nextToken
+  };
+}
+
+/**
+ * Revoke the active sessions matching a query
+ * @param {Object} query - Session filter (e.g. { user }, { _id })
+ * @param {string} reason - logout, revoked, reuse
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSessions(query, reason = 'revoked') {
+  const result = await Session.updateMany(
+    { ...query, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Invalidate every token of a user: bump the token version and revoke all sessions
+ * @param {String|ObjectId} userId
+ * @returns {Promise<number>} The new token version
+ */
+async function invalidateUserTokens(userId) {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select('tokenVersion');
+  await revokeSessions({ user: userId });
+  return user?.tokenVersion || 0;
+}
+
+/**
+ * Check that the session of an access token is still active, and note its activity
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function checkSession(sessionId) {
+  const session = await Session.findById(sessionId).select('revokedAt lastSeenAt').lean();
+  if (!session || session.revokedAt) return false;
+
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date() }).catch(error => {
+      logger.error('Error updating session activity:', error.message);
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Check that the token a request was authenticated with is still valid
+ * Long-lived connections (event streams) outlive the check done by protect
+ * @param {Object} req - Request authenticated by protect
+ * @returns {Promise<boolean>} false once the token expired, its session was revoked,
+ *   the user was deactivated or their token version changed
+ */
+async function checkRequestAuth(req) {
+  if (req.tokenExpiresAt && Date.now() >= req.tokenExpiresAt) return false;
+  if (req.sessionId && !(await checkSession(req.sessionId))) return false;
+
+  const user = await User.findById(req.user._id).select('isActive tokenVersion').lean();
+  return Boolean(user && user.isActive && (user.tokenVersion || 0) === (req.tokenVersion || 0));
+}
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  invalidateUserTokens,
+  checkSession,
+  checkRequestAuth
+};
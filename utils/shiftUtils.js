@@ -0,0 +1,135 @@
+/**
+ * Shift Utilities
+ * Resolves an employee's scheduled shift from User.workSchedule so attendance
+ * is paired per shift instead of per calendar day (supports overnight shifts)
+ * Uses Saudi Arabia timezone (Asia/Riyadh) through dateUtils
+ */
+
+const dateUtils = require('./dateUtils');
+
+// An open session older than this is treated as a missed check-out
+const MAX_SESSION_HOURS = parseInt(process.env.ATTENDANCE_MAX_SESSION_HOURS) || 16;
+
+/**
+ * Parse a HH:MM string
+ * @param {string} value - Time string (e.g. '22:00')
+ * @returns {Object|null} { hours, minutes } or null if invalid
+ */
+function parseTime(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const [hours, minutes] = value.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return null;
+
+  return { hours, minutes };
+}
+
+/**
+ * Get the YYYY-MM-DD string of the day before/after a date string
+ * @param {string} dateString - Date in YYYY-MM-DD format (Saudi timezone)
+ * @param {number} offsetDays - Number of days to shift (negative for past)
+ * @returns {string}
+ */
+function shiftDateString(dateString, offsetDays) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  // Use midday to stay clear of day boundaries
+  return dateUtils.getDateString(dateUtils.createDate(year, month - 1, day + offsetDays, 12, 0, 0));
+}
+
+/**
+ * Get the scheduled shift that starts on a given day
+ * @param {Object} user - User with workDays and workSchedule
+ * @param {string} shiftDate - Day the shift starts on (YYYY-MM-DD, Saudi timezone)
+ * @returns {Object|null} { shiftDate, dayName, startTime, endTime, scheduledStart, scheduledEnd, overnight }
+ */
+function getScheduledShift(user, shiftDate) {
+  if (!user || !user.workSchedule) return null;
+
+  const [year, month, day] = shiftDate.split('-').map(Number);
+  const dayName = dateUtils.getDayName(dateUtils.createDate(year, month - 1, day, 12, 0, 0));
+
+  // Respect workDays when they are configured
+  if (user.workDays && user.workDays.length > 0 && !user.workDays.includes(dayName)) {
+    return null;
+  }
+
+  const daySchedule = user.workSchedule[dayName];
+  const start = parseTime(daySchedule?.startTime);
+  if (!start) return null;
+
+  const scheduledStart = dateUtils.createDate(year, month - 1, day, start.hours, start.minutes, 0);
+
+  // Without an end time we cannot tell how long the shift is
+  const end = parseTime(daySchedule?.endTime);
+  let scheduledEnd = null;
+  let overnight = false;
+
+  if (end) {
+    overnight = end.hours * 60 + end.minutes <= start.hours * 60 + start.minutes;
+    scheduledEnd = dateUtils.createDate(year, month - 1, day + (overnight ? 1 : 0), end.hours, end.minutes, 0);
+  }
+
+  return {
+    shiftDate,
+    dayName,
+    startTime: daySchedule.startTime,
+    endTime: daySchedule.endTime || null,
+    scheduledStart,
+    scheduledEnd,
+    overnight
+  };
+}
+
+/**
+ * Resolve the shift a check-in at a given time belongs to
+ * An overnight shift that started yesterday wins while it is still running,
+ * otherwise today's shift is used. Unscheduled days fall back to the calendar day.
+ * @param {Object} user - User with workDays and workSchedule
+ * @param {Date|string} at - Check-in time (default: now)
+ * @returns {Object} { shiftDate, scheduled, ...shift }
+ */
+function resolveShift(user, at = new Date()) {
+  const time = new Date(at);
+  const today = dateUtils.getDateString(time);
+
+  const previousShift = getScheduledShift(user, shiftDateString(today, -1));
+  if (previousShift && previousShift.overnight && time <= previousShift.scheduledEnd) {
+    return { ...previousShift, scheduled: true };
+  }
+
+  const todayShift = getScheduledShift(user, today);
+  if (todayShift) {
+    return { ...todayShift, scheduled: true };
+  }
+
+  return {
+    shiftDate: today,
+    dayName: dateUtils.getDayName(time),
+    startTime: null,
+    endTime: null,
+    scheduledStart: null,
+    scheduledEnd: null,
+    overnight: false,
+    scheduled: false
+  };
+}
+
+/**
+ * Whole minutes between two dates (never negative)
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number}
+ */
+function minutesBetween(from, to) {
+  if (!from || !to) return 0;
+  return Math.max(0, Math.floor((new Date(to) - new Date(from)) / (1000 * 60)));
+}
+
+module.exports = {
+  MAX_SESSION_HOURS,
+  parseTime,
+  shiftDateString,
+  getScheduledShift,
+  resolveShift,
+  minutesBetween
+};
@@ -0,0 +1,151 @@
+/**
+ * Form Template Versions
+ * Keeps an immutable snapshot (FormTemplateVersion) of every template content
+ * version, resolves the version a form instance was filled against and
+ * compares two versions.
+ *
+ * Only the content that affects how a form is filled and rendered is
+ * versioned; access settings (roles, departments, recurrence, isActive)
+ * always apply as currently configured.
+ */
+
+const FormTemplate = require('../models/FormTemplate');
+const FormTemplateVersion = require('../models/FormTemplateVersion');
+
+const VERSIONED_FIELDS = ['title', 'description', 'sections', 'layout', 'pdfStyle'];
+
+// Plain copy without subdocument ids, which change whenever sections are re-sent
+const toPlain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value, (key, v) => (key === '_id' ? undefined : v)));
+
+/**
+ * Get the versioned content of a template
+ * @param {Object} template - FormTemplate document, plain object or version
+ * @returns {Object} { title, description, sections, layout, pdfStyle }
+ */
+function snapshot(template) {
+  const source = template.toObject ? template.toObject() : template;
+  return VERSIONED_FIELDS.reduce((content, field) => {
+    content[field] = toPlain(source[field]);
+    return content;
+  }, {});
+}
+
+/**
+ * Check whether the versioned content differs between two template states
+ * @returns {boolean}
+ */
+function hasContentChanged(before, after) {
+  return JSON.stringify(snapshot(before)) !== JSON.stringify(snapshot(after));
+}
+
+/**
+ * Store the snapshot of a template's current version (no-op when it already exists)
+ * @param {Object} template - FormTemplate document or plain object with _id and version
+ * @param {Object} options - { createdBy, note }
+ * @returns {Promise<void>}
+ */
+async function storeVersion(template, { createdBy, note } = {}) {
+  const key = { template: template._id, version: template.version || 1 };
+
+  await FormTemplateVersion.updateOne(
+    key,
+    { $setOnInsert: { ...key, ...snapshot(template), note, createdBy } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Resolve the template a form instance was filled against
+ * Instances created before versioning have no pinned version: they were filled
+ * against version 1, the content every template had until its first versioned edit
+ * @param {Object} instance - FormInstance document (templateId may be populated)
+ * @returns {Promise<Object|null>} Template with the pinned version's content
+ */
+async function getInstanceTemplate(instance) {
+  const templateId = (instance.populated && instance.populated('templateId')) ||
+    instance.templateId?._id || instance.templateId;
+
+  let current = instance.templateId?.sections ? instance.templateId : null;
+  if (!current && templateId) current = await FormTemplate.findById(templateId);
+
+  const pinned = instance.templateVersion || 1;
+  if (current && (current.version || 1) === pinned) {
+    return current;
+  }
+
+  const version = await FormTemplateVersion.findOne({ template: templateId, version: pinned }).lean();
+  if (!version) return current;
+
+  // The template may have been deleted since; its versions are kept
+  const base = current ? current.toObject() : { _id: templateId };
+  return { ...base, ...snapshot(version), version: version.version };
+}
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Names of the properties that differ between two objects
+const changedProperties = (from = {}, to = {}, ignore = []) =>
+  [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])]
+    .filter(key => !ignore.includes(key) && !isEqual(from?.[key], to?.[key]));
+
+/**
+ * Compare two template versions
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} Changed title/description, whether layout/pdfStyle changed,
+ *   and sections/fields added, removed or changed (with the changed properties)
+ */
+function diffVersions(from, to) {
+  const a = snapshot(from);
+  const b = snapshot(to);
+
+  const fromSections = new Map((a.sections || []).map(section => [section.id, section]));
+  const toSections = new Map((b.sections || []).map(section => [section.id, section]));
+
+  const sections = {
+    added: [...toSections.keys()].filter(id => !fromSections.has(id)),
+    removed: [...fromSections.keys()].filter(id => !toSections.has(id)),
+    changed: []
+  };
+
+  toSections.forEach((section, id) => {
+    const previous = fromSections.get(id);
+    if (!previous) return;
+
+    const fromFields = new Map((previous.fields || []).map(field => [field.key, field]));
+    const toFields = new Map((section.fields || []).map(field => [field.key, field]));
+
+    const fields = {
+      added: [...toFields.keys()].filter(key => !fromFields.has(key)),
+      removed: [...fromFields.keys()].filter(key => !toFields.has(key)),
+      changed: [...toFields.keys()]
+        .filter(key => fromFields.has(key))
+        .map(key => ({ key, properties: changedProperties(fromFields.get(key), toFields.get(key)) }))
+        .filter(field => field.properties.length > 0)
+    };
+    const properties = changedProperties(previous, section, ['fields']);
+
+    if (properties.length > 0 || fields.added.length > 0 || fields.removed.length > 0 || fields.changed.length > 0) {
+      sections.changed.push({ id, properties, fields });
+    }
+  });
+
+  return {
+    from: from.version,
+    to: to.version,
+    title: isEqual(a.title, b.title) ? null : { from: a.title, to: b.title },
+    description: isEqual(a.description, b.description) ? null : { from: a.description, to: b.description },
+    layout: !isEqual(a.layout, b.layout),
+    pdfStyle: !isEqual(a.pdfStyle, b.pdfStyle),
+    sections
+  };
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  snapshot,
+  hasContentChanged,
+  storeVersion,
+  getInstanceTemplate,
+  diffVersions
+};
@@ -0,0 +1,326 @@
+/**
+ * Timesheet Utilities
+ * Builds per-employee monthly attendance figures (scheduled vs. actual hours,
+ * lateness, early leave, overtime, absences and approved leave) from
+ * AttendanceSession, LeaveRequest and User.workSchedule, and exports them
+ * as CSV or XLSX for payroll
+ * Uses Saudi Arabia timezone (Asia/Riyadh) through dateUtils
+ */
+
+const ExcelJS = require('exceljs');
+const AttendanceSession = require('../models/AttendanceSession');
+const LeaveRequest = require('../models/LeaveRequest');
+const User = require('../models/User');
+const dateUtils = require('./dateUtils');
+const shiftUtils = require('./shiftUtils');
+
+const COLUMNS = [
+  { key: 'name', label: { en: 'Employee', ar: 'الموظف' }, width: 28 },
+  { key: 'email', label: { en: 'Email', ar: 'البريد الإلكتروني' }, width: 30 },
+  { key: 'idNumber', label: { en: 'ID Number', ar: 'رقم الهوية' }, width: 16 },
+  { key: 'jobTitle', label: { en: 'Job Title', ar: 'المسمى الوظيفي' }, width: 20 },
+  { key: 'department', label: { en: 'Department', ar: 'القسم' }, width: 14 },
+  { key: 'scheduledHours', label: { en: 'Scheduled Hours', ar: 'الساعات المجدولة' }, width: 16 },
+  { key: 'actualHours', label: { en: 'Actual Hours', ar: 'الساعات الفعلية' }, width: 14 },
+  { key: 'daysPresent', label: { en: 'Days Present', ar: 'أيام الحضور' }, width: 13 },
+  { key: 'lateMinutes', label: { en: 'Late (min)', ar: 'التأخير (دقيقة)' }, width: 12 },
+  { key: 'earlyLeaveMinutes', label: { en: 'Early Leave (min)', ar: 'الخروج المبكر (دقيقة)' }, width: 16 },
+  { key: 'overtimeHours', label: { en: 'Overtime Hours', ar: 'ساعات العمل الإضافي' }, width: 15 },
+  { key: 'absences', label: { en: 'Absences', ar: 'الغياب' }, width: 10 },
+  { key: 'leaveDays', label: { en: 'Approved Leave Days', ar: 'أيام الإجازة المعتمدة' }, width: 18 }
+];
+
+/**
+ * Round minutes to hours with 2 decimals
+ * @param {number} minutes
+ * @returns {number}
+ */
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * Get the YYYY-MM-DD boundaries of a month
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @returns {Object} { firstDay, lastDay, daysInMonth }
+ */
+function getMonthRange(year, month) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const monthString = String(month + 1).padStart(2, '0');
+  return {
+    firstDay: `${year}-${monthString}-01`,
+    lastDay: `${year}-${monthString}-${String(daysInMonth).padStart(2, '0')}`,
+    daysInMonth
+  };
+}
+
+/**
+ * Build the day-by-day attendance of one employee for a month
+ * @param {Object} user - User with workDays and workSchedule
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @param {Array} sessions - The user's attendance sessions for the month
+ * @param {Array} leaves - The user's approved leave requests overlapping the month
+ * @returns {Object} { days, totals }
+ */
+function buildEmployeeMonth(user, year, month, sessions = [], leaves = []) {
+  const { daysInMonth } = getMonthRange(year, month);
+  const now = new Date();
+  const today = dateUtils.getDateString(now);
+
+  const sessionsByDate = {};
+  sessions.forEach(session => {
+    if (!sessionsByDate[session.shiftDate]) sessionsByDate[session.shiftDate] = [];
+    sessionsByDate[session.shiftDate].push(session);
+  });
+
+  const totals = {
+    scheduledMinutes: 0,
+    workedMinutes: 0,
+    lateMinutes: 0,
+    earlyLeaveMinutes: 0,
+    overtimeMinutes: 0,
+    daysPresent: 0,
+    absences: 0,
+    leaveDays: 0
+  };
+
+  const days = [];
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const dayStart = dateUtils.createDate(year, month, day, 0, 0, 0);
+    const dayEnd = dateUtils.createDate(year, month, day, 23, 59, 59);
+    const date = dateUtils.getDateString(dateUtils.createDate(year, month, day, 12, 0, 0));
+
+    const shift = shiftUtils.getScheduledShift(user, date);
+    const daySessions = sessionsByDate[date] || [];
+
+    // Full-day leave covers the whole date, permissions only count their hours
+    const leave = leaves.find(l =>
+      l.type !== 'permission' && new Date(l.startDate) <= dayEnd && new Date(l.endDate) >= dayStart
+    );
+    const permissions = leaves.filter(l =>
+      l.type === 'permission' && dateUtils.getDateString(l.startDate) === date
+    );
+
+    if (shift && shift.scheduledEnd) {
+      totals.scheduledMinutes += shiftUtils.minutesBetween(shift.scheduledStart, shift.scheduledEnd);
+    }
+
+    const dayTotals = { workedMinutes: 0, lateMinutes: 0, earlyLeaveMinutes: 0, overtimeMinutes: 0 };
+    daySessions.forEach(session => {
+      dayTotals.workedMinutes += session.workedMinutes || 0;
+      dayTotals.lateMinutes += session.lateMinutes || 0;
+      dayTotals.earlyLeaveMinutes += session.earlyLeaveMinutes || 0;
+      // Work on an unscheduled day counts entirely as overtime
+      dayTotals.overtimeMinutes += session.scheduledEnd
+        ? (session.overtimeMinutes || 0)
+        : (session.workedMinutes || 0);
+    });
+
+    let status;
+    if (daySessions.length > 0) {
+      status = dayTotals.lateMinutes > 0 ? 'late' : 'present';
+      totals.daysPresent++;
+    } else if (leave && shift) {
+      // Only scheduled working days of a leave count as leave days
+      status = 'leave';
+      totals.leaveDays++;
+    } else if (!shift) {
+      status = 'off';
+    } else if (date > today || (date === today && (!shift.scheduledEnd || shift.scheduledEnd > now))) {
+      status = 'upcoming';
+    } else {
+      status = 'absent';
+      totals.absences++;
+    }
+
+    permissions.forEach(permission => {
+      totals.leaveDays += permission.days || 0;
+    });
+
+    totals.workedMinutes += dayTotals.workedMinutes;
+    totals.lateMinutes += dayTotals.lateMinutes;
+    totals.earlyLeaveMinutes += dayTotals.earlyLeaveMinutes;
+    totals.overtimeMinutes += dayTotals.overtimeMinutes;
+
+    days.push({
+      date,
+      dayName: shift ? shift.dayName : dateUtils.getDayName(dayStart),
+      status,
+      scheduledStart: shift ? shift.scheduledStart : null,
+      scheduledEnd: shift ? shift.scheduledEnd : null,
+      checkIn: daySessions[0]?.checkIn || null,
+      checkOut: daySessions[daySessions.length - 1]?.checkOut || null,
+      leaveType: leave ? leave.type : (permissions[0] ? 'permission' : null),
+      ...dayTotals
+    });
+  }
+
+  totals.leaveDays = Math.round(totals.leaveDays * 100) / 100;
+
+  return { days, totals };
+}
+
+/**
+ * Load sessions and approved leaves for a set of users in a month
+ * @param {Array} userIds
+ * @param {number} year
+ * @param {number} month - 0-indexed month
+ * @returns {Promise<Object>} { sessionsByUser, leavesByUser }
+ */
+async function loadMonthData(userIds, year, month) {
+  const { firstDay, lastDay, daysInMonth } = getMonthRange(year, month);
+
+  const [sessions, leaves] = await Promise.all([
+    AttendanceSession.find({
+      userId: { $in: userIds },
+      shiftDate: { $gte: firstDay, $lte: lastDay }
+    }).lean(),
+    LeaveRequest.find({
+      userId: { $in: userIds },
+      status: 'approved',
+      startDate: { $lte: dateUtils.createDate(year, month, daysInMonth, 23, 59, 59) },
+      endDate: { $gte: dateUtils.createDate(year, month, 1, 0, 0, 0) }
+    }).lean()
+  ]);
+
+  const sessionsByUser = {};
+  sessions.forEach(session => {
+    const key = session.userId.toString();
+    if (!sessionsByUser[key]) sessionsByUser[key] = [];
+    sessionsByUser[key].push(session);
+  });
+
+  const leavesByUser = {};
+  leaves.forEach(leave => {
+    const key = leave.userId.toString();
+    if (!leavesByUser[key]) leavesByUser[key] = [];
+    leavesByUser[key].push(leave);
+  });
+
+  return { sessionsByUser, leavesByUser };
+}
+
+/**
+ * Build the monthly timesheet for all matching employees
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {number} options.month - 0-indexed month
+ * @param {String|Array} options.department - Department(s) to include
+ * @param {String|Object} options.branch - Branch ID or branch query condition
+ * @param {String} options.userId - Optional single employee
+ * @returns {Promise<Array>} One row per employee
+ */
+async function buildTimesheet({ year, month, department, branch, userId }) {
+  const query = { role: { $ne: 'qr-manager' } };
+
+  if (userId) {
+    query._id = userId;
+  } else {
+    query.isActive = true;
+  }
+
+  if (Array.isArray(department)) {
+    query.department = { $in: department };
+  } else if (department) {
+    query.department = department;
+  }
+
+  if (branch) {
+    query.branch = branch;
+  }
+
+  const users = await User.find(query)
+    .select('_id name email department branch jobTitle idNumber workDays workSchedule')
+    .sort('name')
+    .lean();
+
+  const { sessionsByUser, leavesByUser } = await loadMonthData(users.map(u => u._id), year, month);
+
+  return users.map(user => {
+    const key = user._id.toString();
+    const { totals } = buildEmployeeMonth(user, year, month, sessionsByUser[key], leavesByUser[key]);
+
+    return {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      idNumber: user.idNumber || '',
+      jobTitle: user.jobTitle || '',
+      department: user.department,
+      scheduledHours: toHours(totals.scheduledMinutes),
+      actualHours: toHours(totals.workedMinutes),
+      daysPresent: totals.daysPresent,
+      lateMinutes: totals.lateMinutes,
+      earlyLeaveMinutes: totals.earlyLeaveMinutes,
+      overtimeHours: toHours(totals.overtimeMinutes),
+      absences: totals.absences,
+      leaveDays: totals.leaveDays
+    };
+  });
+}
+
+/**
+ * Export timesheet rows as CSV
+ * @param {Array} rows - Rows from buildTimesheet
+ * @param {string} language - Header language ('en' or 'ar')
+ * @returns {Buffer}
+ */
+function toCSV(rows, language = 'en') {
+  const escape = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Names and notes are user input: keep spreadsheet apps from running them as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    COLUMNS.map(column => escape(column.label[language] || column.label.en)).join(','),
+    ...rows.map(row => COLUMNS.map(column => escape(row[column.key])).join(','))
+  ];
+
+  // BOM so spreadsheet apps read Arabic names as UTF-8
+  return Buffer.from('\uFEFF' + lines.join('\r\n'), 'utf8');
+}
+
+/**
+ * Export timesheet rows as XLSX
+ * @param {Array} rows - Rows from buildTimesheet
+ * @param {Object} options - { year, month, language }
+ * @returns {Promise<Buffer>}
+ */
+async function toXLSX(rows, { year, month, language = 'en' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Brosted-4U';
+  workbook.created = new Date();
+
+  const sheetName = `${year}-${String(month + 1).padStart(2, '0')}`;
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', ySplit: 1, rightToLeft: language === 'ar' }]
+  });
+
+  sheet.columns = COLUMNS.map(column => ({
+    header: column.label[language] || column.label.en,
+    key: column.key,
+    width: column.width
+  }));
+
+  sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDC2328' } };
+
+  rows.forEach(row => sheet.addRow(row));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  COLUMNS,
+  getMonthRange,
+  buildEmployeeMonth,
+  loadMonthData,
+  buildTimesheet,
+  toCSV,
+  toXLSX
+};
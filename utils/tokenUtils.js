@@ -2,16 +2,22 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 
-// Generate JWT access token
-exports.generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+// Generate JWT access token (sid: the session it belongs to, tv: the user's token version)
+exports.generateAccessToken = (userId, sessionId, tokenVersion = 0) => {
+  const payload = { id: userId, tv: tokenVersion };
+  if (sessionId) payload.sid = sessionId.toString();
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '24h'
   });
 };
 
-// Generate JWT refresh token
-exports.generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
+// Generate JWT refresh token (unique per call, so every rotation yields a new token)
+exports.generateRefreshToken = (userId, sessionId, tokenVersion = 0) => {
+  const payload = { id: userId, tv: tokenVersion, jti: crypto.randomBytes(16).toString('hex') };
+  if (sessionId) payload.sid = sessionId.toString();
+
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d'
   });
 };
@@ -70,3 +76,8 @@ exports.generateResetToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+
+// Hash a token (reset, invitation, refresh) for storage
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
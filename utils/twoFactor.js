@@ -0,0 +1,265 @@
+/**
+ * Two-Factor Authentication Utilities
+ * TOTP codes (RFC 6238: 30 second steps, 6 digits, HMAC-SHA1) compatible with
+ * authenticator apps, one-time recovery codes and the short-lived challenge
+ * token returned by the first login step.
+ *
+ * TOTP secrets are stored encrypted (TWO_FACTOR_SECRET, falling back to
+ * JWT_SECRET); recovery codes are stored as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const CryptoJS = require('crypto-js');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { hashToken } = require('./tokenUtils');
+const { getRole } = require('./permissions');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Brosted4U';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too (clock drift)
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '10m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const encryptionKey = () => process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET;
+
+// Challenge tokens use their own key so they can never pass as access tokens
+const challengeKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor-challenge').digest('hex');
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  const bits = value.toUpperCase().replace(/=+$/, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code of a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string}
+ */
+function generateCode(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} The matching time step, or null when the code is wrong
+ */
+function verifyCode(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function encryptSecret(secret) {
+  return CryptoJS.AES.encrypt(secret, encryptionKey()).toString();
+}
+
+function decryptSecret(encrypted) {
+  return CryptoJS.AES.decrypt(encrypted, encryptionKey()).toString(CryptoJS.enc.Utf8);
+}
+
+/**
+ * Enrolment details for an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name shown in the app (email)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+ */
+async function getEnrolment(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Generate recovery codes (shown once) and their hashes (stored)
+ * @returns {Object} { codes, hashes }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+/**
+ * Verify a user's second factor: a TOTP code (each code works once) or a recovery code (removed once used)
+ * @param {Object} user - User with twoFactorSecret selected
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Promise<string|null>} 'code' or 'recovery' when accepted, null otherwise
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) },
+      { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  if (!user.twoFactorSecret) return null;
+
+  const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return null;
+
+  // Reject a code that was already used (e.g. seen over someone's shoulder)
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }] },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount === 1 ? 'code' : null;
+}
+
+/**
+ * Check whether the user's role requires two-factor authentication
+ * @param {Object} user - User with role
+ * @returns {Promise<boolean>}
+ */
+async function requiresTwoFactor(user) {
+  return Boolean((await getRole(user.role))?.requireTwoFactor);
+}
+
+/**
+ * Start (or restart) enrolment: store a new pending secret
+ * @param {Object} user - User with _id and email
+ * @returns {Promise<Object>} Enrolment details (see getEnrolment)
+ */
+async function startEnrolment(user) {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: encryptSecret(secret) });
+  return getEnrolment(secret, user.email);
+}
+
+/**
+ * Confirm enrolment with a code from the pending secret, enabling two-factor authentication
+ * @param {Object} user - User with twoFactorPendingSecret selected
+ * @param {string} code
+ * @returns {Promise<Array|null>} The new recovery codes, or null when the code is wrong
+ */
+async function confirmEnrolment(user, code) {
+  if (!user.twoFactorPendingSecret) return null;
+
+  const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastStep: step
+    },
+    $unset: { twoFactorPendingSecret: 1 }
+  });
+
+  return codes;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {String|ObjectId} userId
+ */
+async function disableTwoFactor(userId) {
+  await User.updateOne({ _id: userId }, {
+    $set: { twoFactorEnabled: false },
+    $unset: {
+      twoFactorEnabledAt: 1,
+      twoFactorSecret: 1,
+      twoFactorPendingSecret: 1,
+      twoFactorRecoveryCodes: 1,
+      twoFactorLastStep: 1
+    }
+  });
+}
+
+/**
+ * Create the challenge token returned by the first login step
+ * @param {Object} user - User with _id and tokenVersion
+ * @returns {string}
+ */
+function generateChallengeToken(user) {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, challengeKey(), { expiresIn: CHALLENGE_EXPIRE });
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token
+ * @returns {Object|null} Decoded payload { id, tv }
+ */
+function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(token, challengeKey());
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  getEnrolment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  requiresTwoFactor,
+  startEnrolment,
+  confirmEnrolment,
+  disableTwoFactor,
+  generateChallengeToken,
+  verifyChallengeToken
+};
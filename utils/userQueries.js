@@ -12,19 +12,19 @@ const UserMetadata = require('../models/UserMetadata');
  */
 const PROJECTIONS = {
   // Minimal fields for lists (fastest)
-  LIST: '_id name email role department departments isActive languagePreference image phone jobTitle',
+  LIST: '_id name email role department departments branch branches isActive languagePreference image phone jobTitle lockUntil',
 
   // Basic user info (most common)
-  BASIC: '_id name email role department departments isActive languagePreference image phone jobTitle nationality idNumber createdAt',
+  BASIC: '_id name email role department departments branch branches isActive languagePreference image phone jobTitle nationality idNumber createdAt',
 
   // Full user info (excluding sensitive fields)
-  FULL: '-password -refreshToken -resetPasswordToken -resetPasswordExpire',
+  FULL: '-password -refreshToken -resetPasswordToken -resetPasswordExpire -twoFactorSecret -twoFactorPendingSecret -twoFactorRecoveryCodes -twoFactorLastStep -passwordHistory',
 
   // For authentication (needs password)
-  AUTH: '+password +refreshToken',
+  AUTH: '+password',
 
   // For dashboard/user profile
-  PROFILE: '_id name email role department departments isActive languagePreference image phone jobTitle nationality idNumber leaveBalance workDays workSchedule createdAt',
+  PROFILE: '_id name email role department departments branch branches isActive languagePreference image phone jobTitle nationality idNumber leaveBalance workDays workSchedule createdAt',
 
   // For search/autocomplete
   SEARCH: '_id name email role department',
@@ -36,7 +36,7 @@ const PROJECTIONS = {
   LEAVE: '_id name email leaveBalance department',
 
   // For department filtering
-  DEPARTMENT: '_id name email role department departments'
+  DEPARTMENT: '_id name email role department departments branch branches'
 };
 
 /**